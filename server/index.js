@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+// Reference sync server for safe-sync.
+//
+// Stores flood incidents in a JSON file so a team can self-host the sync
+// backend without a database:
+//
+//   npm run sync-server
+//   PORT=4000 SYNC_DATA_FILE=/var/lib/safe-sync/store.json node server/index.js
+//
+// Then enter http://localhost:4000 as the Sync Server URL in Settings.
+//
+// Accounts live on the server too. Until the first one is created anyone may
+// write; the first account, set up from the app's sign-in page, is an admin.
+// After that every write and the chat need a bearer token from /api/login,
+// while published incidents and the shelters stay readable so a public map can
+// follow the server.
+//
+// Endpoints:
+//   GET  /api/health                 liveness check
+//   GET  /api/auth                   whether the first admin still has to be set up
+//   POST /api/login                  exchange a username and password for a token
+//   POST /api/logout                 end the current session
+//   GET  /api/session                the signed-in user
+//   GET  /api/users                  list accounts (admins)
+//   POST /api/users                  add or update an account (admins, or anyone for the first one)
+//   POST /api/users/remove           remove an account (admins)
+//   GET  /api/incidents?since=<rev>  incidents and deletions after a revision (published only when signed out)
+//   POST /api/sync                   apply queued client changes
+//   GET  /api/messages?since=<seq>   chat messages after a sequence number
+//   POST /api/messages               store new chat messages
+//   GET  /api/contributors?since=<rev>, /api/shelters?since=<rev>
+//                                    contributors or shelters and deletions after a revision
+//                                    (shelters only, without who changed them, when signed out)
+//   POST /api/contributors/sync, /api/shelters/sync
+//                                    apply queued changes, in the same form as /api/sync
+//   WS   /api/live                   change notices, presence and edit locks
+
+const http = require('http');
+const path = require('path');
+const { createStore, publishedOnly } = require('./store');
+const { createLiveChannel } = require('./live');
+const { createMessageStore } = require('./messages');
+const { createUserStore, authorizeChange, hasPermission } = require('./users');
+
+const PORT = parseInt(process.env.PORT, 10) || 4000;
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, 'data', 'store.json');
+const MESSAGES_FILE = path.join(path.dirname(DATA_FILE), 'messages.json');
+const USERS_FILE = path.join(path.dirname(DATA_FILE), 'users.json');
+const CONTRIBUTORS_FILE = path.join(path.dirname(DATA_FILE), 'contributors.json');
+const SHELTERS_FILE = path.join(path.dirname(DATA_FILE), 'shelters.json');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const store = createStore(DATA_FILE);
+const messages = createMessageStore(MESSAGES_FILE);
+const users = createUserStore(USERS_FILE);
+// Contributors and shelters merge like incidents, each in a store of its own and
+// changed only by those allowed to manage them. Shelters are on the public map.
+const recordStores = {
+  contributors: { store: createStore(CONTRIBUTORS_FILE), permission: 'manageContributors', isPublic: false },
+  shelters: { store: createStore(SHELTERS_FILE), permission: 'manageShelters', isPublic: true }
+};
+const live = createLiveChannel({
+  resolveUser: (hello) => {
+    if (!users.hasUsers()) return String(hello.user || 'Anonymous').slice(0, 100);
+    const user = users.getSessionUser(hello.token);
+    return user ? user.name : null;
+  }
+});
+
+// Live clients that have not signed in only hear about published incidents and no chat
+function canSeeEverything(client) {
+  return !users.hasUsers() || Boolean(client.user);
+}
+
+// A record store's changes under the name of its collection rather than as incidents
+function toCollectionChanges(collection, { incidents, ...changes }) {
+  return { ...changes, [collection]: incidents };
+}
+
+function normalizeName(name) {
+  return (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Who a signed-in user posts chat as: their linked contributor, else one with the
+// same name, else the account itself. Mirrors getChatSender in src/App.js.
+function getMessageSender(user) {
+  const contributors = recordStores.contributors.store.changesSince(0).incidents;
+  const contributor = contributors.find(item => item.id === user.contributorId) ||
+    contributors.find(item => normalizeName(item.name) === normalizeName(user.name));
+  return contributor
+    ? { senderId: contributor.id, senderName: contributor.name }
+    : { senderId: null, senderName: user.name };
+}
+
+// Why a batch of queued changes cannot be applied, or null if it can
+function validateChanges(changes) {
+  if (!Array.isArray(changes)) return 'Expected a changes array';
+  const invalid = changes.find(change =>
+    !change || !change.incidentId || !Number.isFinite(change.timestamp) ||
+    !['upsert', 'delete'].includes(change.type)
+  );
+  return invalid ? 'Every change needs an incidentId, a timestamp and a type' : null;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function getBearerToken(req) {
+  const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const token = getBearerToken(req);
+  const user = users.getSessionUser(token);
+  // Without any accounts the server is open, as it was before accounts existed
+  const isOpen = !users.hasUsers();
+
+  // Send an error response unless the caller may use the given permission
+  const denied = (permission) => {
+    if (isOpen) return false;
+    if (!user) sendJson(res, 401, { error: 'Sign in first' });
+    else if (!hasPermission(user, permission)) sendJson(res, 403, { error: 'You do not have permission to do this' });
+    else return false;
+    return true;
+  };
+
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204, {});
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/health') {
+    sendJson(res, 200, { status: 'ok' });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/auth') {
+    sendJson(res, 200, { setupRequired: isOpen });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/login') {
+    const body = await readJsonBody(req);
+    const session = users.signIn(body.username, body.password);
+    if (!session) {
+      sendJson(res, 401, { error: 'Wrong username or password' });
+      return;
+    }
+    sendJson(res, 200, session);
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/logout') {
+    users.signOut(token);
+    sendJson(res, 200, {});
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/session') {
+    if (!user) {
+      sendJson(res, 401, { error: 'Sign in first' });
+      return;
+    }
+    sendJson(res, 200, { user });
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/users') {
+    if (denied('manageUsers')) return;
+    sendJson(res, 200, { users: users.listUsers() });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/users') {
+    if (denied('manageUsers')) return;
+    const body = await readJsonBody(req);
+    // The first account runs the server, whatever role was asked for
+    const account = isOpen ? { ...body.user, role: 'admin' } : body.user;
+    const error = users.validateUser(account, body.password);
+    if (error) {
+      sendJson(res, 400, { error });
+      return;
+    }
+    sendJson(res, 200, { user: users.saveUser(account, body.password) });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/users/remove') {
+    if (denied('manageUsers')) return;
+    const body = await readJsonBody(req);
+    const error = user && user.id === body.id ? 'You cannot remove your own account' : users.removeUser(body.id);
+    if (error) {
+      sendJson(res, 400, { error });
+      return;
+    }
+    sendJson(res, 200, {});
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/incidents') {
+    const since = parseInt(url.searchParams.get('since'), 10) || 0;
+    const changes = store.changesSince(since);
+    sendJson(res, 200, isOpen || user ? changes : publishedOnly(changes));
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/sync') {
+    if (!isOpen && !user) {
+      sendJson(res, 401, { error: 'Sign in first' });
+      return;
+    }
+    const body = await readJsonBody(req);
+    const error = validateChanges(body.changes);
+    if (error) {
+      sendJson(res, 400, { error });
+      return;
+    }
+    const previousRevision = store.getRevision();
+    const result = store.applyChanges(body.changes, user && ((...args) => authorizeChange(user, ...args)), user && user.name);
+    if (result.revision > previousRevision) {
+      const changed = { type: 'changed', revision: result.revision, incidents: result.incidents, deleted: result.deleted };
+      live.broadcast(client => (canSeeEverything(client) ? changed : publishedOnly(changed)));
+    }
+    sendJson(res, 200, result);
+    return;
+  }
+
+  const recordsMatch = /^\/api\/(contributors|shelters)(\/sync)?$/.exec(url.pathname);
+  if (recordsMatch && (req.method === (recordsMatch[2] ? 'POST' : 'GET'))) {
+    const [, collection, isSync] = recordsMatch;
+    const { store: records, permission, isPublic } = recordStores[collection];
+    if (!isOpen && !user && (isSync || !isPublic)) {
+      sendJson(res, 401, { error: 'Sign in first' });
+      return;
+    }
+    if (!isSync) {
+      const since = parseInt(url.searchParams.get('since'), 10) || 0;
+      const { changedBy, ...changes } = records.changesSince(since);
+      sendJson(res, 200, toCollectionChanges(collection, isOpen || user ? { ...changes, changedBy } : changes));
+      return;
+    }
+
+    const body = await readJsonBody(req);
+    const error = validateChanges(body.changes);
+    if (error) {
+      sendJson(res, 400, { error });
+      return;
+    }
+    const previousRevision = records.getRevision();
+    const result = records.applyChanges(
+      body.changes,
+      user && (() => (hasPermission(user, permission) ? null : 'forbidden')),
+      user && user.name
+    );
+    if (result.revision > previousRevision) {
+      const changed = { type: 'changed', collection, revision: result.revision };
+      live.broadcast(client => (isPublic || canSeeEverything(client) ? changed : null));
+    }
+    sendJson(res, 200, toCollectionChanges(collection, result));
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/api/messages') {
+    if (!isOpen && !user) {
+      sendJson(res, 401, { error: 'Sign in first' });
+      return;
+    }
+    const since = parseInt(url.searchParams.get('since'), 10) || 0;
+    sendJson(res, 200, messages.messagesSince(since));
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/api/messages') {
+    if (denied('chat')) return;
+    const body = await readJsonBody(req);
+    if (!Array.isArray(body.messages) || !body.messages.every(messages.isValidMessage)) {
+      sendJson(res, 400, { error: 'Every message needs an id, a threadId, a senderName, text and a timestamp' });
+      return;
+    }
+    // Signed-in users post as themselves, whatever sender the client named
+    const sender = user && getMessageSender(user);
+    const added = messages.addMessages(sender ? body.messages.map(message => ({ ...message, ...sender })) : body.messages);
+    if (added.length > 0) {
+      live.broadcast(client => (canSeeEverything(client) ? { type: 'message', messages: added } : null));
+    }
+    sendJson(res, 200, { added: added.length });
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('Request error:', error);
+    sendJson(res, error.status || 500, { error: error.message });
+  });
+});
+
+server.on('upgrade', (req, socket) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (pathname === '/api/live') live.handleUpgrade(req, socket);
+  else socket.destroy();
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT}`);
+  console.log(`Storing incidents in ${DATA_FILE}, messages in ${MESSAGES_FILE} and accounts in ${USERS_FILE}`);
+  console.log(`Storing contributors in ${CONTRIBUTORS_FILE} and shelters in ${SHELTERS_FILE}`);
+});
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+
+// Minimal WebSocket channel (RFC 6455, text frames only) for live incident
+// updates, presence and edit locks. Kept dependency-free like the rest of the
+// reference server.
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const HEARTBEAT_INTERVAL = 30 * 1000;
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA
+};
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(payload.length / 2 ** 32), 2);
+    header.writeUInt32BE(payload.length >>> 0, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Split complete frames off the front of the buffer; returns the frames and what is left
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = buffer.readUInt32BE(offset + 2) * 2 ** 32 + buffer.readUInt32BE(offset + 6);
+      headerLength = 10;
+    }
+    if (length > MAX_MESSAGE_BYTES) throw new Error('Message too large');
+
+    const masked = (second & 0x80) !== 0;
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length - offset < headerLength + maskLength + length) break;
+
+    const mask = buffer.subarray(offset + headerLength, offset + headerLength + maskLength);
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset += headerLength + maskLength + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// resolveUser(hello) names the user behind a hello message, or returns null to turn them away
+function createLiveChannel({ resolveUser = (hello) => String(hello.user || 'Anonymous').slice(0, 100) } = {}) {
+  const clients = new Map();
+  const locks = new Map(); // incidentId -> clientId
+
+  const send = (client, message) => {
+    if (!client.socket.destroyed) client.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+  };
+
+  // message may be a function of the client, returning what that client may see or null
+  const broadcast = (message, exceptId) => {
+    clients.forEach(client => {
+      if (client.id === exceptId) return;
+      const visible = typeof message === 'function' ? message(client) : message;
+      if (visible) send(client, visible);
+    });
+  };
+
+  // Who is online and what they are editing, told only to clients that said hello
+  const broadcastPresence = () => {
+    const message = {
+      type: 'presence',
+      clients: [...clients.values()]
+        .filter(client => client.user)
+        .map(client => ({
+          clientId: client.id,
+          user: client.user,
+          editing: [...locks.entries()].find(([, holder]) => holder === client.id)?.[0] || null,
+          since: client.since
+        }))
+    };
+    broadcast(client => (client.user ? message : null));
+  };
+
+  const releaseLocks = (clientId) => {
+    locks.forEach((holder, incidentId) => {
+      if (holder === clientId) locks.delete(incidentId);
+    });
+  };
+
+  const handleMessage = (client, message) => {
+    switch (message.type) {
+      case 'hello': {
+        const user = resolveUser(message);
+        if (!user) {
+          // A refused hello also ends an earlier one, such as after signing out
+          const wasIn = Boolean(client.user);
+          client.user = null;
+          releaseLocks(client.id);
+          send(client, { type: 'error', error: 'Sign in to join the live channel' });
+          if (wasIn) broadcastPresence();
+          return;
+        }
+        client.user = user;
+        broadcastPresence();
+        break;
+      }
+      case 'lock': {
+        if (!client.user) {
+          send(client, { type: 'error', error: 'Say hello before locking incidents' });
+          return;
+        }
+        const holder = locks.get(message.incidentId);
+        if (holder && holder !== client.id && clients.has(holder)) {
+          send(client, { type: 'lock-denied', incidentId: message.incidentId, user: clients.get(holder).user });
+          return;
+        }
+        // One incident at a time per client
+        releaseLocks(client.id);
+        locks.set(message.incidentId, client.id);
+        client.since = Date.now();
+        broadcastPresence();
+        break;
+      }
+      case 'unlock':
+        if (locks.get(message.incidentId) === client.id) {
+          locks.delete(message.incidentId);
+          broadcastPresence();
+        }
+        break;
+      default:
+        send(client, { type: 'error', error: `Unknown message type ${message.type}` });
+    }
+  };
+
+  const disconnect = (client) => {
+    if (!clients.has(client.id)) return;
+    clients.delete(client.id);
+    releaseLocks(client.id);
+    client.socket.destroy();
+    broadcastPresence();
+  };
+
+  const heartbeat = setInterval(() => {
+    clients.forEach(client => {
+      if (!client.isAlive) {
+        disconnect(client);
+        return;
+      }
+      client.isAlive = false;
+      client.socket.write(encodeFrame(OPCODES.ping));
+    });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  return {
+    broadcast,
+
+    // Complete the WebSocket handshake for an HTTP upgrade request
+    handleUpgrade(req, socket) {
+      const key = req.headers['sec-websocket-key'];
+      if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+      }
+
+      const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+      socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+      ].join('\r\n'));
+
+      const client = { id: crypto.randomUUID(), socket, user: null, isAlive: true, since: null };
+      clients.set(client.id, client);
+      send(client, { type: 'welcome', clientId: client.id });
+
+      let buffer = Buffer.alloc(0);
+      let fragments = [];
+
+      socket.on('data', chunk => {
+        let decoded;
+        try {
+          decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+        } catch (error) {
+          socket.write(encodeFrame(OPCODES.close));
+          disconnect(client);
+          return;
+        }
+        buffer = decoded.rest;
+
+        decoded.frames.forEach(frame => {
+          client.isAlive = true;
+          if (frame.opcode === OPCODES.close) {
+            socket.write(encodeFrame(OPCODES.close));
+            disconnect(client);
+          } else if (frame.opcode === OPCODES.ping) {
+            socket.write(encodeFrame(OPCODES.pong, frame.payload));
+          } else if (frame.opcode === OPCODES.text || frame.opcode === OPCODES.continuation) {
+            fragments.push(frame.payload);
+            if (!frame.fin) return;
+            const text = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            try {
+              handleMessage(client, JSON.parse(text));
+            } catch (error) {
+              send(client, { type: 'error', error: 'Message is not valid JSON' });
+            }
+          }
+        });
+      });
+      socket.on('close', () => disconnect(client));
+      socket.on('error', () => disconnect(client));
+    }
+  };
+}
+
+module.exports = { createLiveChannel };
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { createLiveChannel } = require('./live');
+
+// Unmasked text frame, as decodeFrames accepts them
+function encodeText(message) {
+  const payload = Buffer.from(JSON.stringify(message));
+  return Buffer.concat([Buffer.from([0x81, payload.length]), payload]);
+}
+
+// Text messages from the frames the server wrote, skipping the handshake and pings
+function decodeTexts(chunks) {
+  return chunks.filter(chunk => Buffer.isBuffer(chunk) && (chunk[0] & 0x0f) === 0x1).map(chunk => {
+    const length = chunk[1] & 0x7f;
+    const offset = length === 126 ? 4 : 2;
+    return JSON.parse(chunk.subarray(offset).toString('utf8'));
+  });
+}
+
+// A client on a fake socket; received() lists what the server sent it after the welcome
+function connect(live) {
+  const socket = Object.assign(new EventEmitter(), {
+    destroyed: false,
+    chunks: [],
+    write(chunk) { this.chunks.push(chunk); },
+    end() {},
+    destroy() { this.destroyed = true; }
+  });
+  live.handleUpgrade({ headers: { 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==', upgrade: 'websocket' } }, socket);
+  return {
+    say: (message) => socket.emit('data', encodeText(message)),
+    received: () => decodeTexts(socket.chunks).slice(1)
+  };
+}
+
+const createChannel = () => createLiveChannel({ resolveUser: (hello) => ({ good: 'Nimal Perera', other: 'Kamala Silva' }[hello.token] || null) });
+
+test('tells only clients that signed in who is online and what they edit', () => {
+  const live = createChannel();
+  const nimal = connect(live);
+  const stranger = connect(live);
+  nimal.say({ type: 'hello', token: 'good' });
+  stranger.say({ type: 'hello', token: 'stolen' });
+  nimal.say({ type: 'lock', incidentId: 'a' });
+
+  assert.deepStrictEqual(stranger.received(), [{ type: 'error', error: 'Sign in to join the live channel' }]);
+  const presence = nimal.received().filter(message => message.type === 'presence');
+  assert.strictEqual(presence.length, 2);
+  assert.deepStrictEqual(presence[1].clients.map(client => [client.user, client.editing]), [['Nimal Perera', 'a']]);
+});
+
+test('names the lock holder to signed-in clients only', () => {
+  const live = createChannel();
+  const nimal = connect(live);
+  const kamala = connect(live);
+  nimal.say({ type: 'hello', token: 'good' });
+  nimal.say({ type: 'lock', incidentId: 'a' });
+  kamala.say({ type: 'hello', token: 'other' });
+  kamala.say({ type: 'lock', incidentId: 'a' });
+
+  assert.deepStrictEqual(kamala.received().pop(), { type: 'lock-denied', incidentId: 'a', user: 'Nimal Perera' });
+
+  // A refused hello signs the client out of the channel again
+  kamala.say({ type: 'hello', token: 'expired' });
+  kamala.say({ type: 'lock', incidentId: 'a' });
+  assert.deepStrictEqual(kamala.received().slice(-2), [
+    { type: 'error', error: 'Sign in to join the live channel' },
+    { type: 'error', error: 'Say hello before locking incidents' }
+  ]);
+  const lastPresence = nimal.received().filter(message => message.type === 'presence').pop();
+  assert.deepStrictEqual(lastPresence.clients.map(client => client.user), ['Nimal Perera']);
+});
+
+test('sends broadcasts given as a function only to the clients it answers for', () => {
+  const live = createChannel();
+  const nimal = connect(live);
+  const stranger = connect(live);
+  nimal.say({ type: 'hello', token: 'good' });
+
+  live.broadcast(client => (client.user ? { type: 'changed', revision: 2 } : null));
+
+  assert.deepStrictEqual(nimal.received().pop(), { type: 'changed', revision: 2 });
+  assert.deepStrictEqual(stranger.received(), []);
+});
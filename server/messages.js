@@ -0,0 +1,61 @@
+const { readJsonFile, writeJsonFile } = require('./store');
+
+// Append-only chat message store. Messages carry client-generated IDs so a
+// resent outbox is ignored, and a sequence number so clients can fetch only
+// what they have not seen.
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+function isValidMessage(message) {
+  return Boolean(message) &&
+    typeof message.id === 'string' && message.id.length > 0 &&
+    typeof message.threadId === 'string' && message.threadId.length > 0 &&
+    typeof message.text === 'string' && message.text.trim().length > 0 &&
+    message.text.length <= MAX_MESSAGE_LENGTH &&
+    typeof message.senderName === 'string' &&
+    Number.isFinite(message.timestamp);
+}
+
+function createMessageStore(filePath) {
+  const data = readJsonFile(filePath, { seq: 0, messages: [] });
+  const knownIds = new Set(data.messages.map(message => message.id));
+
+  return {
+    isValidMessage,
+
+    // Messages after the given sequence number
+    messagesSince(since = 0) {
+      return {
+        seq: data.seq,
+        messages: data.messages.filter(message => message.seq > since)
+      };
+    },
+
+    // Store new messages and return the ones that were not seen before
+    addMessages(messages) {
+      const added = messages
+        .filter(message => !knownIds.has(message.id))
+        .map(message => {
+          data.seq += 1;
+          knownIds.add(message.id);
+          return {
+            id: message.id,
+            threadId: message.threadId,
+            senderId: message.senderId || null,
+            senderName: message.senderName,
+            text: message.text,
+            timestamp: message.timestamp,
+            seq: data.seq
+          };
+        });
+
+      if (added.length > 0) {
+        data.messages.push(...added);
+        writeJsonFile(filePath, data);
+      }
+      return added;
+    }
+  };
+}
+
+module.exports = { createMessageStore };
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+// File-backed incident store with per-field last-writer-wins merging. The
+// server keeps contributors and shelters in stores of the same kind.
+//
+// Every field remembers the client timestamp of its last write and the store
+// revision it was written at. A write older than the stored value loses, and a
+// write to a field that changed after the client's base revision is reported
+// back as a conflict so it can be reviewed by hand. Each incident also keeps
+// who made its latest change and when, which clients record in their history.
+
+const emptyStore = () => ({ revision: 0, incidents: {} });
+
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Incidents from before moderation was introduced count as published, as in the app
+function isPublished(incident) {
+  return (incident.moderationStatus || 'published') === 'published';
+}
+
+// Changes as the public may see them: incidents not (or no longer) published read as
+// deleted, and who changed incidents is left out
+function publishedOnly({ changedBy, ...changes }) {
+  const hidden = changes.incidents.filter(incident => !isPublished(incident));
+  return {
+    ...changes,
+    incidents: changes.incidents.filter(isPublished),
+    deleted: [...changes.deleted, ...hidden.map(incident => incident.id)]
+  };
+}
+
+function readJsonFile(filePath, fallback) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+}
+
+// Write through a temporary file so a crash never leaves half a store behind
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data));
+  fs.renameSync(tempPath, filePath);
+}
+
+function createStore(filePath) {
+  const data = readJsonFile(filePath, emptyStore());
+  const save = () => writeJsonFile(filePath, data);
+
+  const getRecord = (id) => {
+    if (!data.incidents[id]) {
+      data.incidents[id] = {
+        data: { id },
+        fieldTimes: {},
+        fieldRevisions: {},
+        revision: 0,
+        deletedAt: null
+      };
+    }
+    return data.incidents[id];
+  };
+
+  const applyUpsert = (change, revision) => {
+    const record = getRecord(change.incidentId);
+    const conflicts = [];
+
+    if (record.deletedAt && record.deletedAt >= change.timestamp) {
+      return { status: 'rejected', reason: 'deleted', conflicts };
+    }
+    // Bringing an incident back is a change of its own, even with no field edits
+    if (record.deletedAt) {
+      record.deletedAt = null;
+      record.revision = revision;
+    }
+
+    Object.entries(change.fields || {}).forEach(([field, value]) => {
+      if (field === 'id') return;
+      const serverValue = record.data[field];
+      const serverTime = record.fieldTimes[field] || 0;
+      const clientTime = change.fieldTimes && field in change.fieldTimes
+        ? change.fieldTimes[field]
+        : change.timestamp;
+      const concurrent = (record.fieldRevisions[field] || 0) > (change.baseRevision || 0) &&
+        !isEqual(serverValue, value);
+      const clientWins = clientTime >= serverTime;
+
+      if (concurrent) {
+        conflicts.push({
+          field,
+          clientValue: value ?? null,
+          serverValue: serverValue ?? null,
+          winner: clientWins ? 'client' : 'server'
+        });
+      }
+
+      if (clientWins && !isEqual(serverValue, value)) {
+        if (value === null || value === undefined) delete record.data[field];
+        else record.data[field] = value;
+        record.fieldTimes[field] = clientTime;
+        record.fieldRevisions[field] = revision;
+        record.revision = revision;
+      } else if (clientWins) {
+        record.fieldTimes[field] = clientTime;
+      }
+    });
+
+    return { status: conflicts.length ? 'conflict' : 'applied', conflicts };
+  };
+
+  const applyDelete = (change, revision) => {
+    const record = data.incidents[change.incidentId];
+    if (!record || record.deletedAt) return { status: 'applied', conflicts: [] };
+
+    // An edit made after the delete keeps the incident alive
+    const lastWrite = Math.max(0, ...Object.values(record.fieldTimes));
+    if (lastWrite > change.timestamp) {
+      return { status: 'rejected', reason: 'edited-after-delete', conflicts: [] };
+    }
+
+    record.deletedAt = change.timestamp;
+    record.revision = revision;
+    return { status: 'applied', conflicts: [] };
+  };
+
+  // Who last changed each of the records, by incident id
+  const getChangedBy = (records) => Object.fromEntries(records
+    .filter(record => record.changedBy)
+    .map(record => [record.data.id, record.changedBy]));
+
+  return {
+    getRevision() {
+      return data.revision;
+    },
+
+    // Incidents and deletions recorded after the given revision
+    changesSince(since = 0) {
+      const records = Object.values(data.incidents).filter(record => record.revision > since);
+      return {
+        revision: data.revision,
+        incidents: records.filter(record => !record.deletedAt).map(record => record.data),
+        deleted: records.filter(record => record.deletedAt).map(record => record.data.id),
+        changedBy: getChangedBy(records)
+      };
+    },
+
+    // Apply a batch of queued client changes and return the resulting state of each incident.
+    // authorize(change, current, isDeleted) may veto a change by returning the reason it was
+    // refused; current is the stored incident, also when it is deleted. author is the name
+    // the changes are made under, or null when the server has no accounts.
+    applyChanges(changes, authorize = null, author = null) {
+      const revision = data.revision + 1;
+      const results = changes.map(change => {
+        const record = data.incidents[change.incidentId];
+        const refusal = authorize && authorize(change, record ? record.data : null, Boolean(record && record.deletedAt));
+        if (refusal) return { opId: change.opId, status: 'rejected', reason: refusal, conflicts: [] };
+
+        const result = change.type === 'delete' ? applyDelete(change, revision) : applyUpsert(change, revision);
+        const changed = data.incidents[change.incidentId];
+        if (changed && changed.revision === revision) {
+          changed.changedBy = author ? { user: author, timestamp: change.timestamp } : null;
+        }
+        return { opId: change.opId, ...result };
+      });
+
+      const touched = [...new Set(changes.map(change => change.incidentId))]
+        .map(id => data.incidents[id])
+        .filter(Boolean);
+
+      if (touched.some(record => record.revision === revision)) {
+        data.revision = revision;
+        save();
+      }
+
+      return {
+        revision: data.revision,
+        results,
+        incidents: touched.filter(record => !record.deletedAt).map(record => record.data),
+        deleted: touched.filter(record => record.deletedAt).map(record => record.data.id),
+        changedBy: getChangedBy(touched)
+      };
+    }
+  };
+}
+
+module.exports = { createStore, publishedOnly, readJsonFile, writeJsonFile };
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, publishedOnly } = require('./store');
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-')), 'incidents.json');
+
+let opCount = 0;
+const upsert = (incidentId, fields, timestamp, baseRevision = 0) =>
+  ({ opId: `op-${++opCount}`, type: 'upsert', incidentId, fields, timestamp, baseRevision });
+const remove = (incidentId, timestamp) => ({ opId: `op-${++opCount}`, type: 'delete', incidentId, timestamp });
+
+test('applies new incidents, bumps the revision and saves them to disk', () => {
+  const filePath = tempFile();
+  const store = createStore(filePath);
+  const response = store.applyChanges([upsert('a', { incidentName: 'Canal overflow', severity: 'severe' }, 100)]);
+
+  assert.strictEqual(response.revision, 1);
+  assert.deepStrictEqual(response.results.map(result => result.status), ['applied']);
+  assert.deepStrictEqual(response.incidents, [{ id: 'a', incidentName: 'Canal overflow', severity: 'severe' }]);
+  assert.deepStrictEqual(createStore(filePath).changesSince(0).incidents, response.incidents);
+});
+
+test('keeps the revision when a change writes nothing new', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { severity: 'severe' }, 100)]);
+  const response = store.applyChanges([upsert('a', { severity: 'severe' }, 200, 1)]);
+
+  assert.strictEqual(response.revision, 1);
+  assert.deepStrictEqual(store.changesSince(1), { revision: 1, incidents: [], deleted: [], changedBy: {} });
+});
+
+test('merges fields last-writer-wins and reports concurrent edits as conflicts', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { severity: 'minor', description: 'Ankle deep' }, 100)]);
+  store.applyChanges([upsert('a', { severity: 'severe' }, 300, 1)]);
+
+  // Written against revision 1, so it did not see the severity change at revision 2
+  const response = store.applyChanges([upsert('a', { severity: 'critical', description: 'Knee deep' }, 200, 1)]);
+
+  assert.strictEqual(response.results[0].status, 'conflict');
+  assert.deepStrictEqual(response.results[0].conflicts, [
+    { field: 'severity', clientValue: 'critical', serverValue: 'severe', winner: 'server' }
+  ]);
+  assert.deepStrictEqual(response.incidents, [{ id: 'a', severity: 'severe', description: 'Knee deep' }]);
+});
+
+test('lets a newer concurrent edit win and still reports it', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { severity: 'minor' }, 100)]);
+  store.applyChanges([upsert('a', { severity: 'severe' }, 200, 1)]);
+  const response = store.applyChanges([upsert('a', { severity: 'critical' }, 300, 1)]);
+
+  assert.deepStrictEqual(response.results[0].conflicts, [
+    { field: 'severity', clientValue: 'critical', serverValue: 'severe', winner: 'client' }
+  ]);
+  assert.strictEqual(response.incidents[0].severity, 'critical');
+});
+
+test('removes fields written as null', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { severity: 'minor', road: 'Main Street' }, 100)]);
+  const response = store.applyChanges([upsert('a', { road: null }, 200, 1)]);
+
+  assert.deepStrictEqual(response.incidents, [{ id: 'a', severity: 'minor' }]);
+});
+
+test('deletes incidents and lists them as deleted', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { severity: 'minor' }, 100)]);
+  const response = store.applyChanges([remove('a', 200)]);
+
+  assert.strictEqual(response.results[0].status, 'applied');
+  assert.deepStrictEqual(response.deleted, ['a']);
+  assert.deepStrictEqual(store.changesSince(1), { revision: 2, incidents: [], deleted: ['a'], changedBy: {} });
+});
+
+test('refuses a delete older than an edit to the incident', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { severity: 'minor' }, 300)]);
+  const response = store.applyChanges([remove('a', 200)]);
+
+  assert.deepStrictEqual(response.results[0], { opId: response.results[0].opId, status: 'rejected', reason: 'edited-after-delete', conflicts: [] });
+  assert.deepStrictEqual(response.deleted, []);
+});
+
+test('refuses an edit older than the delete of the incident', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { severity: 'minor' }, 100)]);
+  store.applyChanges([remove('a', 300)]);
+  const response = store.applyChanges([upsert('a', { severity: 'severe' }, 200, 1)]);
+
+  assert.strictEqual(response.results[0].status, 'rejected');
+  assert.strictEqual(response.results[0].reason, 'deleted');
+  assert.deepStrictEqual(response.deleted, ['a']);
+});
+
+test('brings back a deleted incident under a new revision even without field changes', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { severity: 'minor' }, 100)]);
+  store.applyChanges([remove('a', 200)]);
+  const response = store.applyChanges([upsert('a', { severity: 'minor' }, 300, 2)]);
+
+  assert.strictEqual(response.results[0].status, 'applied');
+  assert.strictEqual(response.revision, 3);
+  // Clients that saw the delete at revision 2 must be told about the restore
+  assert.deepStrictEqual(store.changesSince(2), { revision: 3, incidents: [{ id: 'a', severity: 'minor' }], deleted: [], changedBy: {} });
+});
+
+test('passes the stored incident to authorize and skips refused changes', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { createdBy: 'u1' }, 100)]);
+  store.applyChanges([remove('a', 200)]);
+
+  const calls = [];
+  const response = store.applyChanges([upsert('a', { severity: 'severe' }, 300, 2), upsert('b', { severity: 'minor' }, 300)], (change, current, isDeleted) => {
+    calls.push([change.incidentId, current, isDeleted]);
+    return change.incidentId === 'a' ? 'forbidden' : null;
+  });
+
+  assert.deepStrictEqual(calls, [['a', { id: 'a', createdBy: 'u1' }, true], ['b', null, false]]);
+  assert.deepStrictEqual(response.results.map(result => [result.status, result.reason]), [['rejected', 'forbidden'], ['applied', undefined]]);
+  assert.deepStrictEqual(response.deleted, ['a']);
+  assert.deepStrictEqual(response.incidents, [{ id: 'b', severity: 'minor' }]);
+});
+
+test('remembers who made the latest change to each incident and when', () => {
+  const store = createStore(tempFile());
+  store.applyChanges([upsert('a', { severity: 'minor' }, 100), upsert('b', { severity: 'minor' }, 100)], null, 'Nimal Perera');
+  const response = store.applyChanges([upsert('a', { severity: 'severe' }, 200, 1), remove('b', 200)], null, 'Kamala Silva');
+
+  assert.deepStrictEqual(response.changedBy, {
+    a: { user: 'Kamala Silva', timestamp: 200 },
+    b: { user: 'Kamala Silva', timestamp: 200 }
+  });
+  assert.deepStrictEqual(store.changesSince(0).changedBy, response.changedBy);
+
+  // A change that writes nothing new leaves the last author in place
+  store.applyChanges([upsert('a', { severity: 'severe' }, 300, 2)], null, 'Nimal Perera');
+  assert.deepStrictEqual(store.changesSince(0).changedBy.a, { user: 'Kamala Silva', timestamp: 200 });
+});
+
+test('publishedOnly turns unpublished incidents into deletions and leaves out who changed them', () => {
+  const changes = {
+    revision: 4,
+    incidents: [{ id: 'a' }, { id: 'b', moderationStatus: 'published' }, { id: 'c', moderationStatus: 'submitted' }, { id: 'd', moderationStatus: 'rejected' }],
+    deleted: ['e'],
+    changedBy: { a: { user: 'Nimal Perera', timestamp: 100 } }
+  };
+
+  assert.deepStrictEqual(publishedOnly(changes), {
+    revision: 4,
+    incidents: [{ id: 'a' }, { id: 'b', moderationStatus: 'published' }],
+    deleted: ['e', 'c', 'd']
+  });
+});
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+// Local map tile server, for trying offline maps without a tile provider.
+//
+//   npm run tile-server
+//   PORT=4100 TILE_DIR=/srv/tiles node server/tiles.js
+//
+// Then enter http://localhost:4100/{z}/{x}/{y}.png as the Tile URL Template in
+// Settings. With TILE_DIR set, tiles are read from TILE_DIR/{z}/{x}/{y}.png
+// (the layout most tile export tools write). Without it every tile is a
+// generated test pattern whose colour depends on its coordinates, so it is
+// easy to see which tiles came from the offline cache.
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+
+const PORT = parseInt(process.env.PORT, 10) || 4100;
+const TILE_DIR = process.env.TILE_DIR || null;
+const TILE_SIZE = 256;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Encode RGB pixel rows as a PNG
+function encodePng(width, height, pixel) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Truecolour
+
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const offset = y * (width * 3 + 1);
+    for (let x = 0; x < width; x++) {
+      const [r, g, b] = pixel(x, y);
+      rows[offset + 1 + x * 3] = r;
+      rows[offset + 2 + x * 3] = g;
+      rows[offset + 3 + x * 3] = b;
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Checkerboard in a colour picked from the tile coordinates, with a dark border
+function drawTestTile(z, x, y) {
+  const hue = ((x * 37 + y * 61 + z * 89) % 360) / 60;
+  const base = [0, 1, 2].map(channel => {
+    const value = Math.abs(((hue + channel * 2) % 6) - 3) - 1;
+    return Math.round(160 + Math.min(Math.max(value, 0), 1) * 80);
+  });
+  return encodePng(TILE_SIZE, TILE_SIZE, (px, py) => {
+    if (px < 2 || py < 2) return [60, 60, 60];
+    const checker = (Math.floor(px / 32) + Math.floor(py / 32)) % 2;
+    return base.map(value => value - checker * 20);
+  });
+}
+
+function send(res, status, headers, body) {
+  res.writeHead(status, { 'Access-Control-Allow-Origin': '*', ...headers });
+  res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+  const match = /^\/(\d+)\/(\d+)\/(\d+)\.png$/.exec(new URL(req.url, 'http://localhost').pathname);
+  if (req.method !== 'GET' || !match) {
+    send(res, 404, { 'Content-Type': 'text/plain' }, 'Not found');
+    return;
+  }
+
+  const [z, x, y] = match.slice(1).map(Number);
+  if (!TILE_DIR) {
+    send(res, 200, { 'Content-Type': 'image/png', 'Cache-Control': 'no-cache' }, drawTestTile(z, x, y));
+    return;
+  }
+
+  fs.readFile(path.join(TILE_DIR, String(z), String(x), `${y}.png`), (error, data) => {
+    if (error) send(res, 404, { 'Content-Type': 'text/plain' }, 'No such tile');
+    else send(res, 200, { 'Content-Type': 'image/png' }, data);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Tile server listening on http://localhost:${PORT}/{z}/{x}/{y}.png`);
+  console.log(TILE_DIR ? `Serving tiles from ${TILE_DIR}` : 'Serving generated test tiles');
+});
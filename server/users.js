@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./store');
+
+// Accounts and sign-in sessions for the sync server.
+//
+// Passwords are kept as scrypt hashes. A session is a random bearer token, of
+// which only the SHA-256 is written to disk, so a copied data file cannot be
+// used to sign in.
+
+const USER_ROLES = ['viewer', 'reporter', 'coordinator', 'admin'];
+
+// Keep in step with ROLE_PERMISSIONS in src/App.js
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  reporter: ['plot', 'editOwn', 'chat'],
+  coordinator: ['plot', 'editOwn', 'editAny', 'delete', 'import', 'moderate', 'manageContributors', 'manageShelters', 'chat'],
+  admin: [
+    'plot', 'editOwn', 'editAny', 'delete', 'import', 'moderate', 'manageContributors', 'manageShelters', 'chat',
+    'manageUsers', 'settings'
+  ]
+};
+
+const MODERATION_FIELDS = ['moderationStatus', 'moderatedBy', 'moderatedAt', 'rejectionReason'];
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hasPermission(user, permission) {
+  return Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+// Why a signed-in user may not make a queued incident change, or null if they may.
+// current is the stored incident, deleted or not, and decides who owns it.
+// Reporters only touch incidents they created, file new ones for review and
+// cannot change their review state or owner, or bring deleted ones back.
+function authorizeChange(user, change, current, isDeleted = false) {
+  if (change.type === 'delete') return hasPermission(user, 'delete') ? null : 'forbidden';
+
+  const fields = change.fields || {};
+  const canModerate = hasPermission(user, 'moderate');
+  if (!current && !canModerate && fields.moderationStatus !== 'submitted') return 'forbidden';
+  if (isDeleted && !hasPermission(user, 'delete') && !hasPermission(user, 'editAny')) return 'forbidden';
+
+  const isNewReport = !current && fields.moderationStatus === 'submitted';
+  const changesModeration = MODERATION_FIELDS.some(field =>
+    field in fields && !(field === 'moderationStatus' && isNewReport)
+  );
+  if (changesModeration && !canModerate) return 'forbidden';
+  if (hasPermission(user, 'editAny')) return null;
+
+  if (current && 'createdBy' in fields && fields.createdBy !== current.createdBy) return 'forbidden';
+  const owner = current ? current.createdBy : fields.createdBy;
+  return hasPermission(user, 'editOwn') && owner === user.id ? null : 'forbidden';
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function createUserStore(filePath) {
+  const data = readJsonFile(filePath, { users: [], sessions: {} });
+  const save = () => writeJsonFile(filePath, data);
+  const toPublic = ({ passwordHash, passwordSalt, ...user }) => user;
+  const adminCount = () => data.users.filter(user => user.role === 'admin').length;
+
+  const dropExpiredSessions = () => {
+    const now = Date.now();
+    Object.entries(data.sessions).forEach(([tokenHash, session]) => {
+      if (session.expiresAt < now) delete data.sessions[tokenHash];
+    });
+  };
+
+  return {
+    hasUsers() {
+      return data.users.length > 0;
+    },
+
+    listUsers() {
+      return data.users.map(toPublic);
+    },
+
+    // Problem with a user about to be saved, or null if it can be saved
+    validateUser(user, password) {
+      if (!user || typeof user !== 'object') return 'Expected a user';
+      const existing = data.users.find(item => item.id === user.id);
+      const username = normalizeUsername(user.username);
+      if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+        return 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+      }
+      if (data.users.some(item => item.username === username && item.id !== user.id)) {
+        return 'This username is already taken';
+      }
+      if (typeof user.name !== 'string' || !user.name.trim()) return 'Name is required';
+      if (!USER_ROLES.includes(user.role)) return `Role must be one of ${USER_ROLES.join(', ')}`;
+      if ((!existing || password) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+      }
+      if (existing && existing.role === 'admin' && user.role !== 'admin' && adminCount() === 1) {
+        return 'The last admin cannot be given another role';
+      }
+      return null;
+    },
+
+    // Add or update a user; the password is only changed when one is given
+    saveUser(user, password) {
+      const existing = data.users.find(item => item.id === user.id);
+      const saved = {
+        ...existing,
+        id: existing ? existing.id : crypto.randomUUID(),
+        username: normalizeUsername(user.username),
+        name: user.name.trim(),
+        role: user.role,
+        contributorId: user.contributorId || null,
+        createdAt: existing ? existing.createdAt : Date.now()
+      };
+      if (password) {
+        saved.passwordSalt = crypto.randomBytes(16).toString('hex');
+        saved.passwordHash = hashPassword(password, saved.passwordSalt);
+      }
+      data.users = existing
+        ? data.users.map(item => (item.id === saved.id ? saved : item))
+        : [...data.users, saved];
+      save();
+      return toPublic(saved);
+    },
+
+    // Remove a user and end their sessions. The last admin stays.
+    removeUser(id) {
+      const user = data.users.find(item => item.id === id);
+      if (!user) return 'No such user';
+      if (user.role === 'admin' && adminCount() === 1) return 'The last admin cannot be removed';
+      data.users = data.users.filter(item => item.id !== id);
+      Object.entries(data.sessions).forEach(([tokenHash, session]) => {
+        if (session.userId === id) delete data.sessions[tokenHash];
+      });
+      save();
+      return null;
+    },
+
+    // A new session token for matching credentials, or null
+    signIn(username, password) {
+      const user = data.users.find(item => item.username === normalizeUsername(username));
+      const expected = user ? Buffer.from(user.passwordHash, 'hex') : crypto.randomBytes(64);
+      const actual = Buffer.from(hashPassword(String(password || ''), user ? user.passwordSalt : 'none'), 'hex');
+      // Compare even for unknown users so response times don't reveal which usernames exist
+      if (!crypto.timingSafeEqual(expected, actual) || !user) return null;
+
+      dropExpiredSessions();
+      const token = crypto.randomBytes(32).toString('hex');
+      data.sessions[hashToken(token)] = { userId: user.id, expiresAt: Date.now() + SESSION_TTL };
+      save();
+      return { token, user: toPublic(user) };
+    },
+
+    // The user a bearer token belongs to, or null when it is unknown or expired
+    getSessionUser(token) {
+      if (!token) return null;
+      const session = data.sessions[hashToken(token)];
+      if (!session || session.expiresAt < Date.now()) return null;
+      const user = data.users.find(item => item.id === session.userId);
+      return user ? toPublic(user) : null;
+    },
+
+    signOut(token) {
+      if (!token || !data.sessions[hashToken(token)]) return;
+      delete data.sessions[hashToken(token)];
+      save();
+    }
+  };
+}
+
+module.exports = { USER_ROLES, ROLE_PERMISSIONS, hasPermission, authorizeChange, createUserStore };
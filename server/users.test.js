@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { authorizeChange, createUserStore } = require('./users');
+
+const reporter = { id: 'u1', role: 'reporter' };
+const coordinator = { id: 'u2', role: 'coordinator' };
+const viewer = { id: 'u3', role: 'viewer' };
+
+const upsert = (fields) => ({ type: 'upsert', incidentId: 'a', fields });
+const own = { id: 'a', createdBy: 'u1', moderationStatus: 'submitted' };
+const others = { id: 'a', createdBy: 'u9', moderationStatus: 'published' };
+
+test('reporters file new incidents only for review', () => {
+  assert.strictEqual(authorizeChange(reporter, upsert({ createdBy: 'u1', moderationStatus: 'submitted' }), null), null);
+  assert.strictEqual(authorizeChange(reporter, upsert({ createdBy: 'u1', moderationStatus: 'published' }), null), 'forbidden');
+  assert.strictEqual(authorizeChange(reporter, upsert({ createdBy: 'u1' }), null), 'forbidden');
+});
+
+test('reporters edit only incidents stored as theirs', () => {
+  assert.strictEqual(authorizeChange(reporter, upsert({ description: 'Rising' }), own), null);
+  assert.strictEqual(authorizeChange(reporter, upsert({ description: 'Rising' }), others), 'forbidden');
+  // Claiming the incident in the change does not make it theirs
+  assert.strictEqual(authorizeChange(reporter, upsert({ createdBy: 'u1' }), others), 'forbidden');
+});
+
+test('reporters cannot hand their incidents to someone else', () => {
+  assert.strictEqual(authorizeChange(reporter, upsert({ createdBy: 'u9', description: 'Rising' }), own), 'forbidden');
+  assert.strictEqual(authorizeChange(reporter, upsert({ createdBy: 'u1', description: 'Rising' }), own), null);
+  assert.strictEqual(authorizeChange(coordinator, upsert({ createdBy: 'u1' }), others), null);
+});
+
+test('reporters cannot change the review state', () => {
+  assert.strictEqual(authorizeChange(reporter, upsert({ moderationStatus: 'published' }), own), 'forbidden');
+  assert.strictEqual(authorizeChange(reporter, upsert({ moderatedBy: 'u1' }), own), 'forbidden');
+  assert.strictEqual(authorizeChange(reporter, upsert({ createdBy: 'u1', moderationStatus: 'submitted', moderatedBy: 'u1' }), null), 'forbidden');
+});
+
+test('reporters cannot delete or bring back deleted incidents', () => {
+  assert.strictEqual(authorizeChange(reporter, { type: 'delete', incidentId: 'a' }, own), 'forbidden');
+  assert.strictEqual(authorizeChange(reporter, upsert({ description: 'Back' }), own, true), 'forbidden');
+});
+
+test('coordinators edit, moderate, delete and restore any incident', () => {
+  assert.strictEqual(authorizeChange(coordinator, upsert({ moderationStatus: 'published', moderatedBy: 'u2' }), others), null);
+  assert.strictEqual(authorizeChange(coordinator, upsert({ createdBy: 'u2', moderationStatus: 'published' }), null), null);
+  assert.strictEqual(authorizeChange(coordinator, { type: 'delete', incidentId: 'a' }, others), null);
+  assert.strictEqual(authorizeChange(coordinator, upsert({ description: 'Back' }), others, true), null);
+});
+
+test('viewers change nothing', () => {
+  assert.strictEqual(authorizeChange(viewer, upsert({ createdBy: 'u3', moderationStatus: 'submitted' }), null), 'forbidden');
+  assert.strictEqual(authorizeChange(viewer, upsert({ description: 'Rising' }), others), 'forbidden');
+});
+
+test('signs users in by password and keeps the last admin', () => {
+  const store = createUserStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'users-test-')), 'users.json'));
+  const admin = store.saveUser({ username: 'Admin', name: 'Admin', role: 'admin' }, 'correct horse');
+
+  assert.strictEqual(store.signIn('admin', 'wrong password'), null);
+  const session = store.signIn('ADMIN', 'correct horse');
+  assert.deepStrictEqual(store.getSessionUser(session.token), admin);
+  assert.strictEqual(store.validateUser({ ...admin, role: 'viewer' }), 'The last admin cannot be given another role');
+  assert.strictEqual(store.removeUser(admin.id), 'The last admin cannot be removed');
+
+  store.signOut(session.token);
+  assert.strictEqual(store.getSessionUser(session.token), null);
+});
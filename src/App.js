@@ -1,10 +1,12 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Polygon, Polyline, useMap, useMapEvents, Circle, Tooltip } from 'react-leaflet';
+import React, { useState, useEffect, useRef, useCallback, useContext, createContext } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Polygon, Polyline, GeoJSON, useMap, useMapEvents, Circle, CircleMarker, Tooltip } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import icon from 'leaflet/dist/images/marker-icon.png';
 import iconShadow from 'leaflet/dist/images/marker-shadow.png';
 import './App.css';
+import GALLE_GAZETTEER from './gazetteer';
+import DISTRICT_BOUNDARIES from './boundaries/districts.json';
 
 // Fix for default marker icons in React-Leaflet
 let DefaultIcon = L.icon({
@@ -19,7 +21,6 @@ let DefaultIcon = L.icon({
 L.Marker.prototype.options.icon = DefaultIcon;
 
 // Global constants
-const GALLE_CENTER = [6.0535, 80.2210];
 const DEFAULT_ZOOM = 14;
 const SEARCH_ZOOM = 15;
 const SEVERITY_COLORS = {
@@ -28,14 +29,6 @@ const SEVERITY_COLORS = {
   high: '#1976D2'    // Dark blue
 };
 
-// Updated Galle district boundaries (expanded to properly include all areas)
-const GALLE_AREA = {
-  north: 6.4200, // Expanded north boundary
-  south: 5.9700, // Expanded south boundary
-  east: 80.5000, // Expanded east boundary
-  west: 79.9800  // Expanded west boundary
-};
-
 // Galle District viewbox for optimized search
 const GALLE_VIEWBOX = '80.1210,5.9535,80.3210,6.1535'; // [west,south,east,north]
 
@@ -54,6 +47,28 @@ const TRANSITION_OPTIONS = {
 // Sri Lanka viewbox for search
 const SL_VIEWBOX = '79.5,5.8,82.0,9.9'; // [west,south,east,north]
 
+// District selector value that covers the whole country
+const NATIONAL_VIEW = 'national';
+const DEFAULT_DISTRICT = 'Galle';
+
+// Margin kept around a district's outline when it becomes the map bounds, in degrees
+const DISTRICT_BOUNDS_PADDING = 0.02;
+const DISTRICT_MIN_ZOOM = 9;
+const NATIONAL_MIN_ZOOM = 7;
+
+// Bundled outlines drawn over the map; labels appear once the map is zoomed
+// in far enough to read them. Only districts are bundled: DS and GN outlines
+// belong here once official ones are, and not before.
+const BOUNDARY_LAYERS = [
+  { key: 'district', label: 'Districts', data: DISTRICT_BOUNDARIES, color: '#5d4037', weight: 2, labelZoom: 8 }
+];
+// The district outlines are generalised, so a point this close outside one in
+// meters, such as on the shore, still counts as in it
+const DISTRICT_EDGE_TOLERANCE = 1000;
+
+// Fill of a district in the national view by its share of the busiest district's incidents
+const DISTRICT_COUNT_COLORS = ['#e3f2fd', '#90caf9', '#42a5f5', '#1e88e5', '#0d47a1'];
+
 // Location types to prioritize in search
 const PRIORITY_TYPES = [
   'city',
@@ -67,33 +82,64 @@ const PRIORITY_TYPES = [
   'historic'
 ];
 
-// Bounds for the map view restriction
-const GALLE_BOUNDS = [
-  [GALLE_AREA.south, GALLE_AREA.west], // Southwest
-  [GALLE_AREA.north, GALLE_AREA.east]  // Northeast
-];
+// Incident type created by each plot mode
+const PLOT_MODE_TYPES = {
+  marker: 'point',
+  area: 'polygon',
+  circle: 'circle',
+  path: 'path'
+};
+
+// Vertices needed before a drawn shape can be finished
+const DRAWING_MIN_POINTS = {
+  area: 3,
+  path: 2
+};
+
+// Sections that replace the map instead of sitting next to it
+const FULL_PAGE_SECTIONS = ['manage', 'analytics', 'reports', 'settings'];
+
 
 // Component to handle map bounds
 function MapBoundsHandler() {
   const map = useMap();
+  const { settings } = useSettings();
+  const { bounds, center, defaultZoom, minZoom, maxZoom } = settings;
   
   useEffect(() => {
     if (!map) return;
     
-    // Initially set bounds to Galle
-    map.setMaxBounds(GALLE_BOUNDS);
-    map.fitBounds(GALLE_BOUNDS, {
-      maxZoom: DEFAULT_ZOOM
+    // Restrict the view to the configured region
+    const regionBounds = getRegionBounds(bounds);
+    map.setMaxBounds(regionBounds);
+    map.fitBounds(regionBounds, {
+      maxZoom: defaultZoom
     });
+    map.setView([center.lat, center.lng], map.getZoom());
     
     // Set min/max zoom levels
-    map.setMinZoom(10);
-    map.setMaxZoom(18);
-  }, [map]);
+    map.setMinZoom(minZoom);
+    map.setMaxZoom(maxZoom);
+  }, [map, bounds, center, defaultZoom, minZoom, maxZoom]);
   
   return null;
 }
 
+// Component to keep the map sized to its container when side panels open or close
+function MapResizeHandler() {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!map || typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(() => map.invalidateSize());
+    observer.observe(map.getContainer());
+    return () => observer.disconnect();
+  }, [map]);
+
+  return null;
+}
+
 // Component to update map view when searching
 function SearchResultHandler({ searchResult }) {
   const map = useMap();
@@ -126,6 +172,37 @@ function SearchResultHandler({ searchResult }) {
   return null;
 }
 
+// Component to bring a selected incident into view
+function IncidentFocusHandler({ incident }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!incident || !map) return;
+
+    if (incident.points && incident.points.length > 1) {
+      map.flyToBounds(L.latLngBounds(incident.points), {
+        duration: 2,
+        easeLinearity: 0.5,
+        maxZoom: SEARCH_ZOOM
+      });
+      return;
+    }
+
+    // Same zoom out and fly to as search results
+    map.setZoom(map.getZoom() - 1, { duration: 0.5 });
+    const timer = setTimeout(() => {
+      map.flyTo(incident.position, SEARCH_ZOOM, {
+        duration: 2,
+        easeLinearity: 0.5
+      });
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [map, incident]);
+
+  return null;
+}
+
 // Component to handle map clicks
 function MapEventHandler({ onMapClick }) {
   useMapEvents({
@@ -134,252 +211,1578 @@ function MapEventHandler({ onMapClick }) {
   return null;
 }
 
-// Map style configuration
-const TILE_LAYER_OPTIONS = {
-  maxZoom: 18,
-  minZoom: 10,
-  keepBuffer: 4, // Number of rows/columns in buffer beyond the visible map
-  updateWhenIdle: true, // Only load tiles when panning/zooming ends
-  updateWhenZooming: false, // Don't load tiles during zoom
-  preferCanvas: true, // Use Canvas rendering instead of SVG
-  className: 'map-tiles'
-};
-
-function LoadingIndicator() {
+// Component to preview a shape while its vertices are being placed
+function DrawingPreview({ points, closed, onFinish }) {
   const map = useMap();
-  const [loading, setLoading] = useState(false);
+  const [cursor, setCursor] = useState(null);
 
+  // Double click finishes the shape, so it must not zoom the map while drawing
   useEffect(() => {
-    if (!map) return;
-
-    const handleLoad = () => setLoading(true);
-    const handleLoadEnd = () => setLoading(false);
-
-    map.on('loading', handleLoad);
-    map.on('load', handleLoadEnd);
-    map.on('tileerror', handleLoadEnd);
-
-    return () => {
-      map.off('loading', handleLoad);
-      map.off('load', handleLoadEnd);
-      map.off('tileerror', handleLoadEnd);
-    };
+    map.doubleClickZoom.disable();
+    return () => map.doubleClickZoom.enable();
   }, [map]);
 
-  if (!loading) return null;
+  useMapEvents({
+    mousemove: (e) => setCursor([e.latlng.lat, e.latlng.lng]),
+    mouseout: () => setCursor(null),
+    dblclick: onFinish
+  });
+
+  const previewPoints = cursor ? [...points, cursor] : points;
 
   return (
-    <div className="map-loading-indicator">
-      Loading map...
-    </div>
+    <>
+      {closed && previewPoints.length >= 3 && (
+        <Polygon
+          positions={previewPoints}
+          pathOptions={{ color: '#0078A8', fillOpacity: 0.15, weight: 1, interactive: false }}
+        />
+      )}
+      {previewPoints.length >= 2 && (
+        <Polyline
+          positions={previewPoints}
+          pathOptions={{ color: '#0078A8', dashArray: '6 6', weight: 2, interactive: false }}
+        />
+      )}
+      {points.map((point, index) => (
+        <CircleMarker
+          key={`vertex-${index}`}
+          center={point}
+          radius={5}
+          pathOptions={{ color: '#0078A8', fillColor: 'white', fillOpacity: 1, weight: 2, interactive: false }}
+        />
+      ))}
+    </>
   );
 }
 
-// Add new plot dialog component
-function PlotDialog({ isOpen, onClose, position, onSubmit }) {
-  const [plotData, setPlotData] = useState({
-    incidentName: '',
-    reporterName: '',
-    dateTime: new Date().toISOString().slice(0, 16), // Current date and time
-    radius: 100, // Default radius in meters
-    severity: 'moderate',
-    description: '',
-    affectedArea: '',
-    evacuationStatus: 'not_required',
-    waterLevel: '',
-    weatherConditions: ''
-  });
+// Place search. A geocoder turns a query into places shaped
+// { id, name, detail, type, lat, lon, source } with
+//   search(query, { bounds, signal }) resolving to places, best match first,
+// and may turn a point back into admin fields (see LOCATION_FIELDS) with
+//   reverse(lat, lon, { signal }) resolving to the fields it knows.
+// The bundled gazetteer answers without a network as you type; online
+// geocoders join in when a search is run.
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+const NOMINATIM_REVERSE_URL = 'https://nominatim.openstreetmap.org/reverse';
+const GEOCODER_TIMEOUT = 8000;
+const MAX_SUGGESTIONS = 8;
+const MAX_SEARCH_RESULTS = 20;
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setPlotData(prev => ({
-      ...prev,
-      [name]: value
-    }));
-  };
+const PLACE_TYPE_LABELS = {
+  ds_division: 'DS Division',
+  town: 'Town',
+  village: 'Village',
+  gn_division: 'GN Division',
+  landmark: 'Landmark',
+  river: 'River',
+  lake: 'Lake'
+};
+// Gazetteer types under the OpenStreetMap type or class they rank as in PRIORITY_TYPES
+const PLACE_TYPE_PRIORITY_NAMES = {
+  town: 'town',
+  village: 'village',
+  gn_division: 'neighbourhood',
+  landmark: 'landmark',
+  river: 'natural',
+  lake: 'natural'
+};
+// Places this close together with the same name are one place found twice
+const DUPLICATE_PLACE_DISTANCE = 1000;
+// How far from a point the nearest gazetteer village may be and still be named for it
+const GAZETTEER_VILLAGE_DISTANCE = 3000;
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onSubmit({
-      ...plotData,
-      position,
-      timestamp: new Date(plotData.dateTime).getTime()
-    });
-    onClose();
-  };
+// Admin fields stored on incidents; reports to the DMC are aggregated by DS and
+// GN division. The DS division comes from the gazetteer village nearest the
+// point. No GN outlines are bundled, so GN divisions are left for the reporter.
+const LOCATION_FIELDS = [
+  { key: 'village', label: 'Village' },
+  { key: 'gnDivision', label: 'GN Division', division: true },
+  { key: 'dsDivision', label: 'DS Division', division: true },
+  { key: 'road', label: 'Road' }
+];
 
-  if (!isOpen) return null;
+// Lower case without accents or punctuation. Sinhala and Tamil letters are kept,
+// joiners are dropped so conjuncts typed either way compare equal.
+function normalizePlaceName(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f\u200c\u200d]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0d80-\u0dff\u0b80-\u0bff]+/g, ' ')
+    .trim();
+}
 
-  return (
-    <div className="plot-dialog-overlay">
-      <div className="plot-dialog">
-        <h2>Add Flood Incident</h2>
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label>Incident Name *</label>
-            <input
-              type="text"
-              name="incidentName"
-              value={plotData.incidentName}
-              onChange={handleChange}
-              required
-              placeholder="e.g., Galle Road Flooding"
-            />
-          </div>
+// Collapse the usual ways one Sinhala or Tamil name gets written in Latin letters
+function getPhoneticKey(text) {
+  return normalizePlaceName(text)
+    .replace(/th/g, 't')
+    .replace(/dh/g, 'd')
+    .replace(/v/g, 'w')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/([a-z])\1+/g, '$1');
+}
 
-          <div className="form-group">
-            <label>Reporter Name *</label>
-            <input
-              type="text"
-              name="reporterName"
-              value={plotData.reporterName}
-              onChange={handleChange}
-              required
-              placeholder="Your name"
-            />
-          </div>
+// Edits (insert, delete, substitute or swap neighbours) turning one string into another
+function getEditDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
 
-          <div className="form-group">
-            <label>Date and Time *</label>
-            <input
-              type="datetime-local"
-              name="dateTime"
-              value={plotData.dateTime}
-              onChange={handleChange}
-              required
-            />
-          </div>
+// How well one name matches a query: whole, start, word start, anywhere, or a
+// start within a typo or two. Zero when it does not match.
+function scorePlaceName(name, query) {
+  if (name === query) return 100;
+  if (name.startsWith(query)) return 90;
+  const words = name.split(' ');
+  if (words.some(word => word.startsWith(query))) return 80;
+  if (name.includes(query)) return 70;
+  if (query.length < 3) return 0;
 
-          <div className="form-group">
-            <label>Circle Radius (meters) *</label>
-            <input
-              type="number"
-              name="radius"
-              value={plotData.radius}
-              onChange={handleChange}
-              min="10"
-              max="1000"
-              required
-            />
-          </div>
+  const allowed = query.length <= 4 ? 1 : 2;
+  const distance = Math.min(...[name, ...words].map(word => getEditDistance(query, word.slice(0, query.length))));
+  return distance <= allowed ? 60 - distance * 10 : 0;
+}
 
-          <div className="form-group">
-            <label>Severity Level *</label>
-            <select
-              name="severity"
-              value={plotData.severity}
-              onChange={handleChange}
-              required
-            >
-              <option value="minor">Minor</option>
-              <option value="moderate">Moderate</option>
-              <option value="severe">Severe</option>
-              <option value="critical">Critical</option>
-            </select>
-          </div>
+// Position of a place's type in PRIORITY_TYPES; unlisted types come last
+function getPlaceTypeRank(place) {
+  const names = [PLACE_TYPE_PRIORITY_NAMES[place.type] || place.type, place.category];
+  const ranks = names.map(name => PRIORITY_TYPES.indexOf(name)).filter(rank => rank >= 0);
+  return ranks.length > 0 ? Math.min(...ranks) : PRIORITY_TYPES.length;
+}
 
-          <div className="form-group">
-            <label>Affected Area</label>
-            <input
-              type="text"
-              name="affectedArea"
-              value={plotData.affectedArea}
-              onChange={handleChange}
-              placeholder="e.g., Residential Area, School Zone"
-            />
-          </div>
+function getPlaceTypeLabel(place) {
+  if (PLACE_TYPE_LABELS[place.type]) return PLACE_TYPE_LABELS[place.type];
+  const label = (place.type || place.category || 'place').replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
 
-          <div className="form-group">
-            <label>Water Level</label>
-            <select
-              name="waterLevel"
-              value={plotData.waterLevel}
-              onChange={handleChange}
-            >
-              <option value="">Select Water Level</option>
-              <option value="ankle">Ankle Deep (less than 0.5m)</option>
-              <option value="knee">Knee Deep (0.5m - 1m)</option>
-              <option value="waist">Waist Deep (1m - 1.5m)</option>
-              <option value="above_waist">Above Waist (more than 1.5m)</option>
-            </select>
-          </div>
+// Best match first, then the more important kind of place, then the nearer one.
+// Places a geocoder did not score are scored on their names here.
+function rankPlaces(places, query, center) {
+  const key = getPhoneticKey(query);
+  const ranked = places
+    .map(place => ({
+      ...place,
+      score: place.score ?? Math.max(0, ...[place.name, ...place.localNames]
+        .map(name => scorePlaceName(getPhoneticKey(name), key))),
+      distance: center ? L.latLng(center).distanceTo([place.lat, place.lon]) : null
+    }))
+    .sort((a, b) =>
+      b.score - a.score ||
+      getPlaceTypeRank(a) - getPlaceTypeRank(b) ||
+      (a.distance ?? 0) - (b.distance ?? 0) ||
+      a.name.localeCompare(b.name)
+    );
 
-          <div className="form-group">
-            <label>Evacuation Status</label>
-            <select
-              name="evacuationStatus"
-              value={plotData.evacuationStatus}
-              onChange={handleChange}
-            >
-              <option value="not_required">Not Required</option>
-              <option value="recommended">Recommended</option>
-              <option value="in_progress">In Progress</option>
-              <option value="completed">Completed</option>
-            </select>
-          </div>
+  // Online places the gazetteer already has are dropped in favour of its copy,
+  // which carries the local names
+  return ranked.filter(place => place.source === 'gazetteer' || !ranked.some(other =>
+    other.source === 'gazetteer' &&
+    normalizePlaceName(other.name) === normalizePlaceName(place.name) &&
+    L.latLng(other.lat, other.lon).distanceTo([place.lat, place.lon]) < DUPLICATE_PLACE_DISTANCE
+  ));
+}
 
-          <div className="form-group">
-            <label>Weather Conditions</label>
-            <select
-              name="weatherConditions"
-              value={plotData.weatherConditions}
-              onChange={handleChange}
-            >
-              <option value="">Select Weather</option>
-              <option value="heavy_rain">Heavy Rain</option>
-              <option value="moderate_rain">Moderate Rain</option>
-              <option value="light_rain">Light Rain</option>
-              <option value="cloudy">Cloudy</option>
-              <option value="clear">Clear</option>
-            </select>
-          </div>
+// Gazetteer entries inside the region matching a query in any spelling or script
+function searchGazetteer(entries, query, bounds) {
+  const key = getPhoneticKey(query);
+  if (!key) return [];
 
-          <div className="form-group">
-            <label>Description</label>
-            <textarea
-              name="description"
-              value={plotData.description}
-              onChange={handleChange}
-              placeholder="Additional details about the incident..."
-              rows="3"
-            />
-          </div>
+  return entries
+    .filter(entry =>
+      entry.lat >= bounds.south && entry.lat <= bounds.north &&
+      entry.lon >= bounds.west && entry.lon <= bounds.east
+    )
+    .map(entry => {
+      const names = [entry.name, ...(entry.aliases || []), entry.si, entry.ta].filter(Boolean);
+      return { entry, score: Math.max(...names.map(name => scorePlaceName(getPhoneticKey(name), key))) };
+    })
+    .filter(match => match.score > 0)
+    .map(({ entry, score }) => ({
+      id: `gazetteer-${entry.type}-${entry.name}-${entry.ds}`,
+      name: entry.name,
+      localNames: [entry.si, entry.ta].filter(Boolean),
+      detail: entry.type !== 'ds_division' ? `${entry.ds} DS Division` : '',
+      type: entry.type,
+      lat: entry.lat,
+      lon: entry.lon,
+      score,
+      source: 'gazetteer'
+    }));
+}
 
-          <div className="dialog-buttons">
-            <button type="button" onClick={onClose} className="cancel-button">
-              Cancel
-            </button>
-            <button type="submit" className="submit-button">
-              Add Incident
-            </button>
-          </div>
-        </form>
-      </div>
-    </div>
-  );
+// Nearest gazetteer entry of the given types within a distance in meters
+function findNearestEntry(entries, latLng, types, maxDistance = Infinity) {
+  let nearest = null;
+  let nearestDistance = maxDistance;
+  entries.forEach(entry => {
+    if (!types.includes(entry.type)) return;
+    const distance = latLng.distanceTo([entry.lat, entry.lon]);
+    if (distance < nearestDistance) {
+      nearest = entry;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
 }
 
-// Add status indicator component
-function StatusIndicator({ status, isActive }) {
-  // Now accepts explicit isActive prop
-  return (
-    <div className="status-indicator">
-      <span className={`status-dot ${isActive ? 'active' : 'inactive'}`}>●</span>
-      <span className="status-text">
-        {isActive ? 'ACTIVE' : 'INACTIVE'}
-      </span>
-    </div>
-  );
+// The village of a point from the gazetteer and the DS division that village
+// belongs to. The gazetteer has no roads, and its GN entries are only centre
+// points, so the GN division is left blank rather than guessed.
+export function reverseGazetteer(entries, lat, lon) {
+  const village = findNearestEntry(entries, L.latLng(lat, lon), ['village', 'town'], GAZETTEER_VILLAGE_DISTANCE);
+  return village ? { village: village.name, dsDivision: village.ds || '' } : { village: '' };
 }
 
-// Add severity label helper with emoji indicators
-function getSeverityLabel(severity) {
-  switch (severity) {
-    case 'minor':
-      return { label: 'Minor', icon: '⚪' };
-    case 'moderate':
-      return { label: 'Moderate', icon: '🟡' };
-    case 'severe':
+function createGazetteerGeocoder(entries) {
+  return {
+    id: 'gazetteer',
+    label: 'Offline gazetteer',
+    search: async (query, { bounds }) => searchGazetteer(entries, query, bounds),
+    reverse: async (lat, lon) => reverseGazetteer(entries, lat, lon)
+  };
+}
+
+// OpenStreetMap's public geocoder, limited to the region
+function createNominatimGeocoder() {
+  return {
+    id: 'nominatim',
+    label: 'OpenStreetMap',
+    search: async (query, { bounds, signal }) => {
+      const params = new URLSearchParams({
+        q: query,
+        format: 'json',
+        limit: 5,
+        countrycodes: 'lk',
+        addressdetails: 1,
+        viewbox: `${bounds.west},${bounds.north},${bounds.east},${bounds.south}`,
+        bounded: 1
+      });
+      const response = await fetch(`${NOMINATIM_URL}?${params}`, {
+        signal,
+        headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+      });
+      if (!response.ok) throw new Error(`OpenStreetMap search answered ${response.status}`);
+      const results = await response.json();
+      return results.map(result => ({
+        id: `nominatim-${result.osm_type}-${result.osm_id}`,
+        name: result.display_name.split(',')[0],
+        localNames: [],
+        detail: result.display_name.split(',').slice(1, 3).join(',').trim(),
+        type: result.type,
+        category: result.class,
+        address: result.address,
+        lat: parseFloat(result.lat),
+        lon: parseFloat(result.lon),
+        source: 'nominatim'
+      }));
+    },
+    // Roads and villages only: OpenStreetMap's division names do not always
+    // match the official ones, so those are left to the gazetteer
+    reverse: async (lat, lon, { signal }) => {
+      const params = new URLSearchParams({ lat, lon, format: 'json', zoom: 17, addressdetails: 1 });
+      const response = await fetch(`${NOMINATIM_REVERSE_URL}?${params}`, {
+        signal,
+        headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+      });
+      if (!response.ok) throw new Error(`OpenStreetMap lookup answered ${response.status}`);
+      const { address = {} } = await response.json();
+      return {
+        village: address.village || address.hamlet || address.suburb || address.town || address.city || '',
+        road: address.road || ''
+      };
+    }
+  };
+}
+
+const gazetteerGeocoder = createGazetteerGeocoder(GALLE_GAZETTEER);
+const nominatimGeocoder = createNominatimGeocoder();
+
+// Geocoders to ask, offline first
+function getGeocoders(settings) {
+  return settings.onlineSearch ? [gazetteerGeocoder, nominatimGeocoder] : [gazetteerGeocoder];
+}
+
+// Put a question to each geocoder in turn, with a time limit each. Online
+// geocoders are skipped without a connection; their failures are reported
+// rather than thrown.
+async function askGeocoders(geocoders, signal, ask) {
+  const answers = [];
+  const errors = [];
+  for (const geocoder of geocoders) {
+    if (geocoder.id !== 'gazetteer' && !navigator.onLine) continue;
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(), GEOCODER_TIMEOUT);
+    const abort = () => timeout.abort();
+    if (signal) signal.addEventListener('abort', abort);
+    try {
+      answers.push(await ask(geocoder, timeout.signal));
+    } catch (error) {
+      if (signal && signal.aborted) return { answers: [], errors };
+      errors.push(`${geocoder.label}: ${timeout.signal.aborted ? 'timed out' : error.message}`);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+  return { answers, errors };
+}
+
+// Places from every geocoder, unranked
+async function searchPlaces(query, settings, signal) {
+  const { answers, errors } = await askGeocoders(getGeocoders(settings), signal, (geocoder, timeoutSignal) =>
+    geocoder.search(query, { bounds: settings.bounds, signal: timeoutSignal })
+  );
+  return { places: answers.flat(), errors };
+}
+
+// Admin fields of a point. Online geocoders are asked first and the gazetteer
+// fills in whatever they leave out, so this still answers offline.
+async function reverseGeocode(lat, lon, settings, signal) {
+  const geocoders = getGeocoders(settings).filter(geocoder => geocoder.reverse).reverse();
+  const { answers, errors } = await askGeocoders(geocoders, signal, (geocoder, timeoutSignal) =>
+    geocoder.reverse(lat, lon, { signal: timeoutSignal })
+  );
+  const address = getLocationFields(Object.fromEntries(LOCATION_FIELDS.map(({ key }) => [
+    key,
+    answers.map(answer => answer[key]).find(Boolean)
+  ])));
+  return { address, errors };
+}
+
+// The admin fields of an incident or form, as strings
+function getLocationFields(values) {
+  return Object.fromEntries(LOCATION_FIELDS.map(({ key }) => [key, values[key] ? String(values[key]) : '']));
+}
+
+// Admin fields from a lookup, keeping any already filled in
+function fillLocationFields(values, address) {
+  return Object.fromEntries(LOCATION_FIELDS.map(({ key }) => [key, values[key] || address[key]]));
+}
+
+// One line naming where an incident is, most specific first
+function formatLocationLabel(values) {
+  return [
+    values.road,
+    values.village,
+    values.gnDivision && values.gnDivision !== values.village && `${values.gnDivision} GN`,
+    values.dsDivision && `${values.dsDivision} DS`
+  ].filter(Boolean).join(', ');
+}
+
+// Search box over the map. Suggestions come from the gazetteer as you type, so
+// they work offline. Running a search asks every geocoder and lists the places
+// found to pick from, since many village names repeat across the district.
+function PlaceSearch({ onSelect }) {
+  const { settings } = useSettings();
+  const map = useMap();
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  // The query the list holds search results for; null while it holds suggestions
+  const [resultsFor, setResultsFor] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [isSearching, setIsSearching] = useState(false);
+  const [message, setMessage] = useState(null);
+  const containerRef = useRef(null);
+  const abortRef = useRef(null);
+
+  // Clicks and scrolling in the box belong to it, not the map underneath
+  useEffect(() => {
+    L.DomEvent.disableClickPropagation(containerRef.current);
+    L.DomEvent.disableScrollPropagation(containerRef.current);
+  }, []);
+
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  useMapEvents({
+    click: () => setSuggestions([])
+  });
+
+  const handleChange = (e) => {
+    const { value } = e.target;
+    setQuery(value);
+    setMessage(null);
+    setResultsFor(null);
+    setActiveIndex(-1);
+    setSuggestions(value.trim()
+      ? rankPlaces(searchGazetteer(GALLE_GAZETTEER, value, settings.bounds), value, map.getCenter()).slice(0, MAX_SUGGESTIONS)
+      : []);
+  };
+
+  const choose = (place) => {
+    setQuery(place.name);
+    setSuggestions([]);
+    setResultsFor(null);
+    setActiveIndex(-1);
+    setMessage(null);
+    onSelect(place);
+  };
+
+  const handleSearch = async () => {
+    if (activeIndex >= 0) {
+      choose(suggestions[activeIndex]);
+      return;
+    }
+    const trimmed = query.trim();
+    if (!trimmed || isSearching) return;
+
+    if (abortRef.current) abortRef.current.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsSearching(true);
+    setMessage(null);
+    const { places, errors } = await searchPlaces(trimmed, settings, controller.signal);
+    if (controller.signal.aborted) return;
+    setIsSearching(false);
+
+    const results = rankPlaces(places, trimmed, map.getCenter()).slice(0, MAX_SEARCH_RESULTS);
+    if (results.length === 1 && errors.length === 0) {
+      choose(results[0]);
+    } else if (results.length > 0) {
+      setSuggestions(results);
+      setResultsFor(trimmed);
+      setActiveIndex(-1);
+      if (errors.length > 0) setMessage(`Some results may be missing. ${errors.join('; ')}`);
+    } else if (!settings.onlineSearch || navigator.onLine) {
+      setMessage(errors.length > 0
+        ? `Search failed. ${errors.join('; ')}`
+        : `No places matching "${trimmed}" in ${settings.regionName}.`);
+    } else {
+      setMessage(`"${trimmed}" is not in the offline gazetteer, and online search needs a connection.`);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length : index) - 1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      handleSearch();
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+      setResultsFor(null);
+      setActiveIndex(-1);
+    }
+  };
+
+  return (
+    <div className="map-controls" ref={containerRef}>
+      <div className="map-search">
+        <input
+          type="text"
+          placeholder={settings.district === DEFAULT_DISTRICT
+            ? 'Search places in Galle district (e.g., Baddegama, ගාල්ල, காலி)'
+            : `Search places in ${settings.regionName}`}
+          value={query}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setSuggestions([])}
+          className="search-input"
+          role="combobox"
+          aria-expanded={suggestions.length > 0}
+          aria-controls="place-suggestions"
+          aria-autocomplete="list"
+        />
+        <button
+          className={`search-button ${isSearching ? 'searching' : ''}`}
+          onClick={handleSearch}
+          disabled={isSearching}
+        >
+          <span className="search-icon">
+            {isSearching ? '⌛' : '🔍'}
+          </span>
+          {isSearching ? 'Searching...' : 'Search'}
+        </button>
+      </div>
+      {suggestions.length > 0 && resultsFor && (
+        <div className="search-results-summary">
+          {suggestions.length} places match "{resultsFor}". Pick one:
+        </div>
+      )}
+      {suggestions.length > 0 && (
+        <ul id="place-suggestions" className="search-suggestions" role="listbox">
+          {suggestions.map((place, index) => (
+            <li
+              key={place.id}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={index === activeIndex ? 'active' : ''}
+              // Leaflet keeps mousedown from the page; pointerdown also comes
+              // before the input's blur hides the list
+              onPointerDown={(e) => {
+                e.preventDefault();
+                choose(place);
+              }}
+            >
+              <span className="suggestion-name">
+                {place.name}
+                {place.localNames.length > 0 && (
+                  <span className="suggestion-local"> {place.localNames.join(' · ')}</span>
+                )}
+              </span>
+              <span className="suggestion-detail">
+                <span className="suggestion-type">{getPlaceTypeLabel(place)}</span>
+                {place.detail && ` · ${place.detail}`}
+                {place.distance !== null && (
+                  <span className="suggestion-distance">{formatLength(place.distance, settings.units)} away</span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {message && <div className="search-message">{message}</div>}
+    </div>
+  );
+}
+
+// How long a place picked from search stays highlighted on the map
+const SEARCH_HIGHLIGHT_DURATION = 60000;
+
+const SEARCH_HIGHLIGHT_ICON = L.divIcon({
+  className: 'search-highlight-wrapper',
+  html: '<div class="search-highlight"></div>',
+  iconSize: [28, 28],
+  iconAnchor: [14, 14],
+  popupAnchor: [0, -14]
+});
+
+// Marker on a place picked from search, with a shortcut to plot an incident there
+function SearchResultMarker({ place, canPlot, onPlot, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, SEARCH_HIGHLIGHT_DURATION);
+    return () => clearTimeout(timer);
+  }, [place, onDismiss]);
+
+  return (
+    <Marker
+      position={[place.lat, place.lon]}
+      icon={SEARCH_HIGHLIGHT_ICON}
+      eventHandlers={{ add: (e) => e.target.openPopup() }}
+    >
+      {/* The map is still flying here, so the popup must not pan it */}
+      <Popup autoPan={false} closeButton={false} className="search-highlight-popup">
+        <strong>{place.name}</strong>
+        {place.localNames.length > 0 && (
+          <div className="suggestion-local">{place.localNames.join(' · ')}</div>
+        )}
+        <div className="suggestion-detail">
+          {[getPlaceTypeLabel(place), place.detail].filter(Boolean).join(' · ')}
+        </div>
+        <div className="search-highlight-actions">
+          {canPlot && (
+            <button className="search-highlight-plot" onClick={() => onPlot(place)}>
+              📍 Plot incident here
+            </button>
+          )}
+          <button onClick={onDismiss}>Dismiss</button>
+        </div>
+      </Popup>
+    </Marker>
+  );
+}
+
+// OpenStreetMap tile source
+const OSM_TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Map style configuration
+const TILE_LAYER_OPTIONS = {
+  maxZoom: 18,
+  minZoom: 10,
+  keepBuffer: 4, // Number of rows/columns in buffer beyond the visible map
+  updateWhenIdle: true, // Only load tiles when panning/zooming ends
+  updateWhenZooming: false, // Don't load tiles during zoom
+  preferCanvas: true, // Use Canvas rendering instead of SVG
+  className: 'map-tiles'
+};
+
+// Runtime settings, editable from the Settings section
+const DEFAULT_SETTINGS = {
+  ...getDistrictRegion(DEFAULT_DISTRICT), // district, regionName, bounds and center
+  defaultZoom: DEFAULT_ZOOM,
+  minZoom: TILE_LAYER_OPTIONS.minZoom,
+  maxZoom: TILE_LAYER_OPTIONS.maxZoom,
+  tileUrl: OSM_TILE_URL,
+  tileAttribution: OSM_ATTRIBUTION,
+  defaultRadius: 100, // Stored in meters whatever the display units
+  defaultSeverity: 'moderate',
+  defaultEvacuationStatus: 'not_required',
+  units: 'metric',
+  onlineSearch: true, // Ask OpenStreetMap when the offline gazetteer has no match
+  syncServerUrl: '' // Empty keeps incidents in this browser only
+};
+
+// Saved settings on top of the defaults, so newly added keys get a value
+function loadSettings() {
+  try {
+    const saved = localStorage.getItem('appSettings');
+    return saved ? { ...DEFAULT_SETTINGS, ...JSON.parse(saved) } : DEFAULT_SETTINGS;
+  } catch (error) {
+    console.error('Settings load error:', error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+const SettingsContext = createContext({
+  settings: DEFAULT_SETTINGS,
+  updateSettings: () => {},
+  resetSettings: () => {}
+});
+
+function useSettings() {
+  return useContext(SettingsContext);
+}
+
+// Holds the persisted settings for the whole app
+export function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    localStorage.setItem('appSettings', JSON.stringify(settings));
+  }, [settings]);
+
+  const value = React.useMemo(() => ({
+    settings,
+    updateSettings: (changes) => setSettings(prev => ({ ...prev, ...changes })),
+    resetSettings: () => setSettings(DEFAULT_SETTINGS)
+  }), [settings]);
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
+
+// Account roles, from read-only to running the whole deployment
+const USER_ROLES = ['viewer', 'reporter', 'coordinator', 'admin'];
+
+// What each role may do. Keep in step with ROLE_PERMISSIONS in server/users.js
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  reporter: ['plot', 'editOwn', 'chat'],
+  coordinator: ['plot', 'editOwn', 'editAny', 'delete', 'import', 'moderate', 'manageContributors', 'manageShelters', 'chat'],
+  admin: [
+    'plot', 'editOwn', 'editAny', 'delete', 'import', 'moderate', 'manageContributors', 'manageShelters', 'chat',
+    'manageUsers', 'settings'
+  ]
+};
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'Sees the map, dashboards and reports',
+  reporter: 'Plots incidents and edits the ones they plotted',
+  coordinator: 'Edits and deletes any incident, moderates reports and manages contributors and shelters',
+  admin: 'Everything, plus accounts and settings'
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_ITERATIONS = 210000;
+
+function hasPermission(user, permission) {
+  return Boolean(user) && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+}
+
+// Reporters may only edit incidents they plotted themselves
+function canEditIncident(user, incident) {
+  return hasPermission(user, 'editAny') ||
+    (hasPermission(user, 'editOwn') && Boolean(incident.createdBy) && incident.createdBy === user.id);
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+// Problems with an account draft, keyed by field name
+function validateUser(draft, password, users) {
+  const errors = {};
+  const existing = users.find(user => user.id === draft.id);
+  const username = normalizeUsername(draft.username);
+
+  if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+    errors.username = 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+  } else if (users.some(user => user.username === username && user.id !== draft.id)) {
+    errors.username = 'This username is already taken';
+  }
+  if (!draft.name.trim()) errors.name = 'Name is required';
+  if ((!existing || password) && (password || '').length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (
+    existing && existing.role === 'admin' && draft.role !== 'admin' &&
+    users.filter(user => user.role === 'admin').length === 1
+  ) {
+    errors.role = 'The last admin cannot be given another role';
+  }
+
+  return errors;
+}
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// PBKDF2 hash for accounts kept in this browser
+async function hashLocalPassword(password, salt) {
+  const subtle = window.crypto && window.crypto.subtle;
+  // Browsers only offer Web Crypto on HTTPS and localhost
+  if (!subtle) throw new Error('Accounts on this device need the app to be opened over HTTPS or from localhost');
+
+  const encoder = new TextEncoder();
+  const key = await subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PASSWORD_ITERATIONS },
+    key,
+    256
+  );
+  return toHex(bits);
+}
+
+// Accounts stored in this browser. They keep volunteers sharing a device from
+// deleting by accident, but anyone with the browser's dev tools can get round
+// them; use the sync server's accounts when that matters.
+function createLocalAuthBackend() {
+  const loadUsers = () => JSON.parse(localStorage.getItem('users') || '[]');
+  const saveUsers = (users) => localStorage.setItem('users', JSON.stringify(users));
+  const toPublic = ({ passwordHash, passwordSalt, ...user }) => user;
+  const requireAdmin = (session) => {
+    if (!hasPermission(session && session.user, 'manageUsers')) throw new Error('You do not have permission to do this');
+  };
+
+  return {
+    isSetupRequired: async () => loadUsers().length === 0,
+
+    signIn: async (username, password) => {
+      const user = loadUsers().find(item => item.username === normalizeUsername(username));
+      const hash = await hashLocalPassword(password, user ? user.passwordSalt : '');
+      if (!user || hash !== user.passwordHash) throw new Error('Wrong username or password');
+      return { token: null, user: toPublic(user) };
+    },
+
+    signOut: async () => {},
+
+    getSessionUser: async (session) => {
+      const user = loadUsers().find(item => item.id === session.user.id);
+      return user ? toPublic(user) : null;
+    },
+
+    listUsers: async (session) => {
+      requireAdmin(session);
+      return loadUsers().map(toPublic);
+    },
+
+    // The first account is always an admin, and may be created without signing in
+    saveUser: async (session, user, password) => {
+      const users = loadUsers();
+      if (users.length > 0) requireAdmin(session);
+      const account = users.length === 0 ? { ...user, role: 'admin' } : user;
+      const [error] = Object.values(validateUser(account, password, users));
+      if (error) throw new Error(error);
+
+      const existing = users.find(item => item.id === account.id);
+      const saved = {
+        ...existing,
+        id: existing ? existing.id : Date.now().toString(),
+        username: normalizeUsername(account.username),
+        name: account.name.trim(),
+        role: account.role,
+        contributorId: account.contributorId || null,
+        createdAt: existing ? existing.createdAt : Date.now()
+      };
+      if (password) {
+        saved.passwordSalt = toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+        saved.passwordHash = await hashLocalPassword(password, saved.passwordSalt);
+      }
+      saveUsers(existing ? users.map(item => (item.id === saved.id ? saved : item)) : [...users, saved]);
+      return toPublic(saved);
+    },
+
+    removeUser: async (session, id) => {
+      requireAdmin(session);
+      const users = loadUsers();
+      const user = users.find(item => item.id === id);
+      if (id === session.user.id) throw new Error('You cannot remove your own account');
+      if (user && user.role === 'admin' && users.filter(item => item.role === 'admin').length === 1) {
+        throw new Error('The last admin cannot be removed');
+      }
+      saveUsers(users.filter(item => item.id !== id));
+    }
+  };
+}
+
+// Accounts on the sync server, which also enforces the roles on every write
+function createServerAuthBackend(serverUrl) {
+  return {
+    isSetupRequired: async () => (await syncRequest(serverUrl, '/api/auth')).setupRequired,
+    signIn: (username, password) => syncRequest(serverUrl, '/api/login', { username, password }),
+    signOut: (session) => syncRequest(serverUrl, '/api/logout', {}, session.token),
+
+    getSessionUser: async (session) => {
+      try {
+        return (await syncRequest(serverUrl, '/api/session', null, session.token)).user;
+      } catch (error) {
+        if (error.status === 401) return null;
+        throw error;
+      }
+    },
+
+    listUsers: async (session) => (await syncRequest(serverUrl, '/api/users', null, session.token)).users,
+    saveUser: async (session, user, password) => (
+      await syncRequest(serverUrl, '/api/users', { user, password }, session && session.token)
+    ).user,
+    removeUser: (session, id) => syncRequest(serverUrl, '/api/users/remove', { id }, session.token)
+  };
+}
+
+// Where accounts live: on the sync server when there is one, otherwise in this
+// browser. Another identity service can be plugged in by returning an object
+// with the same methods:
+//   isSetupRequired()              whether the first admin still has to be created
+//   signIn(username, password)     resolves to { token, user } or rejects
+//   signOut(session)
+//   getSessionUser(session)        the current user, or null once the session has ended
+//   listUsers(session), saveUser(session, user, password), removeUser(session, id)
+function getAuthBackend(serverUrl) {
+  return serverUrl ? createServerAuthBackend(serverUrl) : createLocalAuthBackend();
+}
+
+function loadAuthSession() {
+  try {
+    return JSON.parse(localStorage.getItem('authSession'));
+  } catch (error) {
+    console.error('Session load error:', error);
+    return null;
+  }
+}
+
+const AuthContext = createContext({
+  user: null,
+  session: null,
+  backend: null,
+  signOut: () => {},
+  endSession: () => {},
+  updateSessionUser: () => {}
+});
+
+function useAuth() {
+  return useContext(AuthContext);
+}
+
+// Sign-in and first admin setup, shown until someone is signed in. notice says
+// why an earlier session ended.
+function LoginPage({ onSignIn, notice }) {
+  const { settings, updateSettings } = useSettings();
+  const [serverUrl, setServerUrl] = useState(settings.syncServerUrl);
+  const [form, setForm] = useState({ name: '', username: '', password: '', confirmPassword: '' });
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const trimmedUrl = serverUrl.trim();
+  const isUrlValid = trimmedUrl === '' || /^https?:\/\/\S+$/i.test(trimmedUrl);
+
+  // Ask the chosen backend whether its first admin still has to be set up
+  useEffect(() => {
+    if (!isUrlValid) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      getAuthBackend(trimmedUrl).isSetupRequired()
+        .then(required => {
+          if (cancelled) return;
+          setSetupRequired(required);
+          setError(null);
+        })
+        .catch(checkError => {
+          if (!cancelled) setError(checkError.message);
+        });
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [trimmedUrl, isUrlValid]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (setupRequired && form.password !== form.confirmPassword) {
+      setError('The passwords do not match');
+      return;
+    }
+
+    setIsBusy(true);
+    setError(null);
+    try {
+      const backend = getAuthBackend(trimmedUrl);
+      if (setupRequired) {
+        await backend.saveUser(null, { username: form.username, name: form.name, role: 'admin' }, form.password);
+      }
+      const { token, user } = await backend.signIn(form.username, form.password);
+      if (trimmedUrl !== settings.syncServerUrl) updateSettings({ syncServerUrl: trimmedUrl });
+      onSignIn({ serverUrl: trimmedUrl, token, user });
+    } catch (signInError) {
+      setError(signInError.message);
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="settings-form login-form" onSubmit={handleSubmit}>
+        <h2>FloodTrack</h2>
+        <p className="login-intro">
+          {setupRequired
+            ? 'Create the administrator account. You can add everyone else from Manage once you are signed in.'
+            : notice || 'Sign in to continue.'}
+        </p>
+
+        <div className="form-group">
+          <label>Sync Server URL</label>
+          <input
+            type="url"
+            value={serverUrl}
+            onChange={(e) => setServerUrl(e.target.value)}
+            placeholder="http://localhost:4000"
+          />
+          <span className="field-hint">Leave empty to use accounts kept in this browser only.</span>
+          {!isUrlValid && <span className="field-error">Must be an http:// or https:// address</span>}
+        </div>
+
+        {setupRequired && (
+          <div className="form-group">
+            <label>Your Name</label>
+            <input type="text" name="name" value={form.name} onChange={handleChange} required />
+          </div>
+        )}
+        <div className="form-group">
+          <label>Username</label>
+          <input
+            type="text"
+            name="username"
+            value={form.username}
+            onChange={handleChange}
+            autoComplete="username"
+            autoCapitalize="none"
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label>Password</label>
+          <input
+            type="password"
+            name="password"
+            value={form.password}
+            onChange={handleChange}
+            autoComplete={setupRequired ? 'new-password' : 'current-password'}
+            required
+          />
+        </div>
+        {setupRequired && (
+          <div className="form-group">
+            <label>Confirm Password</label>
+            <input
+              type="password"
+              name="confirmPassword"
+              value={form.confirmPassword}
+              onChange={handleChange}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+        )}
+
+        {error && <span className="field-error login-error">{error}</span>}
+        <div className="dialog-buttons">
+          <button type="submit" className="submit-button" disabled={isBusy || !isUrlValid}>
+            {isBusy ? 'Signing in...' : setupRequired ? 'Create Account' : 'Sign In'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Keeps the signed-in account. A session belongs to the backend it was opened
+// against, so pointing the app at another sync server asks for a new sign-in.
+export function AuthProvider({ children }) {
+  const { settings } = useSettings();
+  const [session, setSession] = useState(loadAuthSession);
+  const [endedNotice, setEndedNotice] = useState(null);
+  const serverUrl = settings.syncServerUrl;
+  const backend = React.useMemo(() => getAuthBackend(serverUrl), [serverUrl]);
+  const activeSession = session && session.serverUrl === serverUrl ? session : null;
+  const isSignedIn = Boolean(activeSession);
+  const sessionRef = useRef(activeSession);
+  sessionRef.current = activeSession;
+
+  useEffect(() => {
+    if (session) localStorage.setItem('authSession', JSON.stringify(session));
+    else localStorage.removeItem('authSession');
+  }, [session]);
+
+  // Pick up role and name changes, and drop sessions the backend has ended.
+  // An unreachable server keeps the session so offline work can carry on.
+  useEffect(() => {
+    if (!isSignedIn) return undefined;
+    let cancelled = false;
+
+    const check = () => {
+      backend.getSessionUser(sessionRef.current)
+        .then(user => {
+          if (!cancelled) setSession(prev => (user ? { ...prev, user } : null));
+        })
+        .catch(error => console.error('Session check error:', error));
+    };
+
+    check();
+    window.addEventListener('online', check);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('online', check);
+    };
+  }, [backend, isSignedIn]);
+
+  const value = React.useMemo(() => ({
+    user: activeSession && activeSession.user,
+    session: activeSession,
+    backend,
+    signOut: () => {
+      backend.signOut(sessionRef.current).catch(error => console.error('Sign out error:', error));
+      setSession(null);
+    },
+    // The backend has already dropped the session, so there is nobody to sign out
+    endSession: (notice) => {
+      setEndedNotice(notice);
+      setSession(null);
+    },
+    updateSessionUser: (user) => setSession(prev => ({ ...prev, user }))
+  }), [activeSession, backend]);
+
+  const handleSignIn = (next) => {
+    setEndedNotice(null);
+    setSession(next);
+  };
+
+  if (!activeSession) return <LoginPage onSignIn={handleSignIn} notice={endedNotice} />;
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+// Leaflet bounds array for a { north, south, east, west } region
+function getRegionBounds(bounds) {
+  return [
+    [bounds.south, bounds.west], // Southwest
+    [bounds.north, bounds.east]  // Northeast
+  ];
+}
+
+// Names of the bundled districts, alphabetically
+const DISTRICT_NAMES = DISTRICT_BOUNDARIES.features.map(feature => feature.properties.name).sort();
+
+// The polygons of a GeoJSON Polygon or MultiPolygon, each a list of rings
+function getFeaturePolygons(feature) {
+  const { type, coordinates } = feature.geometry;
+  return type === 'MultiPolygon' ? coordinates : [coordinates];
+}
+
+// { north, south, east, west } around every vertex of a GeoJSON polygon
+function getFeatureBounds(feature) {
+  const vertices = getFeaturePolygons(feature).flat(2);
+  const [lngs, lats] = [0, 1].map(axis => vertices.map(vertex => vertex[axis]));
+  return {
+    north: Math.max(...lats),
+    south: Math.min(...lats),
+    east: Math.max(...lngs),
+    west: Math.min(...lngs)
+  };
+}
+
+// Settings that point the map and search at one district, centred on its
+// capital, or at the whole country for NATIONAL_VIEW
+function getDistrictRegion(district) {
+  const feature = DISTRICT_BOUNDARIES.features.find(item => item.properties.name === district);
+  if (!feature) {
+    const [west, south, east, north] = SL_VIEWBOX.split(',').map(Number);
+    return {
+      district: NATIONAL_VIEW,
+      regionName: 'Sri Lanka',
+      bounds: { north, south, east, west },
+      center: { lat: (north + south) / 2, lng: (east + west) / 2 },
+      minZoom: NATIONAL_MIN_ZOOM
+    };
+  }
+
+  const outline = getFeatureBounds(feature);
+  return {
+    district,
+    regionName: `${district} District`,
+    bounds: {
+      north: outline.north + DISTRICT_BOUNDS_PADDING,
+      south: outline.south - DISTRICT_BOUNDS_PADDING,
+      east: outline.east + DISTRICT_BOUNDS_PADDING,
+      west: outline.west - DISTRICT_BOUNDS_PADDING
+    },
+    center: { lat: feature.properties.seat[0], lng: feature.properties.seat[1] },
+    minZoom: DISTRICT_MIN_ZOOM
+  };
+}
+
+// Ray casting against one ring of [lng, lat] vertices
+function isInsideRing(ring, lat, lng) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Inside an outer ring of a GeoJSON polygon and none of its holes
+function isInsideFeature(feature, lat, lng) {
+  return getFeaturePolygons(feature).some(([outer, ...holes]) =>
+    isInsideRing(outer, lat, lng) && !holes.some(hole => isInsideRing(hole, lat, lng))
+  );
+}
+
+// Meters from a point to the nearest edge of a GeoJSON polygon, on a flat
+// projection that is close enough over the width of one district
+function getDistanceToFeature(feature, lat, lng) {
+  const scale = Math.cos(lat * Math.PI / 180);
+  let nearest = Infinity;
+  getFeaturePolygons(feature).flat().forEach(ring => {
+    for (let i = 1; i < ring.length; i++) {
+      const [ax, ay] = [(ring[i - 1][0] - lng) * scale, ring[i - 1][1] - lat];
+      const [dx, dy] = [(ring[i][0] - ring[i - 1][0]) * scale, ring[i][1] - ring[i - 1][1]];
+      const t = Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy || 1)));
+      nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  });
+  return nearest * 111320;
+}
+
+// The feature of a boundary collection a point falls in, or failing that the
+// nearest one within a tolerance in meters
+function findBoundaryFeature(collection, lat, lng, tolerance = 0) {
+  const inside = collection.features.find(feature => isInsideFeature(feature, lat, lng));
+  if (inside || !tolerance) return inside || null;
+
+  let nearest = null;
+  let nearestDistance = tolerance;
+  collection.features.forEach(feature => {
+    const distance = getDistanceToFeature(feature, lat, lng);
+    if (distance < nearestDistance) {
+      nearest = feature;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+// Incidents keep their object while unchanged, so each is only looked up once
+const incidentDistricts = new WeakMap();
+
+// Name of the district an incident's anchor point lies in, or '' outside them all
+function getIncidentDistrict(incident) {
+  if (!incidentDistricts.has(incident)) {
+    const [lat, lng] = incident.position || [];
+    const feature = incident.position
+      ? findBoundaryFeature(DISTRICT_BOUNDARIES, lat, lng, DISTRICT_EDGE_TOLERANCE)
+      : null;
+    incidentDistricts.set(incident, feature ? feature.properties.name : '');
+  }
+  return incidentDistricts.get(incident);
+}
+
+function LoadingIndicator() {
+  const map = useMap();
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!map) return;
+
+    const handleLoad = () => setLoading(true);
+    const handleLoadEnd = () => setLoading(false);
+
+    map.on('loading', handleLoad);
+    map.on('load', handleLoadEnd);
+    map.on('tileerror', handleLoadEnd);
+
+    return () => {
+      map.off('loading', handleLoad);
+      map.off('load', handleLoadEnd);
+      map.off('tileerror', handleLoadEnd);
+    };
+  }, [map]);
+
+  if (!loading) return null;
+
+  return (
+    <div className="map-loading-indicator">
+      Loading map...
+    </div>
+  );
+}
+
+// Admin field inputs, filled in by reverse geocoding and open to correction.
+// Blank divisions are marked for the reporter to enter.
+function LocationFields({ values, onChange, status, onLookup }) {
+  return (
+    <div className="location-fields">
+      {LOCATION_FIELDS.map(({ key, label, division }) => (
+        <div className={`form-group ${division && !values[key] ? 'needs-entry' : ''}`} key={key}>
+          <label>{label}</label>
+          <input
+            type="text"
+            name={key}
+            value={values[key]}
+            onChange={onChange}
+            placeholder={division ? 'Not known from the map, please enter' : ''}
+          />
+        </div>
+      ))}
+      {(status || onLookup) && (
+        <span className="field-hint">
+          {status}
+          {onLookup && !status && (
+            <button type="button" className="location-lookup" onClick={onLookup}>
+              📍 Fill in blanks from the map position
+            </button>
+          )}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Add new plot dialog component
+function PlotDialog({ isOpen, onClose, position, plotType = 'circle', area, length, contributors, onSubmit }) {
+  const { settings } = useSettings();
+  const { user } = useAuth();
+  const [locationStatus, setLocationStatus] = useState('Looking up the location...');
+  const [plotData, setPlotData] = useState(() => ({
+    incidentName: '',
+    ...getAccountReporter(contributors, user),
+    dateTime: new Date().toISOString().slice(0, 16), // Current date and time
+    radius: toDisplayLength(settings.defaultRadius, settings.units), // Default radius in display units
+    severity: settings.defaultSeverity,
+    description: '',
+    affectedArea: '',
+    ...getLocationFields({}),
+    evacuationStatus: settings.defaultEvacuationStatus,
+    waterLevel: '',
+    weatherConditions: '',
+    flowSpeed: ''
+  }));
+
+  // Name the clicked spot, keeping anything typed while the lookup ran
+  useEffect(() => {
+    const controller = new AbortController();
+    reverseGeocode(position.lat, position.lng, settings, controller.signal).then(({ address, errors }) => {
+      if (controller.signal.aborted) return;
+      setPlotData(prev => {
+        const location = fillLocationFields(prev, address);
+        return { ...prev, ...location, affectedArea: prev.affectedArea || formatLocationLabel(location) };
+      });
+      setLocationStatus(errors.length > 0 ? `Filled in offline. ${errors.join('; ')}` : null);
+    });
+    return () => controller.abort();
+  }, [position, settings]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setPlotData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      ...plotData,
+      radius: fromDisplayLength(plotData.radius, settings.units),
+      type: plotType,
+      position,
+      timestamp: new Date(plotData.dateTime).getTime()
+    });
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="plot-dialog-overlay">
+      <div className="plot-dialog">
+        <h2>
+          {plotType === 'point' && 'Add Flood Incident Point'}
+          {plotType === 'polygon' && 'Add Flooded Area'}
+          {plotType === 'path' && 'Add Water Flow Path'}
+          {plotType === 'circle' && 'Add Flood Incident'}
+        </h2>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Incident Name *</label>
+            <input
+              type="text"
+              name="incidentName"
+              value={plotData.incidentName}
+              onChange={handleChange}
+              required
+              placeholder="e.g., Galle Road Flooding"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Reporter *</label>
+            <ReporterSelect
+              contributors={contributors}
+              reporterId={plotData.reporterId}
+              reporterName={plotData.reporterName}
+              readOnly={!hasPermission(user, 'editAny')}
+              onChange={(reporter) => setPlotData(prev => ({ ...prev, ...reporter }))}
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Date and Time *</label>
+            <input
+              type="datetime-local"
+              name="dateTime"
+              value={plotData.dateTime}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          {plotType === 'circle' && (
+            <div className="form-group">
+              <label>Circle Radius ({getLengthUnitLabel(settings.units)}) *</label>
+              <input
+                type="number"
+                name="radius"
+                value={plotData.radius}
+                onChange={handleChange}
+                min={toDisplayLength(10, settings.units)}
+                max={toDisplayLength(1000, settings.units)}
+                required
+              />
+            </div>
+          )}
+
+          {plotType === 'polygon' && (
+            <div className="form-group">
+              <label>Flooded Area</label>
+              <input type="text" value={formatArea(area, settings.units)} readOnly />
+            </div>
+          )}
+
+          {plotType === 'path' && (
+            <>
+              <div className="form-group">
+                <label>Path Length</label>
+                <input type="text" value={formatLength(length, settings.units)} readOnly />
+              </div>
+
+              <div className="form-group">
+                <label>Flow Speed (m/s)</label>
+                <input
+                  type="number"
+                  name="flowSpeed"
+                  value={plotData.flowSpeed}
+                  onChange={handleChange}
+                  min="0"
+                  step="0.1"
+                  placeholder="e.g., 1.5"
+                />
+              </div>
+            </>
+          )}
+
+          <div className="form-group">
+            <label>Severity Level *</label>
+            <select
+              name="severity"
+              value={plotData.severity}
+              onChange={handleChange}
+              required
+            >
+              <option value="minor">Minor</option>
+              <option value="moderate">Moderate</option>
+              <option value="severe">Severe</option>
+              <option value="critical">Critical</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Affected Area</label>
+            <input
+              type="text"
+              name="affectedArea"
+              value={plotData.affectedArea}
+              onChange={handleChange}
+              placeholder="e.g., Residential Area, School Zone"
+            />
+          </div>
+
+          <LocationFields values={plotData} onChange={handleChange} status={locationStatus} />
+
+          <div className="form-group">
+            <label>Water Level</label>
+            <select
+              name="waterLevel"
+              value={plotData.waterLevel}
+              onChange={handleChange}
+            >
+              <option value="">Select Water Level</option>
+              <option value="ankle">Ankle Deep (less than 0.5m)</option>
+              <option value="knee">Knee Deep (0.5m - 1m)</option>
+              <option value="waist">Waist Deep (1m - 1.5m)</option>
+              <option value="above_waist">Above Waist (more than 1.5m)</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Evacuation Status</label>
+            <select
+              name="evacuationStatus"
+              value={plotData.evacuationStatus}
+              onChange={handleChange}
+            >
+              <option value="not_required">Not Required</option>
+              <option value="recommended">Recommended</option>
+              <option value="in_progress">In Progress</option>
+              <option value="completed">Completed</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Weather Conditions</label>
+            <select
+              name="weatherConditions"
+              value={plotData.weatherConditions}
+              onChange={handleChange}
+            >
+              <option value="">Select Weather</option>
+              <option value="heavy_rain">Heavy Rain</option>
+              <option value="moderate_rain">Moderate Rain</option>
+              <option value="light_rain">Light Rain</option>
+              <option value="cloudy">Cloudy</option>
+              <option value="clear">Clear</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Description</label>
+            <textarea
+              name="description"
+              value={plotData.description}
+              onChange={handleChange}
+              placeholder="Additional details about the incident..."
+              rows="3"
+            />
+          </div>
+
+          <div className="dialog-buttons">
+            <button type="button" onClick={onClose} className="cancel-button">
+              Cancel
+            </button>
+            <button type="submit" className="submit-button">
+              Add Incident
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Incident lifecycle. Each state lists the states an incident may move to next;
+// colours are RGB triplets so the map can fade them.
+const LIFECYCLE_STATES = {
+  reported: { label: 'Reported', color: '158, 158, 158', next: ['confirmed', 'active', 'resolved'] },
+  confirmed: { label: 'Confirmed', color: '33, 150, 243', next: ['active', 'resolved'] },
+  active: { label: 'Active', color: '76, 175, 80', next: ['receding', 'resolved'] },
+  receding: { label: 'Receding', color: '255, 152, 0', next: ['active', 'resolved'] },
+  resolved: { label: 'Resolved', color: '96, 125, 139', next: ['active', 'archived'] },
+  archived: { label: 'Archived', color: '120, 120, 120', next: ['resolved'] }
+};
+
+// States whose map shapes pulse
+const PULSING_STATES = ['active', 'receding'];
+
+// Incidents from before the lifecycle existed only had an evacuation status,
+// which used to stand in for whether they were active
+function getLifecycleState(incident) {
+  if (incident.lifecycleState in LIFECYCLE_STATES) return incident.lifecycleState;
+  return incident.evacuationStatus === 'in_progress' || incident.evacuationStatus === 'recommended'
+    ? 'active'
+    : 'reported';
+}
+
+// Lifecycle fields for a newly reported incident
+function startLifecycle(by) {
+  return {
+    lifecycleState: 'reported',
+    lifecycleTransitions: [{ from: null, to: 'reported', at: Date.now(), by }]
+  };
+}
+
+// Lifecycle fields after moving an incident to another state, or null when that
+// state cannot be reached from the current one
+function transitionLifecycle(incident, to, by) {
+  const from = getLifecycleState(incident);
+  if (!LIFECYCLE_STATES[from].next.includes(to)) return null;
+  return {
+    lifecycleState: to,
+    lifecycleTransitions: [...(incident.lifecycleTransitions || []), { from, to, at: Date.now(), by }]
+  };
+}
+
+// Coloured dot and label for an incident's lifecycle state
+function StatusIndicator({ state }) {
+  const { label, color } = LIFECYCLE_STATES[state];
+  return (
+    <div className="status-indicator">
+      <span className={`status-dot ${state}`} style={{ color: `rgb(${color})` }}>●</span>
+      <span className="status-text">{label.toUpperCase()}</span>
+    </div>
+  );
+}
+
+// Add severity label helper with emoji indicators
+function getSeverityLabel(severity) {
+  switch (severity) {
+    case 'minor':
+      return { label: 'Minor', icon: '⚪' };
+    case 'moderate':
+      return { label: 'Moderate', icon: '🟡' };
+    case 'severe':
       return { label: 'Severe', icon: '🟠' };
     case 'critical':
       return { label: 'Critical', icon: '🔴' };
@@ -388,312 +1791,5988 @@ function getSeverityLabel(severity) {
   }
 }
 
-// Format water level text
-function formatWaterLevel(level) {
-  if (!level) return null;
-  const formatted = level
-    .split('_')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(' ');
-  return `${formatted} Water`;
+// Turn a snake_case option value into a readable label
+function formatLabel(value) {
+  if (!value) return '';
+  return value
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Format water level text
+function formatWaterLevel(level) {
+  if (!level) return null;
+  return `${formatLabel(level)} Water`;
+}
+
+// Incidents from before moderation was introduced count as published
+function getModerationStatus(incident) {
+  return incident.moderationStatus || 'published';
+}
+
+// Checked by a moderator, so fit for reports and statistics
+function isReviewedIncident(incident) {
+  return ['verified', 'published'].includes(getModerationStatus(incident));
+}
+
+// Dashed, faded outlines for reports nobody has verified yet
+function getModerationPathOptions(incident) {
+  return getModerationStatus(incident) === 'submitted'
+    ? { dashArray: '6 6', opacity: 0.7, fillOpacity: 0.1 }
+    : { dashArray: null, opacity: 1 };
+}
+
+// Fields left out of history diffs because they are derived from others
+const HISTORY_IGNORED_FIELDS = ['id', 'isActive'];
+
+// Edits touching only these are recorded as status changes
+const STATUS_FIELDS = ['evacuationStatus', 'lifecycleState', 'lifecycleTransitions'];
+
+// Field-level differences between two versions of an incident
+function diffIncidents(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  fields.forEach(field => {
+    if (HISTORY_IGNORED_FIELDS.includes(field)) return;
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from ?? null) !== JSON.stringify(to ?? null)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  });
+
+  return changes;
+}
+
+// Short readable form of a stored field value
+function formatHistoryValue(field, value) {
+  if (value === null || value === '') return '—';
+  if (field === 'lifecycleState' && value in LIFECYCLE_STATES) return LIFECYCLE_STATES[value].label;
+  // The transition list only ever grows, so its newest entry is what changed
+  if (field === 'lifecycleTransitions' && Array.isArray(value)) {
+    const last = value[value.length - 1];
+    return last ? `${formatLabel(last.to)} at ${new Date(last.at).toLocaleString()}` : '—';
+  }
+  if (Array.isArray(value)) return field === 'position' ? value.map(n => n.toFixed(5)).join(', ') : `${value.length} points`;
+  if (field === 'timestamp') return new Date(value).toLocaleString();
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+  return String(value);
+}
+
+const HISTORY_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  status: 'Status changed',
+  delete: 'Deleted',
+  restore: 'Restored',
+  import: 'Imported',
+  sync: 'Synced from server',
+  verified: 'Verified',
+  published: 'Published',
+  rejected: 'Rejected',
+  submitted: 'Reopened for review',
+  merge: 'Merged'
+};
+
+// Version list of one incident with the option to roll back
+function IncidentHistory({ entries, onRestore }) {
+  if (!entries || entries.length === 0) {
+    return <p className="history-empty">No history recorded for this incident yet.</p>;
+  }
+
+  const latestVersion = entries[entries.length - 1].version;
+
+  return (
+    <ol className="history-list">
+      {[...entries].reverse().map(entry => (
+        <li key={entry.version} className="history-entry">
+          <div className="history-entry-header">
+            <span className="history-version">v{entry.version}</span>
+            <span className="history-action">{HISTORY_ACTION_LABELS[entry.action] || entry.action}</span>
+            <span className="history-meta">
+              {entry.user} · {new Date(entry.timestamp).toLocaleString()}
+            </span>
+            {onRestore && entry.snapshot && entry.version !== latestVersion && (
+              <button type="button" className="history-restore" onClick={() => onRestore(entry)}>
+                Restore
+              </button>
+            )}
+          </div>
+          {Object.keys(entry.changes).length > 0 && entry.action !== 'create' && (
+            <table className="history-diff">
+              <tbody>
+                {Object.entries(entry.changes).map(([field, change]) => (
+                  <tr key={field}>
+                    <th>{field}</th>
+                    <td className="history-from">{formatHistoryValue(field, change.from)}</td>
+                    <td>→</td>
+                    <td className="history-to">{formatHistoryValue(field, change.to)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// Add configuration dialog component
+function ConfigDialog({ incident, history, editor, contributors, shelters, chat, onClose, onUpdate, onDelete, onRestoreVersion }) {
+  const { settings } = useSettings();
+  const { user } = useAuth();
+  const canEdit = canEditIncident(user, incident);
+  const [tab, setTab] = useState('details');
+  const [editAnyway, setEditAnyway] = useState(false);
+  const isLocked = Boolean(editor) && !editAnyway;
+  // Older incidents only have a typed name; link it when it matches a contributor
+  const reporter = incident.reporterId
+    ? contributors.find(contributor => contributor.id === incident.reporterId)
+    : findContributorByName(contributors, incident.reporterName);
+  const threadUnread = countUnread(
+    chat.messages.filter(message => message.threadId === getIncidentThreadId(incident.id)),
+    chat.readAt,
+    chat.sender
+  );
+  // In feet the radius is shown rounded, so it is only saved when it was edited
+  const [shownRadius] = useState(() => toDisplayLength(incident.radius, settings.units));
+  const [editData, setEditData] = useState({
+    incidentName: incident.incidentName,
+    reporterId: reporter ? reporter.id : '',
+    reporterName: reporter ? reporter.name : incident.reporterName,
+    radius: shownRadius,
+    severity: incident.severity,
+    description: incident.description,
+    affectedArea: incident.affectedArea,
+    ...getLocationFields(incident),
+    evacuationStatus: incident.evacuationStatus,
+    waterLevel: incident.waterLevel,
+    weatherConditions: incident.weatherConditions,
+    flowSpeed: incident.flowSpeed,
+    lifecycleState: getLifecycleState(incident)
+  });
+  const currentState = getLifecycleState(incident);
+  const transitions = incident.lifecycleTransitions || [];
+  const [locationStatus, setLocationStatus] = useState(null);
+
+  const handleLocationLookup = async () => {
+    setLocationStatus('Looking up the location...');
+    const { address, errors } = await reverseGeocode(incident.position[0], incident.position[1], settings);
+    setEditData(prev => ({ ...prev, ...fillLocationFields(prev, address) }));
+    setLocationStatus(errors.length > 0 ? `Filled in offline. ${errors.join('; ')}` : null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setEditData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const { lifecycleState, radius, ...details } = editData;
+    onUpdate(incident.id, {
+      ...details,
+      ...(String(radius) !== String(shownRadius) && { radius: fromDisplayLength(radius, settings.units) }),
+      reporterId: editData.reporterId || undefined,
+      // Blank admin fields stay unset rather than show up in the history as edits
+      ...Object.fromEntries(LOCATION_FIELDS.map(({ key }) => [key, editData[key] || undefined])),
+      // Older incidents get their derived state written down on first save
+      ...(lifecycleState === currentState
+        ? { lifecycleState }
+        : transitionLifecycle(incident, lifecycleState, user.name)),
+      // Left behind by the old active toggle
+      isActive: undefined
+    });
+    onClose();
+  };
+
+  return (
+    <div className="config-dialog-overlay">
+      <div className="config-dialog">
+        <h2>Configure Incident</h2>
+        {getModerationStatus(incident) !== 'published' && (
+          <div className={`moderation-banner ${getModerationStatus(incident)}`}>
+            {getModerationStatus(incident) === 'submitted' && 'Unverified report, waiting in the moderation queue.'}
+            {getModerationStatus(incident) === 'verified' && 'Verified, not yet published.'}
+            {getModerationStatus(incident) === 'rejected' && `Rejected: ${incident.rejectionReason}`}
+          </div>
+        )}
+        {!canEdit && (
+          <div className="read-only-notice">
+            Your account can view this incident but not change it.
+          </div>
+        )}
+        {editor && canEdit && (
+          <div className="edit-lock-warning">
+            <span>
+              🔒 <strong>{editor.user}</strong> is editing this incident
+              {editor.since && ` since ${new Date(editor.since).toLocaleTimeString()}`}.
+              {editAnyway ? ' Saving may overwrite their changes.' : ''}
+            </span>
+            {!editAnyway && (
+              <button type="button" className="cancel-button" onClick={() => setEditAnyway(true)}>
+                Edit Anyway
+              </button>
+            )}
+          </div>
+        )}
+        <div className="dialog-tabs">
+          <button
+            type="button"
+            className={tab === 'details' ? 'active' : ''}
+            onClick={() => setTab('details')}
+          >
+            Details
+          </button>
+          <button
+            type="button"
+            className={tab === 'history' ? 'active' : ''}
+            onClick={() => setTab('history')}
+          >
+            History ({history ? history.length : 0})
+          </button>
+          <button
+            type="button"
+            className={tab === 'chat' ? 'active' : ''}
+            onClick={() => setTab('chat')}
+          >
+            Chat
+            {threadUnread > 0 && <span className="unread-badge">{threadUnread}</span>}
+          </button>
+        </div>
+        {tab === 'chat' && (
+          <>
+            <ChatThread
+              threadId={getIncidentThreadId(incident.id)}
+              title={incident.incidentName}
+              chat={chat}
+              compact
+            />
+            <div className="dialog-buttons">
+              <span />
+              <button type="button" onClick={onClose} className="cancel-button">
+                Close
+              </button>
+            </div>
+          </>
+        )}
+        {tab === 'history' && (
+          <>
+            <IncidentHistory
+              entries={history}
+              onRestore={canEdit ? (entry) => {
+                if (window.confirm(`Restore version ${entry.version} of this incident?`)) {
+                  onRestoreVersion(incident.id, entry);
+                  onClose();
+                }
+              } : null}
+            />
+            <div className="dialog-buttons">
+              <span />
+              <button type="button" onClick={onClose} className="cancel-button">
+                Close
+              </button>
+            </div>
+          </>
+        )}
+        <form onSubmit={handleSubmit} hidden={tab !== 'details'}>
+          <fieldset className="form-fieldset" disabled={!canEdit}>
+            <div className="form-group">
+              <label>Status *</label>
+              <select
+                name="lifecycleState"
+                value={editData.lifecycleState}
+                onChange={handleChange}
+                required
+                className="status-select"
+              >
+                {[currentState, ...LIFECYCLE_STATES[currentState].next].map(state => (
+                  <option key={state} value={state}>{LIFECYCLE_STATES[state].label}</option>
+                ))}
+              </select>
+              {transitions.length > 0 && (
+                <ol className="lifecycle-timeline">
+                  {transitions.map((transition, index) => (
+                    <li key={index}>
+                      <span className="lifecycle-state">{LIFECYCLE_STATES[transition.to].label}</span>
+                      {' '}{new Date(transition.at).toLocaleString()}
+                      {transition.by && ` · ${transition.by}`}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label>Incident Name *</label>
+              <input
+                type="text"
+                name="incidentName"
+                value={editData.incidentName}
+                onChange={handleChange}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Reporter *</label>
+              <ReporterSelect
+                contributors={contributors}
+                reporterId={editData.reporterId}
+                reporterName={editData.reporterName}
+                readOnly={!hasPermission(user, 'editAny')}
+                onChange={(reporter) => setEditData(prev => ({ ...prev, ...reporter }))}
+              />
+            </div>
+
+            {(incident.type || 'circle') === 'circle' && (
+              <div className="form-group">
+                <label>Circle Radius ({getLengthUnitLabel(settings.units)}) *</label>
+                <input
+                  type="number"
+                  name="radius"
+                  value={editData.radius}
+                  onChange={handleChange}
+                  min={toDisplayLength(10, settings.units)}
+                  max={toDisplayLength(1000, settings.units)}
+                  required
+                />
+              </div>
+            )}
+
+            {incident.type === 'polygon' && (
+              <div className="form-group">
+                <label>Flooded Area</label>
+                <input type="text" value={formatArea(incident.area, settings.units)} readOnly />
+              </div>
+            )}
+
+            {incident.type === 'path' && (
+              <>
+                <div className="form-group">
+                  <label>Path Length</label>
+                  <input type="text" value={formatLength(incident.length, settings.units)} readOnly />
+                </div>
+
+                <div className="form-group">
+                  <label>Flow Speed (m/s)</label>
+                  <input
+                    type="number"
+                    name="flowSpeed"
+                    value={editData.flowSpeed || ''}
+                    onChange={handleChange}
+                    min="0"
+                    step="0.1"
+                  />
+                </div>
+              </>
+            )}
+
+            <div className="form-group">
+              <label>Severity Level *</label>
+              <select
+                name="severity"
+                value={editData.severity}
+                onChange={handleChange}
+                required
+              >
+                <option value="minor">Minor</option>
+                <option value="moderate">Moderate</option>
+                <option value="severe">Severe</option>
+                <option value="critical">Critical</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Evacuation Status *</label>
+              <select
+                name="evacuationStatus"
+                value={editData.evacuationStatus}
+                onChange={handleChange}
+                required
+              >
+                <option value="not_required">Not Required</option>
+                <option value="recommended">Recommended</option>
+                <option value="in_progress">In Progress</option>
+                <option value="completed">Completed</option>
+              </select>
+            </div>
+
+            <NearestShelters incident={incident} shelters={shelters} />
+
+            <div className="form-group">
+              <label>Water Level</label>
+              <select
+                name="waterLevel"
+                value={editData.waterLevel}
+                onChange={handleChange}
+              >
+                <option value="">Select Water Level</option>
+                <option value="ankle">Ankle Deep (less than 0.5m)</option>
+                <option value="knee">Knee Deep (0.5m - 1m)</option>
+                <option value="waist">Waist Deep (1m - 1.5m)</option>
+                <option value="above_waist">Above Waist (more than 1.5m)</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Weather Conditions</label>
+              <select
+                name="weatherConditions"
+                value={editData.weatherConditions}
+                onChange={handleChange}
+              >
+                <option value="">Select Weather</option>
+                <option value="heavy_rain">Heavy Rain</option>
+                <option value="moderate_rain">Moderate Rain</option>
+                <option value="light_rain">Light Rain</option>
+                <option value="cloudy">Cloudy</option>
+                <option value="clear">Clear</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label>Affected Area</label>
+              <input
+                type="text"
+                name="affectedArea"
+                value={editData.affectedArea}
+                onChange={handleChange}
+                placeholder="e.g., Residential Area, School Zone"
+              />
+            </div>
+
+            <LocationFields
+              values={editData}
+              onChange={handleChange}
+              status={locationStatus}
+              onLookup={canEdit && !isLocked ? handleLocationLookup : null}
+            />
+
+            <div className="form-group">
+              <label>Description</label>
+              <textarea
+                name="description"
+                value={editData.description}
+                onChange={handleChange}
+                placeholder="Additional details about the incident..."
+                rows="3"
+              />
+            </div>
+          </fieldset>
+
+          <div className="dialog-buttons">
+            {hasPermission(user, 'delete') ? (
+              <button 
+                type="button" 
+                onClick={() => onDelete(incident.id)}
+                className="delete-button"
+                disabled={isLocked}
+              >
+                Delete Incident
+              </button>
+            ) : <span />}
+            <div>
+              <button type="button" onClick={onClose} className="cancel-button">
+                {canEdit ? 'Cancel' : 'Close'}
+              </button>
+              {canEdit && (
+                <button type="submit" className="submit-button" disabled={isLocked}>
+                  Save Changes
+                </button>
+              )}
+            </div>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Shared tooltip for every incident type
+function IncidentTooltip({ incident }) {
+  const { settings } = useSettings();
+  const location = formatLocationLabel(incident);
+
+  return (
+    <Tooltip 
+      direction="top" 
+      offset={incident.type === 'point' ? [0, -28] : [0, -20]}
+      opacity={1}
+      permanent={false}
+      className="incident-tooltip"
+    >
+      <div className="tooltip-content">
+        <div className="tooltip-header">
+          <h3 className="incident-name">{incident.incidentName}</h3>
+          <StatusIndicator state={getLifecycleState(incident)} />
+        </div>
+        <div className="tooltip-details">
+          <div className="severity-info">
+            <span className="detail-icon">
+              {getSeverityLabel(incident.severity).icon}
+            </span>
+            <span className="detail-label">
+              {getSeverityLabel(incident.severity).label} Severity
+            </span>
+          </div>
+          {location && (
+            <div className="location-info">
+              <span className="detail-icon">📍</span>
+              <span className="detail-label">{location}</span>
+            </div>
+          )}
+          {incident.waterLevel && (
+            <div className="water-level-info">
+              <span className="detail-icon">💧</span>
+              <span className="detail-label">
+                {formatWaterLevel(incident.waterLevel)}
+              </span>
+            </div>
+          )}
+          {incident.type === 'polygon' && (
+            <div className="area-info">
+              <span className="detail-icon">📐</span>
+              <span className="detail-label">
+                Area: {formatArea(incident.area, settings.units)}
+              </span>
+            </div>
+          )}
+          {incident.type === 'path' && (
+            <div className="flow-info">
+              <span className="detail-icon">➡️</span>
+              <span className="detail-label">
+                {formatLength(incident.length, settings.units)}
+                {incident.flowSpeed && ` at ${incident.flowSpeed} m/s`}
+              </span>
+            </div>
+          )}
+          {incident.reporterName && (
+            <div className="reporter-info">
+              <span className="detail-icon">👤</span>
+              <span className="detail-label">
+                Reported by: {incident.reporterName}
+              </span>
+            </div>
+          )}
+          {getModerationStatus(incident) !== 'published' && (
+            <div className="moderation-info">
+              <span className="detail-icon">⚠️</span>
+              <span className="detail-label">
+                {getModerationStatus(incident) === 'submitted' ? 'Unverified report' : 'Verified, not yet published'}
+              </span>
+            </div>
+          )}
+        </div>
+      </div>
+    </Tooltip>
+  );
+}
+
+// Cache point icons so markers keep the same icon instance between renders
+const incidentIconCache = {};
+
+function getIncidentIcon(severity, isPulsing, isUnverified = false) {
+  const key = `${severity}-${isPulsing}-${isUnverified}`;
+  if (!incidentIconCache[key]) {
+    incidentIconCache[key] = L.divIcon({
+      className: 'incident-marker-wrapper',
+      html: `<div class="incident-marker ${isPulsing ? 'active' : ''} ${isUnverified ? 'unverified' : ''}" style="--marker-color: ${getIncidentColor(severity)}"></div>`,
+      iconSize: [24, 24],
+      iconAnchor: [12, 24]
+    });
+  }
+  return incidentIconCache[key];
+}
+
+// Arrowheads at the middle of each segment show the direction of the flow
+function FlowArrows({ points, color }) {
+  return points.slice(1).map((end, index) => {
+    const start = points[index];
+    const p1 = L.Projection.SphericalMercator.project(L.latLng(start));
+    const p2 = L.Projection.SphericalMercator.project(L.latLng(end));
+    // Projected y grows northwards while screen y grows southwards
+    const angle = -Math.atan2(p2.y - p1.y, p2.x - p1.x) * 180 / Math.PI;
+    const icon = L.divIcon({
+      className: 'flow-arrow-wrapper',
+      html: `<div class="flow-arrow" style="color: ${color}; transform: rotate(${angle}deg)">➤</div>`,
+      iconSize: [18, 18],
+      iconAnchor: [9, 9]
+    });
+
+    return (
+      <Marker
+        key={`arrow-${index}`}
+        position={[(start[0] + end[0]) / 2, (start[1] + end[1]) / 2]}
+        icon={icon}
+        interactive={false}
+      />
+    );
+  });
+}
+
+// Halo around a circle, in the colour of its lifecycle state
+function PulseCircle({ center, radius, state }) {
+  const { color } = LIFECYCLE_STATES[state];
+  return (
+    <Circle
+      center={center}
+      radius={radius}
+      pathOptions={{
+        color: `rgba(${color}, 0.3)`,
+        fillColor: `rgba(${color}, 0.1)`,
+        fillOpacity: 0.3,
+        weight: 2,
+        interactive: false,
+        className: 'pulse-circle-1'
+      }}
+    />
+  );
+}
+
+// One incident drawn in its own shape. Memoized so an edit only redraws the
+// incident that changed.
+const IncidentShape = React.memo(function IncidentShape({ incident, onSelect }) {
+  const lifecycleState = getLifecycleState(incident);
+  const isPulsing = PULSING_STATES.includes(lifecycleState);
+  const moderationOptions = getModerationPathOptions(incident);
+  const color = getIncidentColor(incident.severity);
+  const eventHandlers = { click: () => onSelect(incident) };
+
+  if (incident.type === 'point') {
+    return (
+      <Marker
+        position={incident.position}
+        icon={getIncidentIcon(incident.severity, isPulsing, getModerationStatus(incident) === 'submitted')}
+        eventHandlers={eventHandlers}
+      >
+        <IncidentTooltip incident={incident} />
+      </Marker>
+    );
+  }
+
+  if (incident.type === 'path') {
+    return (
+      <>
+        <Polyline
+          positions={incident.points}
+          pathOptions={{
+            color,
+            weight: 5,
+            className: isPulsing ? 'pulse-polygon' : '',
+            ...moderationOptions
+          }}
+          eventHandlers={eventHandlers}
+        >
+          <IncidentTooltip incident={incident} />
+        </Polyline>
+        <FlowArrows points={incident.points} color={color} />
+      </>
+    );
+  }
+
+  if (incident.type === 'polygon') {
+    return (
+      <Polygon
+        positions={incident.points}
+        pathOptions={{
+          color,
+          fillColor: color,
+          fillOpacity: 0.3,
+          className: isPulsing ? 'pulse-polygon' : '',
+          ...moderationOptions
+        }}
+        eventHandlers={eventHandlers}
+      >
+        <IncidentTooltip incident={incident} />
+      </Polygon>
+    );
+  }
+
+  return (
+    <>
+      {isPulsing && (
+        <PulseCircle
+          center={incident.position}
+          radius={incident.radius}
+          state={lifecycleState}
+        />
+      )}
+      <Circle
+        center={incident.position}
+        radius={incident.radius}
+        pathOptions={{
+          color,
+          fillColor: color,
+          fillOpacity: 0.3,
+          ...moderationOptions
+        }}
+        eventHandlers={eventHandlers}
+      >
+        <IncidentTooltip incident={incident} />
+      </Circle>
+    </>
+  );
+});
+
+// Below this zoom nearby incidents are drawn as one cluster badge
+const CLUSTER_MAX_ZOOM = 16;
+// Side of the square screen cells incidents are grouped by, in pixels
+const CLUSTER_CELL_SIZE = 60;
+// Share of the viewport drawn beyond each edge so short pans stay filled in
+const VIEWPORT_PADDING = 0.25;
+
+// Incidents never move without becoming a new object, so bounds are kept per object
+const incidentBoundsCache = new WeakMap();
+
+function getIncidentBounds(incident) {
+  if (!incidentBoundsCache.has(incident)) {
+    incidentBoundsCache.set(incident, incident.points && incident.points.length > 1
+      ? L.latLngBounds(incident.points)
+      : L.latLng(incident.position).toBounds((incident.radius || 0) * 2));
+  }
+  return incidentBoundsCache.get(incident);
+}
+
+// Split the incidents around the viewport into clusters and ones drawn on their
+// own. Shapes wider than a cell are never clustered.
+function clusterIncidents(map, incidents, bounds, zoom) {
+  const area = bounds.pad(VIEWPORT_PADDING);
+  const visible = incidents.filter(incident =>
+    incident.position && incident.position.length === 2 && area.intersects(getIncidentBounds(incident))
+  );
+  if (zoom >= CLUSTER_MAX_ZOOM) return { clusters: [], singles: visible };
+
+  const cells = new Map();
+  const singles = [];
+  visible.forEach(incident => {
+    const extent = getIncidentBounds(incident);
+    const northEast = map.project(extent.getNorthEast(), zoom);
+    const southWest = map.project(extent.getSouthWest(), zoom);
+    if (northEast.x - southWest.x > CLUSTER_CELL_SIZE || southWest.y - northEast.y > CLUSTER_CELL_SIZE) {
+      singles.push(incident);
+      return;
+    }
+    const point = map.project(incident.position, zoom);
+    const cell = `${Math.floor(point.x / CLUSTER_CELL_SIZE)}:${Math.floor(point.y / CLUSTER_CELL_SIZE)}`;
+    if (!cells.has(cell)) cells.set(cell, []);
+    cells.get(cell).push(incident);
+  });
+
+  const clusters = [];
+  cells.forEach((members, cell) => {
+    if (members.length === 1) {
+      singles.push(members[0]);
+      return;
+    }
+    clusters.push({
+      id: `${zoom}-${cell}`,
+      count: members.length,
+      position: [
+        members.reduce((sum, incident) => sum + incident.position[0], 0) / members.length,
+        members.reduce((sum, incident) => sum + incident.position[1], 0) / members.length
+      ],
+      severity: SEVERITY_LEVELS[Math.max(...members.map(incident => SEVERITY_LEVELS.indexOf(incident.severity)))],
+      bounds: L.latLngBounds(members.map(incident => incident.position))
+    });
+  });
+
+  return { clusters, singles };
+}
+
+// Count badge coloured by the most severe incident in the cluster; clicking zooms in on it
+function ClusterMarker({ cluster }) {
+  const map = useMap();
+  const size = cluster.count < 10 ? 30 : cluster.count < 100 ? 36 : 44;
+  const label = cluster.count < 1000 ? cluster.count : `${Math.floor(cluster.count / 1000)}k`;
+  const icon = React.useMemo(() => L.divIcon({
+    className: 'incident-cluster-wrapper',
+    html: `<div class="incident-cluster" style="--marker-color: ${getIncidentColor(cluster.severity)}" title="${cluster.count} incidents">${label}</div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  }), [cluster.severity, cluster.count, label, size]);
+
+  return (
+    <Marker
+      position={cluster.position}
+      icon={icon}
+      eventHandlers={{
+        click: () => map.fitBounds(cluster.bounds, { padding: [40, 40], maxZoom: CLUSTER_MAX_ZOOM })
+      }}
+    />
+  );
+}
+
+// Incidents in and around the viewport, regrouped whenever the map stops moving
+function IncidentLayers({ incidents, onSelect }) {
+  const map = useMap();
+  const [view, setView] = useState(() => ({ bounds: map.getBounds(), zoom: map.getZoom() }));
+
+  useMapEvents({
+    moveend: () => setView({ bounds: map.getBounds(), zoom: map.getZoom() })
+  });
+
+  const { clusters, singles } = React.useMemo(
+    () => clusterIncidents(map, incidents, view.bounds, view.zoom),
+    [map, incidents, view]
+  );
+
+  return (
+    <>
+      {clusters.map(cluster => (
+        <ClusterMarker key={cluster.id} cluster={cluster} />
+      ))}
+      {singles.map(incident => (
+        <IncidentShape key={incident.id} incident={incident} onSelect={onSelect} />
+      ))}
+    </>
+  );
+}
+
+// How much each incident adds to the heatmap
+const HEATMAP_WEIGHTS = { minor: 0.3, moderate: 0.5, severe: 0.75, critical: 1 };
+const HEATMAP_RADIUS = 25;
+const HEATMAP_GRADIENT = [[0.2, '#2196f3'], [0.45, '#4caf50'], [0.65, '#ffd700'], [0.85, '#ffa500'], [1, '#ff0000']];
+
+// Canvas overlay shading incident density. Points are drawn as soft blobs whose
+// summed opacity is then mapped onto a colour gradient.
+const HeatmapCanvas = L.Layer.extend({
+  initialize(incidents) {
+    this._incidents = incidents;
+  },
+
+  setIncidents(incidents) {
+    this._incidents = incidents;
+    if (this._map) this._redraw();
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create('canvas', 'heatmap-layer leaflet-zoom-hide');
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on('moveend resize', this._redraw, this);
+    this._redraw();
+  },
+
+  onRemove(map) {
+    map.off('moveend resize', this._redraw, this);
+    L.DomUtil.remove(this._canvas);
+  },
+
+  _getPalette() {
+    if (!this._palette) {
+      const canvas = document.createElement('canvas');
+      canvas.width = 256;
+      canvas.height = 1;
+      const context = canvas.getContext('2d');
+      const gradient = context.createLinearGradient(0, 0, 256, 0);
+      HEATMAP_GRADIENT.forEach(([stop, color]) => gradient.addColorStop(stop, color));
+      context.fillStyle = gradient;
+      context.fillRect(0, 0, 256, 1);
+      this._palette = context.getImageData(0, 0, 256, 1).data;
+    }
+    return this._palette;
+  },
+
+  _redraw() {
+    const map = this._map;
+    const size = map.getSize();
+    const canvas = this._canvas;
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+    canvas.width = size.x;
+    canvas.height = size.y;
+    if (size.x === 0 || size.y === 0) return;
+
+    const context = canvas.getContext('2d');
+    const bounds = map.getBounds().pad(VIEWPORT_PADDING);
+    this._incidents.forEach(incident => {
+      if (!incident.position || !bounds.contains(incident.position)) return;
+      const point = map.latLngToContainerPoint(incident.position);
+      const blob = context.createRadialGradient(point.x, point.y, 0, point.x, point.y, HEATMAP_RADIUS);
+      blob.addColorStop(0, `rgba(0, 0, 0, ${HEATMAP_WEIGHTS[incident.severity] || 0.5})`);
+      blob.addColorStop(1, 'rgba(0, 0, 0, 0)');
+      context.fillStyle = blob;
+      context.fillRect(point.x - HEATMAP_RADIUS, point.y - HEATMAP_RADIUS, HEATMAP_RADIUS * 2, HEATMAP_RADIUS * 2);
+    });
+
+    const image = context.getImageData(0, 0, size.x, size.y);
+    const palette = this._getPalette();
+    for (let i = 3; i < image.data.length; i += 4) {
+      const offset = image.data[i] * 4;
+      if (!offset) continue;
+      image.data[i - 3] = palette[offset];
+      image.data[i - 2] = palette[offset + 1];
+      image.data[i - 1] = palette[offset + 2];
+      image.data[i] = Math.min(255, image.data[i] * 1.5);
+    }
+    context.putImageData(image, 0, 0);
+  }
+});
+
+// Density heatmap of the given incidents
+function HeatmapLayer({ incidents }) {
+  const map = useMap();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    const layer = new HeatmapCanvas([]);
+    layerRef.current = layer;
+    layer.addTo(map);
+    return () => layer.remove();
+  }, [map]);
+
+  useEffect(() => {
+    layerRef.current.setIncidents(incidents);
+  }, [incidents]);
+
+  return null;
+}
+
+// Dashed outlines of one of BOUNDARY_LAYERS, drawn under the incidents and
+// ignoring clicks so plotting still works on top of them
+function BoundaryLayer({ layer }) {
+  const map = useMap();
+  const [zoom, setZoom] = useState(() => map.getZoom());
+  const showLabels = zoom >= layer.labelZoom;
+
+  useMapEvents({
+    zoomend: () => setZoom(map.getZoom())
+  });
+
+  return (
+    <GeoJSON
+      key={`${layer.key}-${showLabels}`}
+      data={layer.data}
+      interactive={false}
+      style={{ color: layer.color, weight: layer.weight, dashArray: '6 4', fill: false }}
+      onEachFeature={(feature, featureLayer) => {
+        if (!showLabels) return;
+        featureLayer.bindTooltip(feature.properties.name, {
+          permanent: true,
+          direction: 'center',
+          className: `boundary-label boundary-label-${layer.key}`
+        });
+      }}
+    />
+  );
+}
+
+// Fill for a district's incident count; the busiest district gets the darkest
+function getDistrictCountColor(count, maxCount) {
+  if (!count) return DISTRICT_COUNT_COLORS[0];
+  return DISTRICT_COUNT_COLORS[Math.ceil(count / maxCount * (DISTRICT_COUNT_COLORS.length - 1))];
+}
+
+// National view: every district shaded and labelled by its incident count
+function DistrictCountsLayer({ incidents }) {
+  const counts = React.useMemo(() => Object.fromEntries(
+    countByDistrict(incidents).map(district => [district.name, district.count])
+  ), [incidents]);
+  const maxCount = Math.max(1, ...Object.values(counts));
+
+  return (
+    <GeoJSON
+      key={JSON.stringify(counts)}
+      data={DISTRICT_BOUNDARIES}
+      interactive={false}
+      style={(feature) => ({
+        color: '#455a64',
+        weight: 1,
+        fillColor: getDistrictCountColor(counts[feature.properties.name], maxCount),
+        fillOpacity: 0.45
+      })}
+      onEachFeature={(feature, featureLayer) => {
+        featureLayer.bindTooltip(`${feature.properties.name}: ${counts[feature.properties.name] || 0}`, {
+          permanent: true,
+          direction: 'center',
+          className: 'district-count-label'
+        });
+      }}
+    />
+  );
+}
+
+const shelterIconCache = {};
+
+// Shelter pin with a gauge under it, filled to the nearest tenth
+function getShelterIcon(shelter) {
+  const level = getShelterFillLevel(shelter);
+  const fill = Math.min(100, Math.round(shelter.occupancy / shelter.capacity * 10) * 10);
+  const key = `${shelter.type}-${level}-${fill}`;
+  if (!shelterIconCache[key]) {
+    shelterIconCache[key] = L.divIcon({
+      className: 'shelter-marker-wrapper',
+      html: `<div class="shelter-marker" style="--shelter-color: ${SHELTER_FILL_COLORS[level]}">` +
+        `<span class="shelter-marker-icon">${SHELTER_ICONS[shelter.type] || SHELTER_ICONS.other}</span>` +
+        `<span class="shelter-marker-gauge"><span style="width: ${fill}%"></span></span></div>`,
+      iconSize: [32, 38],
+      iconAnchor: [16, 38],
+      popupAnchor: [0, -34]
+    });
+  }
+  return shelterIconCache[key];
+}
+
+// Shelters as their own map layer, with occupancy and contact in the popup
+function ShelterLayer({ shelters }) {
+  return shelters.map(shelter => (
+    <Marker key={shelter.id} position={shelter.position} icon={getShelterIcon(shelter)}>
+      <Popup className="shelter-popup">
+        <div className="shelter-popup-name">{SHELTER_ICONS[shelter.type]} {shelter.name}</div>
+        <div className="shelter-popup-type">
+          {formatLabel(shelter.type)}
+          {shelter.status === 'closed' ? ', closed' : `, ${getSpareCapacity(shelter)} places free`}
+        </div>
+        <ShelterFillBar shelter={shelter} />
+        {shelter.facilities.length > 0 && (
+          <div className="shelter-popup-facilities">{shelter.facilities.map(formatLabel).join(', ')}</div>
+        )}
+        {(shelter.contactName || shelter.contactPhone) && (
+          <div className="shelter-popup-contact">
+            {shelter.contactName}
+            {shelter.contactPhone && (
+              <> <a href={`tel:${shelter.contactPhone.replace(/[\s-]/g, '')}`}>{shelter.contactPhone}</a></>
+            )}
+          </div>
+        )}
+        <div className="shelter-popup-updated">Updated {new Date(shelter.updatedAt).toLocaleString()}</div>
+      </Popup>
+    </Marker>
+  ));
+}
+
+// Severity and water level buckets shown on the dashboard
+const SEVERITY_LEVELS = ['minor', 'moderate', 'severe', 'critical'];
+const WATER_LEVELS = ['ankle', 'knee', 'waist', 'above_waist'];
+
+// Live situation summary shown next to the map
+function DashboardPanel({ incidents, unverifiedCount, lastUpdated, onSelectIncident }) {
+  const { settings } = useSettings();
+  const stats = React.useMemo(() => {
+    const bySeverity = Object.fromEntries(SEVERITY_LEVELS.map(level => [level, 0]));
+    const byWaterLevel = Object.fromEntries([...WATER_LEVELS, 'unknown'].map(level => [level, 0]));
+    const byState = Object.fromEntries(Object.keys(LIFECYCLE_STATES).map(state => [state, 0]));
+    let totalArea = 0;
+
+    incidents.forEach(incident => {
+      byState[getLifecycleState(incident)] += 1;
+      if (incident.severity in bySeverity) bySeverity[incident.severity] += 1;
+      byWaterLevel[incident.waterLevel in byWaterLevel ? incident.waterLevel : 'unknown'] += 1;
+      totalArea += getIncidentArea(incident);
+    });
+
+    const latestCritical = incidents
+      .filter(incident => incident.severity === 'critical')
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, 5);
+
+    return {
+      total: incidents.length,
+      byState,
+      bySeverity,
+      byWaterLevel,
+      totalArea,
+      latestCritical
+    };
+  }, [incidents]);
+
+  return (
+    <aside className="section-panel dashboard-panel">
+      <div className="panel-header">
+        <h2>Situation Summary</h2>
+        <span className="panel-subtitle">
+          Last updated {new Date(lastUpdated).toLocaleTimeString()}
+          {unverifiedCount > 0 && ` · ${unverifiedCount} unverified not counted`}
+        </span>
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <span className="stat-value">{stats.total}</span>
+          <span className="stat-label">Total Incidents</span>
+        </div>
+        <div className="stat-card active">
+          <span className="stat-value">{stats.byState.active}</span>
+          <span className="stat-label">Active</span>
+        </div>
+        <div className="stat-card resolved">
+          <span className="stat-value">{stats.byState.resolved + stats.byState.archived}</span>
+          <span className="stat-label">Resolved</span>
+        </div>
+        <div className="stat-card">
+          <span className="stat-value">{formatArea(stats.totalArea, settings.units)}</span>
+          <span className="stat-label">Affected Area</span>
+        </div>
+      </div>
+
+      <div className="panel-section">
+        <h3>By Severity</h3>
+        {SEVERITY_LEVELS.map(level => (
+          <div key={level} className="breakdown-row">
+            <span>{getSeverityLabel(level).icon} {getSeverityLabel(level).label}</span>
+            <div className="breakdown-bar">
+              <div
+                className="breakdown-fill"
+                style={{
+                  width: `${stats.total ? (stats.bySeverity[level] / stats.total) * 100 : 0}%`,
+                  backgroundColor: getIncidentColor(level)
+                }}
+              />
+            </div>
+            <span className="breakdown-count">{stats.bySeverity[level]}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="panel-section">
+        <h3>By Status</h3>
+        {Object.entries(LIFECYCLE_STATES).map(([state, { label, color }]) => (
+          <div key={state} className="breakdown-row">
+            <span>{label}</span>
+            <div className="breakdown-bar">
+              <div
+                className="breakdown-fill"
+                style={{
+                  width: `${stats.total ? (stats.byState[state] / stats.total) * 100 : 0}%`,
+                  backgroundColor: `rgb(${color})`
+                }}
+              />
+            </div>
+            <span className="breakdown-count">{stats.byState[state]}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="panel-section">
+        <h3>By Water Level</h3>
+        {[...WATER_LEVELS, 'unknown'].map(level => (
+          <div key={level} className="breakdown-row">
+            <span>{level === 'unknown' ? 'Not Reported' : formatWaterLevel(level)}</span>
+            <div className="breakdown-bar">
+              <div
+                className="breakdown-fill"
+                style={{ width: `${stats.total ? (stats.byWaterLevel[level] / stats.total) * 100 : 0}%` }}
+              />
+            </div>
+            <span className="breakdown-count">{stats.byWaterLevel[level]}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="panel-section">
+        <h3>Latest Critical Incidents</h3>
+        {stats.latestCritical.length === 0 ? (
+          <p className="panel-empty">No critical incidents reported.</p>
+        ) : (
+          <ul className="critical-list">
+            {stats.latestCritical.map(incident => (
+              <li key={incident.id}>
+                <button onClick={() => onSelectIncident(incident)}>
+                  <span className="critical-name">{incident.incidentName}</span>
+                  <span className="critical-time">
+                    {new Date(incident.timestamp).toLocaleString()}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </aside>
+  );
+}
+
+// Columns of the incident table and how each one sorts
+const INCIDENT_COLUMNS = [
+  { key: 'incidentName', label: 'Name' },
+  { key: 'reporterName', label: 'Reporter' },
+  {
+    key: 'location',
+    label: 'Location',
+    // By DS division, then GN division, the way the DMC reports group them
+    sortValue: incident => [incident.dsDivision, incident.gnDivision, incident.village, incident.road].join(' ').trim()
+  },
+  { key: 'severity', label: 'Severity', sortValue: incident => SEVERITY_LEVELS.indexOf(incident.severity) },
+  { key: 'moderationStatus', label: 'Review', sortValue: incident => MODERATION_STATES.indexOf(getModerationStatus(incident)) },
+  { key: 'lifecycleState', label: 'Status', sortValue: incident => Object.keys(LIFECYCLE_STATES).indexOf(getLifecycleState(incident)) },
+  { key: 'evacuationStatus', label: 'Evacuation' },
+  { key: 'waterLevel', label: 'Water Level', sortValue: incident => WATER_LEVELS.indexOf(incident.waterLevel) },
+  { key: 'weatherConditions', label: 'Weather' },
+  { key: 'timestamp', label: 'Time' }
+];
+
+const INCIDENTS_PAGE_SIZE = 15;
+
+// Descriptive fields every incident type shares
+const INCIDENT_FIELDS = [
+  'incidentName',
+  'reporterName',
+  'timestamp',
+  'severity',
+  'description',
+  'affectedArea',
+  ...LOCATION_FIELDS.map(({ key }) => key),
+  'lifecycleState',
+  'evacuationStatus',
+  'waterLevel',
+  'weatherConditions'
+];
+
+// Approximate a circle with a closed [lng, lat] ring
+function bufferCircle([lat, lng], radius, segments = 64) {
+  const EARTH_RADIUS = 6378137;
+  const angularDistance = radius / EARTH_RADIUS;
+  const latRad = lat * Math.PI / 180;
+  const lngRad = lng * Math.PI / 180;
+  const ring = [];
+
+  for (let i = 0; i <= segments; i++) {
+    const bearing = (i % segments) / segments * 2 * Math.PI;
+    const pointLat = Math.asin(
+      Math.sin(latRad) * Math.cos(angularDistance) +
+      Math.cos(latRad) * Math.sin(angularDistance) * Math.cos(bearing)
+    );
+    const pointLng = lngRad + Math.atan2(
+      Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(latRad),
+      Math.cos(angularDistance) - Math.sin(latRad) * Math.sin(pointLat)
+    );
+    ring.push([pointLng * 180 / Math.PI, pointLat * 180 / Math.PI]);
+  }
+
+  return ring;
+}
+
+// Convert incidents to a GeoJSON FeatureCollection
+function incidentsToGeoJSON(incidents, { bufferCircles = false } = {}) {
+  const toLngLat = ([lat, lng]) => [lng, lat];
+
+  return {
+    type: 'FeatureCollection',
+    features: incidents.map(incident => {
+      const type = incident.type || 'circle';
+      const properties = {
+        id: incident.id,
+        incidentType: type,
+        ...Object.fromEntries(INCIDENT_FIELDS.map(field => [field, incident[field] ?? null])),
+        dateTime: new Date(incident.timestamp).toISOString()
+      };
+      let geometry;
+
+      if (type === 'polygon') {
+        const ring = incident.points.map(toLngLat);
+        geometry = { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+        properties.area = incident.area;
+      } else if (type === 'path') {
+        geometry = { type: 'LineString', coordinates: incident.points.map(toLngLat) };
+        properties.length = incident.length;
+        properties.flowSpeed = incident.flowSpeed ?? null;
+      } else if (type === 'circle' && bufferCircles) {
+        geometry = { type: 'Polygon', coordinates: [bufferCircle(incident.position, incident.radius)] };
+        properties.radius = incident.radius;
+        properties.center = toLngLat(incident.position);
+      } else {
+        geometry = { type: 'Point', coordinates: toLngLat(incident.position) };
+        if (type === 'circle') properties.radius = incident.radius;
+      }
+
+      return { type: 'Feature', geometry, properties };
+    })
+  };
+}
+
+// Check that a GeoJSON position is a valid [lng, lat] pair
+function isLngLat(position) {
+  return Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+    Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+}
+
+// Turn shared descriptive values into incident fields, filling sensible defaults
+function normalizeIncidentFields(values, fallbackName) {
+  const timestamp = Number.isFinite(values.timestamp)
+    ? values.timestamp
+    : Date.parse(values.dateTime);
+
+  return {
+    incidentName: values.incidentName ? String(values.incidentName) : fallbackName,
+    reporterName: values.reporterName ? String(values.reporterName) : '',
+    timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+    severity: SEVERITY_LEVELS.includes(values.severity) ? values.severity : 'moderate',
+    description: values.description ? String(values.description) : '',
+    affectedArea: values.affectedArea ? String(values.affectedArea) : '',
+    ...getLocationFields(values),
+    // Left out when unknown so it is derived the way it is for older incidents
+    ...(values.lifecycleState in LIFECYCLE_STATES && { lifecycleState: values.lifecycleState }),
+    evacuationStatus: values.evacuationStatus in EVACUATION_COLORS ? values.evacuationStatus : 'not_required',
+    waterLevel: WATER_LEVELS.includes(values.waterLevel) ? values.waterLevel : '',
+    weatherConditions: WEATHER_CONDITIONS.includes(values.weatherConditions) ? values.weatherConditions : ''
+  };
+}
+
+// Parse GeoJSON text into incidents plus a list of per-feature errors
+export function parseIncidentGeoJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { incidents: [], errors: ['File is not valid JSON'] };
+  }
+
+  let features;
+  if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features;
+  } else if (data && data.type === 'Feature') {
+    features = [data];
+  } else {
+    return { incidents: [], errors: ['File is not a GeoJSON Feature or FeatureCollection'] };
+  }
+
+  const incidents = [];
+  const errors = [];
+  const toLatLng = ([lng, lat]) => [lat, lng];
+
+  features.forEach((feature, index) => {
+    const label = `Feature ${index + 1}`;
+    const geometry = feature && feature.geometry;
+    const properties = (feature && feature.properties) || {};
+
+    if (!geometry || !geometry.type) {
+      errors.push(`${label}: missing geometry`);
+      return;
+    }
+
+    const base = {
+      id: properties.id ? String(properties.id) : `${Date.now()}-${index}`,
+      ...normalizeIncidentFields(properties, `Imported incident ${index + 1}`)
+    };
+    const radius = parseFloat(properties.radius);
+
+    switch (geometry.type) {
+      case 'Point': {
+        if (!isLngLat(geometry.coordinates)) {
+          errors.push(`${label}: invalid point coordinates`);
+          return;
+        }
+        const position = toLatLng(geometry.coordinates);
+        incidents.push(radius > 0
+          ? { ...base, type: 'circle', position, radius }
+          : { ...base, type: 'point', position });
+        return;
+      }
+      case 'Polygon': {
+        const ring = geometry.coordinates && geometry.coordinates[0];
+        if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isLngLat)) {
+          errors.push(`${label}: polygon needs a ring of at least 3 valid positions`);
+          return;
+        }
+        // Circles exported as buffered polygons keep their center and radius
+        if (properties.incidentType === 'circle' && radius > 0 && isLngLat(properties.center)) {
+          incidents.push({ ...base, type: 'circle', position: toLatLng(properties.center), radius });
+          return;
+        }
+        const points = ring.slice(0, -1).map(toLatLng);
+        incidents.push({
+          ...base,
+          type: 'polygon',
+          position: computeCentroid(points),
+          points,
+          area: computePolygonArea(points)
+        });
+        return;
+      }
+      case 'LineString': {
+        const line = geometry.coordinates;
+        if (!Array.isArray(line) || line.length < 2 || !line.every(isLngLat)) {
+          errors.push(`${label}: line needs at least 2 valid positions`);
+          return;
+        }
+        const points = line.map(toLatLng);
+        incidents.push({
+          ...base,
+          type: 'path',
+          position: computeCentroid(points),
+          points,
+          length: computePathLength(points),
+          flowSpeed: properties.flowSpeed ?? ''
+        });
+        return;
+      }
+      default:
+        errors.push(`${label}: unsupported geometry type ${geometry.type}`);
+    }
+  });
+
+  return { incidents, errors };
+}
+
+// Spreadsheet columns, in the order they are exported
+const CSV_FIELDS = [
+  { key: 'id', label: 'ID' },
+  { key: 'incidentName', label: 'Incident Name', required: true, aliases: ['name', 'incident', 'title'] },
+  { key: 'reporterName', label: 'Reporter Name', required: true, aliases: ['reporter', 'reportedby'] },
+  { key: 'dateTime', label: 'Date and Time', required: true, aliases: ['date', 'time', 'datetime', 'timestamp', 'reportedat'] },
+  { key: 'radius', label: 'Radius (meters)', aliases: ['radiusm', 'radiusmeters'] },
+  { key: 'severity', label: 'Severity', aliases: ['severitylevel'] },
+  { key: 'waterLevel', label: 'Water Level', aliases: ['water', 'depth'] },
+  { key: 'lifecycleState', label: 'Status', aliases: ['state', 'lifecycle'] },
+  { key: 'evacuationStatus', label: 'Evacuation Status', aliases: ['evacuation'] },
+  { key: 'weatherConditions', label: 'Weather Conditions', aliases: ['weather'] },
+  { key: 'affectedArea', label: 'Affected Area', aliases: ['area', 'location'] },
+  { key: 'village', label: 'Village', aliases: ['town', 'locality'] },
+  { key: 'gnDivision', label: 'GN Division', aliases: ['gn', 'gnd', 'gramaniladharidivision'] },
+  { key: 'dsDivision', label: 'DS Division', aliases: ['ds', 'dsd', 'divisionalsecretariat', 'divisionalsecretariatdivision'] },
+  { key: 'road', label: 'Road', aliases: ['street'] },
+  { key: 'description', label: 'Description', aliases: ['details', 'notes', 'comments'] },
+  { key: 'lat', label: 'Latitude', required: true, aliases: ['latitude', 'y'] },
+  { key: 'lon', label: 'Longitude', required: true, aliases: ['lng', 'long', 'longitude', 'x'] },
+  { key: 'geometry', label: 'Geometry (WKT)', aliases: ['wkt', 'geom', 'shape'] }
+];
+
+// Cells starting with these are run as formulas by spreadsheets, so they are
+// exported behind a quote mark and read back without it
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvFormula(text) {
+  return CSV_FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+function unescapeCsvFormula(text) {
+  return text.startsWith("'") && CSV_FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// Drawn outlines for the Geometry column; points and circles only need Latitude and Longitude
+function incidentToWkt(incident) {
+  const toCoordinates = (points) => points.map(([lat, lng]) => `${lng} ${lat}`).join(', ');
+  if (incident.type === 'polygon') return `POLYGON ((${toCoordinates([...incident.points, incident.points[0]])}))`;
+  if (incident.type === 'path') return `LINESTRING (${toCoordinates(incident.points)})`;
+  return '';
+}
+
+// A WKT POLYGON (without holes) or LINESTRING as an incident type and [lat, lng]
+// points, or an error message
+function parseWkt(text) {
+  const match = /^(POLYGON|LINESTRING)\s*\(+([^()]*)\)+$/i.exec(text.trim());
+  const points = match ? match[2].split(',').map(pair => pair.trim().split(/\s+/).map(Number)) : [];
+  if (!match || !points.every(([lng, lat, ...rest]) => rest.length === 0 && Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+    return { error: `Geometry "${text}" is not a WKT POLYGON or LINESTRING` };
+  }
+
+  const latLngs = points.map(([lng, lat]) => [lat, lng]);
+  if (match[1].toUpperCase() === 'LINESTRING') {
+    return latLngs.length >= 2 ? { type: 'path', points: latLngs } : { error: 'Geometry line needs at least 2 positions' };
+  }
+  // Rings repeat their first position at the end
+  const [first, last] = [latLngs[0], latLngs[latLngs.length - 1]];
+  const ring = latLngs.length > 1 && first[0] === last[0] && first[1] === last[1] ? latLngs.slice(0, -1) : latLngs;
+  return ring.length >= 3 ? { type: 'polygon', points: ring } : { error: 'Geometry polygon needs at least 3 positions' };
+}
+
+// Split CSV text into rows of cells, honouring quoted commas, quotes and line breaks
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Spreadsheets often leave blank lines at the end
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Compare headers ignoring case, spaces and punctuation
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Best guess of which CSV column holds each field
+export function guessCsvMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(CSV_FIELDS.map(field => {
+    const candidates = [field.key, field.label, ...(field.aliases || [])].map(normalizeHeader);
+    const index = normalized.findIndex(header => candidates.includes(header));
+    return [field.key, index];
+  }));
+}
+
+// Match a spreadsheet value against option values or their labels
+function matchOption(value, options) {
+  const normalized = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  // Labels such as "Knee Deep" start with their option value
+  return options.find(option => option === normalized) ||
+    [...options]
+      .sort((a, b) => b.length - a.length)
+      .find(option => normalized.startsWith(`${option}_`));
+}
+
+// Turn mapped CSV rows into incidents plus row-level errors. A row without a
+// geometry may not replace one of the existing incidents drawn as a shape.
+export function csvRowsToIncidents(rows, mapping, existing = []) {
+  const incidents = [];
+  const errors = [];
+  const existingById = toIncidentMap(existing);
+
+  rows.forEach((cells, index) => {
+    // Row numbers match the spreadsheet, where row 1 is the header
+    const rowLabel = `Row ${index + 2}`;
+    const get = (key) => (mapping[key] >= 0 ? unescapeCsvFormula((cells[mapping[key]] || '').trim()) : '');
+    const rowErrors = [];
+
+    CSV_FIELDS.filter(field => field.required && !get(field.key)).forEach(field => {
+      rowErrors.push(`${field.label} is required`);
+    });
+
+    const lat = parseFloat(get('lat'));
+    const lon = parseFloat(get('lon'));
+    if (get('lat') && !(Math.abs(lat) <= 90)) rowErrors.push(`Latitude "${get('lat')}" is not valid`);
+    if (get('lon') && !(Math.abs(lon) <= 180)) rowErrors.push(`Longitude "${get('lon')}" is not valid`);
+
+    const timestamp = Date.parse(get('dateTime'));
+    if (get('dateTime') && !Number.isFinite(timestamp)) {
+      rowErrors.push(`Date "${get('dateTime')}" is not a valid date`);
+    }
+
+    const radius = get('radius') ? parseFloat(get('radius')) : null;
+    if (radius !== null && !(radius >= 10 && radius <= 1000)) {
+      rowErrors.push(`Radius "${get('radius')}" must be between 10 and 1000`);
+    }
+
+    const shape = get('geometry') ? parseWkt(get('geometry')) : null;
+    if (shape && shape.error) rowErrors.push(shape.error);
+    const replaced = existingById.get(get('id'));
+    if (!shape && replaced && ['polygon', 'path'].includes(replaced.type)) {
+      rowErrors.push(`ID ${get('id')} is a ${replaced.type} here; a row without its geometry would turn it into a point`);
+    }
+
+    const options = {
+      severity: SEVERITY_LEVELS,
+      waterLevel: WATER_LEVELS,
+      lifecycleState: Object.keys(LIFECYCLE_STATES),
+      evacuationStatus: Object.keys(EVACUATION_COLORS),
+      weatherConditions: WEATHER_CONDITIONS
+    };
+    const matched = {};
+    Object.entries(options).forEach(([key, values]) => {
+      if (!get(key)) return;
+      matched[key] = matchOption(get(key), values);
+      if (!matched[key]) {
+        const field = CSV_FIELDS.find(entry => entry.key === key);
+        rowErrors.push(`${field.label} "${get(key)}" is not one of ${values.join(', ')}`);
+      }
+    });
+
+    if (rowErrors.length > 0) {
+      errors.push(`${rowLabel}: ${rowErrors.join('; ')}`);
+      return;
+    }
+
+    const incident = {
+      id: get('id') || `${Date.now()}-${index}`,
+      type: radius ? 'circle' : 'point',
+      position: [lat, lon],
+      ...(shape && shape.type === 'polygon' && {
+        type: 'polygon',
+        position: computeCentroid(shape.points),
+        points: shape.points,
+        area: computePolygonArea(shape.points)
+      }),
+      ...(shape && shape.type === 'path' && {
+        type: 'path',
+        position: computeCentroid(shape.points),
+        points: shape.points,
+        length: computePathLength(shape.points)
+      }),
+      ...normalizeIncidentFields({
+        incidentName: get('incidentName'),
+        reporterName: get('reporterName'),
+        timestamp,
+        description: get('description'),
+        affectedArea: get('affectedArea'),
+        ...Object.fromEntries(LOCATION_FIELDS.map(({ key }) => [key, get(key)])),
+        ...matched
+      }, '')
+    };
+    if (radius && !shape) incident.radius = radius;
+    incidents.push(incident);
+  });
+
+  return { incidents, errors };
+}
+
+// Incidents as CSV in the same column layout the importer expects
+export function incidentsToCsv(incidents) {
+  return toCsv([
+    CSV_FIELDS.map(field => field.key),
+    ...incidents.map(incident => CSV_FIELDS.map(field => {
+      switch (field.key) {
+        case 'dateTime':
+          return new Date(incident.timestamp).toISOString();
+        case 'lifecycleState':
+          return getLifecycleState(incident);
+        case 'lat':
+          return incident.position[0];
+        case 'lon':
+          return incident.position[1];
+        case 'geometry':
+          return incidentToWkt(incident);
+        default:
+          return incident[field.key];
+      }
+    }))
+  ]);
+}
+
+// Let the user confirm which CSV column feeds each incident field
+function CsvMappingDialog({ fileName, headers, rowCount, onConfirm, onClose }) {
+  const [mapping, setMapping] = useState(() => guessCsvMapping(headers));
+  const missing = CSV_FIELDS.filter(field => field.required && mapping[field.key] < 0);
+
+  return (
+    <div className="config-dialog-overlay">
+      <div className="config-dialog import-dialog">
+        <h2>Map Columns</h2>
+        <p className="import-summary">
+          {fileName}: {rowCount} rows. Choose the column that holds each field.
+        </p>
+
+        <div className="mapping-grid">
+          {CSV_FIELDS.map(field => (
+            <div key={field.key} className="form-group">
+              <label>{field.label}{field.required && ' *'}</label>
+              <select
+                value={mapping[field.key]}
+                onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: parseInt(e.target.value, 10) }))}
+              >
+                <option value={-1}>— Not in file —</option>
+                {headers.map((header, index) => (
+                  <option key={`${header}-${index}`} value={index}>{header || `Column ${index + 1}`}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        {missing.length > 0 && (
+          <p className="field-error">
+            Map the required fields: {missing.map(field => field.label).join(', ')}
+          </p>
+        )}
+
+        <div className="dialog-buttons">
+          <button type="button" className="cancel-button" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="submit-button"
+            onClick={() => onConfirm(mapping)}
+            disabled={missing.length > 0}
+          >
+            Validate Rows
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Preview of parsed incidents before they are merged into or replace the current list
+function ImportPreviewDialog({ title, incidents, errors, existingIds, onImport, onClose }) {
+  const updates = incidents.filter(incident => existingIds.has(incident.id)).length;
+
+  return (
+    <div className="config-dialog-overlay">
+      <div className="config-dialog import-dialog">
+        <h2>{title}</h2>
+        <p className="import-summary">
+          {incidents.length} valid incidents
+          {incidents.length > 0 && ` (${incidents.length - updates} new, ${updates} matching existing IDs)`}
+          {errors.length > 0 && `, ${errors.length} problems`}
+        </p>
+
+        {errors.length > 0 && (
+          <ul className="import-errors">
+            {errors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        )}
+
+        {incidents.length > 0 && (
+          <div className="import-preview">
+            <table className="incident-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>Severity</th>
+                  <th>Time</th>
+                </tr>
+              </thead>
+              <tbody>
+                {incidents.slice(0, 50).map(incident => (
+                  <tr key={incident.id}>
+                    <td>{incident.incidentName}</td>
+                    <td>{formatLabel(incident.type)}</td>
+                    <td>{getSeverityLabel(incident.severity).label}</td>
+                    <td>{new Date(incident.timestamp).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {incidents.length > 50 && (
+              <p className="panel-empty">and {incidents.length - 50} more...</p>
+            )}
+          </div>
+        )}
+
+        <div className="dialog-buttons">
+          <button type="button" className="cancel-button" onClick={onClose}>
+            Cancel
+          </button>
+          <div>
+            <button
+              type="button"
+              className="delete-button"
+              onClick={() => onImport('replace')}
+              disabled={incidents.length === 0}
+            >
+              Replace All
+            </button>
+            <button
+              type="button"
+              className="submit-button"
+              onClick={() => onImport('merge')}
+              disabled={incidents.length === 0}
+            >
+              Merge
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Deleted incidents that can still be brought back
+function TrashDialog({ trash, onRestore, onPurge, onClose }) {
+  return (
+    <div className="config-dialog-overlay">
+      <div className="config-dialog import-dialog">
+        <h2>Deleted Incidents</h2>
+        {trash.length === 0 ? (
+          <p className="import-summary">The trash is empty.</p>
+        ) : (
+          <div className="import-preview">
+            <table className="incident-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Deleted</th>
+                  <th>By</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {[...trash].reverse().map(({ incident, deletedAt, deletedBy }) => (
+                  <tr key={incident.id}>
+                    <td>{incident.incidentName}</td>
+                    <td>{new Date(deletedAt).toLocaleString()}</td>
+                    <td>{deletedBy}</td>
+                    <td className="trash-actions">
+                      <button type="button" className="submit-button" onClick={() => onRestore(incident.id)}>
+                        Restore
+                      </button>
+                      <button type="button" className="delete-button" onClick={() => onPurge(incident.id)}>
+                        Delete Forever
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="dialog-buttons">
+          <span />
+          <button type="button" className="cancel-button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Searchable, sortable list of every incident
+function IncidentsPanel({ incidents, trash, getEditor, onSelectIncident, onImport, onRestoreDeleted, onPurgeDeleted }) {
+  const { user } = useAuth();
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState({ key: 'timestamp', direction: 'desc' });
+  const [page, setPage] = useState(0);
+  const [bufferCircles, setBufferCircles] = useState(false);
+  const [importPreview, setImportPreview] = useState(null);
+  const [csvImport, setCsvImport] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const geoJsonInputRef = useRef();
+  const csvInputRef = useRef();
+
+  const handleGeoJSONExport = () => {
+    downloadFile(
+      `flood-incidents-${toDateInputValue(Date.now())}.geojson`,
+      JSON.stringify(incidentsToGeoJSON(incidents, { bufferCircles }), null, 2),
+      'application/geo+json'
+    );
+  };
+
+  const handleGeoJSONFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setImportPreview({ title: `Import ${file.name}`, ...parseIncidentGeoJSON(await file.text()) });
+  };
+
+  const handleCsvExport = () => {
+    downloadFile(
+      `flood-incidents-${toDateInputValue(Date.now())}.csv`,
+      incidentsToCsv(incidents),
+      'text/csv'
+    );
+  };
+
+  const handleCsvFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const [headers, ...rows] = parseCsv(await file.text());
+    if (!headers || rows.length === 0) {
+      setImportPreview({ title: `Import ${file.name}`, incidents: [], errors: ['File has no data rows'] });
+      return;
+    }
+    setCsvImport({ fileName: file.name, headers, rows });
+  };
+
+  const rows = React.useMemo(() => {
+    const search = query.trim().toLowerCase();
+    const filtered = search
+      ? incidents.filter(incident =>
+          [
+            incident.incidentName,
+            incident.reporterName,
+            incident.severity,
+            incident.evacuationStatus,
+            incident.waterLevel,
+            incident.weatherConditions,
+            incident.affectedArea,
+            ...LOCATION_FIELDS.map(({ key }) => incident[key]),
+            incident.description
+          ].some(value => value && String(value).toLowerCase().includes(search))
+        )
+      : incidents;
+
+    const column = INCIDENT_COLUMNS.find(col => col.key === sort.key);
+    const getValue = column.sortValue || (incident => incident[column.key] ?? '');
+    const direction = sort.direction === 'asc' ? 1 : -1;
+
+    return [...filtered].sort((a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+      if (typeof valueA === 'number' && typeof valueB === 'number') {
+        return (valueA - valueB) * direction;
+      }
+      return String(valueA).localeCompare(String(valueB)) * direction;
+    });
+  }, [incidents, query, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / INCIDENTS_PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(
+    currentPage * INCIDENTS_PAGE_SIZE,
+    (currentPage + 1) * INCIDENTS_PAGE_SIZE
+  );
+
+  const handleSort = (key) => {
+    setSort(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  return (
+    <aside className="section-panel incidents-panel">
+      <div className="panel-header">
+        <h2>Flood Incidents</h2>
+        <span className="panel-subtitle">
+          {rows.length} of {incidents.length} incidents
+        </span>
+      </div>
+
+      <div className="panel-toolbar">
+        <button className="export-button" onClick={handleGeoJSONExport} disabled={incidents.length === 0}>
+          Export GeoJSON
+        </button>
+        <label className="toolbar-checkbox">
+          <input
+            type="checkbox"
+            checked={bufferCircles}
+            onChange={(e) => setBufferCircles(e.target.checked)}
+          />
+          Circles as polygons
+        </label>
+        {hasPermission(user, 'import') && (
+          <>
+            <button className="export-button" onClick={() => geoJsonInputRef.current.click()}>
+              Import GeoJSON
+            </button>
+            <input
+              ref={geoJsonInputRef}
+              type="file"
+              accept=".geojson,.json,application/geo+json,application/json"
+              onChange={handleGeoJSONFile}
+              hidden
+            />
+          </>
+        )}
+        <button className="export-button" onClick={handleCsvExport} disabled={incidents.length === 0}>
+          Export CSV
+        </button>
+        {hasPermission(user, 'import') && (
+          <>
+            <button className="export-button" onClick={() => csvInputRef.current.click()}>
+              Import CSV
+            </button>
+            <input
+              ref={csvInputRef}
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleCsvFile}
+              hidden
+            />
+          </>
+        )}
+        {hasPermission(user, 'delete') && (
+          <button className="export-button" onClick={() => setShowTrash(true)}>
+            Trash ({trash.length})
+          </button>
+        )}
+      </div>
+
+      {showTrash && (
+        <TrashDialog
+          trash={trash}
+          onRestore={onRestoreDeleted}
+          onPurge={onPurgeDeleted}
+          onClose={() => setShowTrash(false)}
+        />
+      )}
+
+      {csvImport && (
+        <CsvMappingDialog
+          fileName={csvImport.fileName}
+          headers={csvImport.headers}
+          rowCount={csvImport.rows.length}
+          onConfirm={(mapping) => {
+            setImportPreview({
+              title: `Import ${csvImport.fileName}`,
+              ...csvRowsToIncidents(csvImport.rows, mapping, incidents)
+            });
+            setCsvImport(null);
+          }}
+          onClose={() => setCsvImport(null)}
+        />
+      )}
+
+      {importPreview && (
+        <ImportPreviewDialog
+          title={importPreview.title}
+          incidents={importPreview.incidents}
+          errors={importPreview.errors}
+          existingIds={new Set(incidents.map(incident => incident.id))}
+          onImport={(mode) => {
+            onImport(importPreview.incidents, mode);
+            setImportPreview(null);
+          }}
+          onClose={() => setImportPreview(null)}
+        />
+      )}
+
+      <input
+        type="text"
+        className="panel-search"
+        placeholder="Search incidents..."
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setPage(0);
+        }}
+      />
+
+      <div className="incident-table-wrapper">
+        <table className="incident-table">
+          <thead>
+            <tr>
+              {INCIDENT_COLUMNS.map(column => (
+                <th key={column.key} onClick={() => handleSort(column.key)}>
+                  {column.label}
+                  {sort.key === column.key && (
+                    <span className="sort-arrow">{sort.direction === 'asc' ? '▲' : '▼'}</span>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map(incident => (
+              <tr key={incident.id} onClick={() => onSelectIncident(incident)}>
+                <td>
+                  {incident.incidentName}
+                  {getEditor(incident.id) && (
+                    <span className="editing-badge">✎ {getEditor(incident.id).user}</span>
+                  )}
+                </td>
+                <td>{incident.reporterName}</td>
+                <td>{formatLocationLabel(incident)}</td>
+                <td>
+                  <span
+                    className="severity-badge"
+                    style={{ backgroundColor: getIncidentColor(incident.severity) }}
+                  >
+                    {getSeverityLabel(incident.severity).label}
+                  </span>
+                </td>
+                <td>
+                  <span className={`review-badge ${getModerationStatus(incident)}`}>
+                    {formatLabel(getModerationStatus(incident))}
+                  </span>
+                </td>
+                <td>{LIFECYCLE_STATES[getLifecycleState(incident)].label}</td>
+                <td>{formatLabel(incident.evacuationStatus)}</td>
+                <td>{formatLabel(incident.waterLevel)}</td>
+                <td>{formatLabel(incident.weatherConditions)}</td>
+                <td>{new Date(incident.timestamp).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {pageRows.length === 0 && (
+          <p className="panel-empty">No incidents match your search.</p>
+        )}
+      </div>
+
+      <div className="pagination">
+        <button onClick={() => setPage(currentPage - 1)} disabled={currentPage === 0}>
+          ‹ Prev
+        </button>
+        <span>Page {currentPage + 1} of {pageCount}</span>
+        <button onClick={() => setPage(currentPage + 1)} disabled={currentPage >= pageCount - 1}>
+          Next ›
+        </button>
+      </div>
+    </aside>
+  );
+}
+
+// Colors for evacuation status series
+const EVACUATION_COLORS = {
+  not_required: '#9e9e9e',
+  recommended: '#ffc107',
+  in_progress: '#f44336',
+  completed: '#4caf50'
+};
+
+const WEATHER_CONDITIONS = ['heavy_rain', 'moderate_rain', 'light_rain', 'cloudy', 'clear'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Hourly charts over a longer range get too wide to read, so they switch to days
+const MAX_HOURLY_DAYS = 31;
+
+// Format a timestamp as the value of a date input
+function toDateInputValue(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Group incidents into consecutive hour or day buckets between two timestamps
+function bucketIncidents(incidents, from, to, granularity, getKey) {
+  const floor = (timestamp) => {
+    const date = new Date(timestamp);
+    if (granularity === 'day') {
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    }
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()).getTime();
+  };
+
+  const next = (timestamp) => {
+    const date = new Date(timestamp);
+    return granularity === 'day'
+      ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime()
+      : timestamp + HOUR_MS;
+  };
+
+  const buckets = new Map();
+  for (let time = floor(from); time <= to; time = next(time)) {
+    buckets.set(time, {});
+  }
+
+  incidents.forEach(incident => {
+    const bucket = buckets.get(floor(incident.timestamp));
+    if (!bucket) return;
+    const key = getKey(incident);
+    bucket[key] = (bucket[key] || 0) + 1;
+  });
+
+  return Array.from(buckets, ([time, values]) => ({
+    label: granularity === 'day'
+      ? new Date(time).toLocaleDateString()
+      : new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' }),
+    values
+  }));
+}
+
+// Escape values and join rows into CSV text
+function toCsv(rows) {
+  return rows
+    .map(row => row
+      .map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        const safe = typeof value === 'string' ? escapeCsvFormula(text) : text;
+        return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+      })
+      .join(','))
+    .join('\r\n');
+}
+
+// Save generated content as a file through a temporary link
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Turn chart data into CSV rows with one column per series
+function chartToCsvRows(data, series) {
+  return [
+    ['Period', ...series.map(item => item.label)],
+    ...data.map(item => [item.label, ...series.map(entry => item.values[entry.key] || 0)])
+  ];
+}
+
+// Simple SVG bar chart where each bar stacks one value per series
+function StackedBarChart({ data, series }) {
+  const chartHeight = 200;
+  const barWidth = 18;
+  const barGap = 6;
+  const left = 36;
+  const bottom = 60;
+  const max = Math.max(
+    1,
+    ...data.map(item => series.reduce((sum, entry) => sum + (item.values[entry.key] || 0), 0))
+  );
+  const width = Math.max(400, left + data.length * (barWidth + barGap) + barGap);
+  const labelStep = Math.ceil(data.length / 30);
+  const scale = (value) => (value / max) * chartHeight;
+
+  return (
+    <div className="chart">
+      <div className="chart-scroll">
+        <svg width={width} height={chartHeight + bottom + 10}>
+          {[0, 0.5, 1].map(tick => (
+            <g key={tick}>
+              <line
+                x1={left}
+                x2={width}
+                y1={10 + chartHeight - tick * chartHeight}
+                y2={10 + chartHeight - tick * chartHeight}
+                className="chart-gridline"
+              />
+              <text x={left - 6} y={14 + chartHeight - tick * chartHeight} className="chart-axis-label" textAnchor="end">
+                {Math.round(tick * max)}
+              </text>
+            </g>
+          ))}
+          {data.map((item, index) => {
+            const x = left + barGap + index * (barWidth + barGap);
+            let y = 10 + chartHeight;
+            return (
+              <g key={`${item.label}-${index}`}>
+                {series.map(entry => {
+                  const value = item.values[entry.key] || 0;
+                  if (!value) return null;
+                  const height = scale(value);
+                  y -= height;
+                  return (
+                    <rect key={entry.key} x={x} y={y} width={barWidth} height={height} fill={entry.color}>
+                      <title>{`${item.label} – ${entry.label}: ${value}`}</title>
+                    </rect>
+                  );
+                })}
+                {index % labelStep === 0 && (
+                  <text
+                    x={x + barWidth / 2}
+                    y={chartHeight + 22}
+                    className="chart-axis-label"
+                    textAnchor="end"
+                    transform={`rotate(-45 ${x + barWidth / 2} ${chartHeight + 22})`}
+                  >
+                    {item.label}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+      {series.length > 1 && (
+        <div className="chart-legend">
+          {series.map(entry => (
+            <span key={entry.key} className="legend-item">
+              <span className="legend-swatch" style={{ backgroundColor: entry.color }} />
+              {entry.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Card wrapper giving every chart a title and a CSV export
+function ChartCard({ title, onExport, children }) {
+  return (
+    <div className="chart-card">
+      <div className="chart-card-header">
+        <h3>{title}</h3>
+        <button className="export-button" onClick={onExport}>
+          Export CSV
+        </button>
+      </div>
+      {children}
+    </div>
+  );
+}
+
+// Trends and breakdowns built from the stored incidents
+function AnalyticsPage({ incidents, unverifiedCount }) {
+  const [granularity, setGranularity] = useState('hour');
+  const [range, setRange] = useState(() => {
+    const earliest = incidents.length
+      ? Math.min(...incidents.map(incident => incident.timestamp))
+      : Date.now();
+    return {
+      from: toDateInputValue(Math.max(earliest, Date.now() - 7 * DAY_MS)),
+      to: toDateInputValue(Date.now())
+    };
+  });
+
+  const from = new Date(`${range.from}T00:00`).getTime();
+  const to = new Date(`${range.to}T23:59:59`).getTime();
+
+  const filtered = React.useMemo(
+    () => incidents.filter(incident => incident.timestamp >= from && incident.timestamp <= to),
+    [incidents, from, to]
+  );
+  const hoursTooMany = granularity === 'hour' && to - from > MAX_HOURLY_DAYS * DAY_MS;
+  const periodGranularity = hoursTooMany ? 'day' : granularity;
+
+  const severitySeries = SEVERITY_LEVELS.map(level => ({
+    key: level,
+    label: getSeverityLabel(level).label,
+    color: getIncidentColor(level)
+  }));
+  const evacuationSeries = Object.keys(EVACUATION_COLORS).map(status => ({
+    key: status,
+    label: formatLabel(status),
+    color: EVACUATION_COLORS[status]
+  }));
+
+  const perPeriod = React.useMemo(
+    () => bucketIncidents(filtered, from, to, periodGranularity, incident => incident.severity),
+    [filtered, from, to, periodGranularity]
+  );
+  const evacuationByDay = React.useMemo(
+    () => bucketIncidents(filtered, from, to, 'day', incident => incident.evacuationStatus),
+    [filtered, from, to]
+  );
+  const waterLevels = [...WATER_LEVELS, ''].map(level => ({
+    label: level ? formatLabel(level) : 'Not Reported',
+    values: { count: filtered.filter(incident => (incident.waterLevel || '') === level).length }
+  }));
+
+  const weatherRows = [...WEATHER_CONDITIONS, ''].map(weather => ({
+    weather,
+    counts: SEVERITY_LEVELS.map(level =>
+      filtered.filter(incident =>
+        (incident.weatherConditions || '') === weather && incident.severity === level
+      ).length
+    )
+  }));
+  const maxCrossTab = Math.max(1, ...weatherRows.flatMap(row => row.counts));
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    if (!value) return;
+    setRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  return (
+    <div className="analytics-page">
+      <div className="analytics-header">
+        <div>
+          <h2>Analytics</h2>
+          <span className="panel-subtitle">
+            {filtered.length} incidents between {range.from} and {range.to}
+            {unverifiedCount > 0 && ` · ${unverifiedCount} unverified not counted`}
+          </span>
+        </div>
+        <div className="date-range">
+          <label>
+            From
+            <input type="date" name="from" value={range.from} max={range.to} onChange={handleRangeChange} />
+          </label>
+          <label>
+            To
+            <input type="date" name="to" value={range.to} min={range.from} onChange={handleRangeChange} />
+          </label>
+        </div>
+      </div>
+
+      <div className="chart-grid">
+        <ChartCard
+          title={`Incidents per ${periodGranularity === 'hour' ? 'Hour' : 'Day'} by Severity`}
+          onExport={() => downloadFile(
+            `incidents-per-${periodGranularity}.csv`,
+            toCsv(chartToCsvRows(perPeriod, severitySeries)),
+            'text/csv'
+          )}
+        >
+          <div className="chart-toggle">
+            <button className={granularity === 'hour' ? 'active' : ''} onClick={() => setGranularity('hour')}>
+              Hourly
+            </button>
+            <button className={granularity === 'day' ? 'active' : ''} onClick={() => setGranularity('day')}>
+              Daily
+            </button>
+          </div>
+          {hoursTooMany && (
+            <p className="chart-note">
+              Hourly counts cover up to {MAX_HOURLY_DAYS} days, so this range is shown per day.
+            </p>
+          )}
+          <StackedBarChart data={perPeriod} series={severitySeries} />
+        </ChartCard>
+
+        <ChartCard
+          title="Current Evacuation Status by Day Reported"
+          onExport={() => downloadFile(
+            'evacuation-status.csv',
+            toCsv(chartToCsvRows(evacuationByDay, evacuationSeries)),
+            'text/csv'
+          )}
+        >
+          <StackedBarChart data={evacuationByDay} series={evacuationSeries} />
+        </ChartCard>
+
+        <ChartCard
+          title="Water Level Distribution"
+          onExport={() => downloadFile(
+            'water-levels.csv',
+            toCsv([['Water Level', 'Incidents'], ...waterLevels.map(item => [item.label, item.values.count])]),
+            'text/csv'
+          )}
+        >
+          <StackedBarChart
+            data={waterLevels}
+            series={[{ key: 'count', label: 'Incidents', color: '#2196F3' }]}
+          />
+        </ChartCard>
+
+        <ChartCard
+          title="Weather vs. Severity"
+          onExport={() => downloadFile(
+            'weather-severity.csv',
+            toCsv([
+              ['Weather', ...severitySeries.map(entry => entry.label)],
+              ...weatherRows.map(row => [row.weather ? formatLabel(row.weather) : 'Not Reported', ...row.counts])
+            ]),
+            'text/csv'
+          )}
+        >
+          <table className="crosstab">
+            <thead>
+              <tr>
+                <th>Weather</th>
+                {severitySeries.map(entry => <th key={entry.key}>{entry.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {weatherRows.map(row => (
+                <tr key={row.weather || 'none'}>
+                  <th>{row.weather ? formatLabel(row.weather) : 'Not Reported'}</th>
+                  {row.counts.map((count, index) => (
+                    <td
+                      key={SEVERITY_LEVELS[index]}
+                      style={{ backgroundColor: `rgba(33, 150, 243, ${count / maxCrossTab})` }}
+                    >
+                      {count}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </ChartCard>
+      </div>
+    </div>
+  );
+}
+
+// Label for incidents whose division was never filled in
+const UNKNOWN_DIVISION = 'Not recorded';
+
+// Incident counts and area per DS division and the GN divisions within it,
+// the breakdown the DMC asks for. Incidents without a division come last.
+export function countByDivision(incidents) {
+  const divisions = new Map();
+  incidents.forEach(incident => {
+    const dsName = incident.dsDivision || UNKNOWN_DIVISION;
+    const gnName = incident.gnDivision || UNKNOWN_DIVISION;
+    if (!divisions.has(dsName)) divisions.set(dsName, { name: dsName, count: 0, area: 0, gnDivisions: new Map() });
+    const division = divisions.get(dsName);
+    if (!division.gnDivisions.has(gnName)) division.gnDivisions.set(gnName, { name: gnName, count: 0, area: 0 });
+    const gnDivision = division.gnDivisions.get(gnName);
+    const area = getIncidentArea(incident);
+    division.count++;
+    division.area += area;
+    gnDivision.count++;
+    gnDivision.area += area;
+  });
+
+  const byName = (a, b) =>
+    (a.name === UNKNOWN_DIVISION) - (b.name === UNKNOWN_DIVISION) || a.name.localeCompare(b.name);
+  return [...divisions.values()]
+    .sort(byName)
+    .map(division => ({ ...division, gnDivisions: [...division.gnDivisions.values()].sort(byName) }));
+}
+
+// Label for incidents outside every bundled district outline
+const UNKNOWN_DISTRICT = 'Outside the mapped districts';
+
+// Incident counts and area per district, busiest first
+function countByDistrict(incidents) {
+  const districts = new Map();
+  incidents.forEach(incident => {
+    const name = getIncidentDistrict(incident) || UNKNOWN_DISTRICT;
+    if (!districts.has(name)) districts.set(name, { name, count: 0, area: 0 });
+    const district = districts.get(name);
+    district.count++;
+    district.area += getIncidentArea(incident);
+  });
+
+  return [...districts.values()].sort((a, b) =>
+    (a.name === UNKNOWN_DISTRICT) - (b.name === UNKNOWN_DISTRICT) ||
+    b.count - a.count ||
+    a.name.localeCompare(b.name)
+  );
+}
+
+// Compile the incidents of a time window into the sections of a situation report
+function buildSitRep(incidents, from, to, units) {
+  const inWindow = incidents
+    .filter(incident => incident.timestamp >= from && incident.timestamp <= to)
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  return {
+    from,
+    to,
+    generatedAt: Date.now(),
+    incidents: inWindow,
+    summary: [
+      ['Total incidents', inWindow.length],
+      ...Object.entries(LIFECYCLE_STATES).map(([state, { label }]) => [
+        label,
+        inWindow.filter(incident => getLifecycleState(incident) === state).length
+      ]),
+      ['Affected area', formatArea(inWindow.reduce((sum, incident) => sum + getIncidentArea(incident), 0), units)],
+      ...SEVERITY_LEVELS.map(level => [
+        `${getSeverityLabel(level).label} severity`,
+        inWindow.filter(incident => incident.severity === level).length
+      ]),
+      ...Object.keys(EVACUATION_COLORS).map(status => [
+        `Evacuation ${formatLabel(status).toLowerCase()}`,
+        inWindow.filter(incident => incident.evacuationStatus === status).length
+      ])
+    ],
+    byDistrict: countByDistrict(inWindow),
+    byDivision: countByDivision(inWindow),
+    bySeverity: [...SEVERITY_LEVELS].reverse().map(level => ({
+      level,
+      incidents: inWindow.filter(incident => incident.severity === level)
+    })),
+    evacuations: inWindow.filter(incident =>
+      incident.evacuationStatus && incident.evacuationStatus !== 'not_required'
+    )
+  };
+}
+
+// Every [lat, lng] an incident covers, with circles expanded to their radius
+function getIncidentLatLngs(incident) {
+  if (incident.points) return incident.points;
+  if (!incident.radius) return [incident.position];
+  const bounds = L.latLng(incident.position).toBounds(incident.radius * 2);
+  return [
+    [bounds.getSouth(), bounds.getWest()],
+    [bounds.getNorth(), bounds.getEast()]
+  ];
+}
+
+// Load one map tile, resolving to null when it cannot be used on a canvas
+function loadTileImage(url) {
+  return new Promise(resolve => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+}
+
+// Render the affected area with its incidents into a PNG data URL, over the
+// map tiles unless withTiles is false
+async function renderMapSnapshot(incidents, settings, { withTiles = true, width = 800, height = 500 } = {}) {
+  const latLngs = incidents.flatMap(getIncidentLatLngs);
+  const bounds = latLngs.length
+    ? L.latLngBounds(latLngs).pad(0.15)
+    : L.latLngBounds(getRegionBounds(settings.bounds));
+
+  let zoom = 16;
+  while (zoom > 8) {
+    const topLeft = L.CRS.EPSG3857.latLngToPoint(bounds.getNorthWest(), zoom);
+    const bottomRight = L.CRS.EPSG3857.latLngToPoint(bounds.getSouthEast(), zoom);
+    if (bottomRight.x - topLeft.x <= width && bottomRight.y - topLeft.y <= height) break;
+    zoom -= 1;
+  }
+
+  const center = L.CRS.EPSG3857.latLngToPoint(bounds.getCenter(), zoom);
+  const origin = center.subtract(L.point(width / 2, height / 2));
+  const toPixel = (latLng) => L.CRS.EPSG3857.latLngToPoint(L.latLng(latLng), zoom).subtract(origin);
+
+  const tiles = [];
+  for (let x = Math.floor(origin.x / 256); withTiles && x <= Math.floor((origin.x + width) / 256); x++) {
+    for (let y = Math.floor(origin.y / 256); y <= Math.floor((origin.y + height) / 256); y++) {
+      tiles.push(loadTileImage(getTileUrl(settings.tileUrl, { z: zoom, x, y })).then(image => ({ image, x, y })));
+    }
+  }
+  const loadedTiles = await Promise.all(tiles);
+
+  const draw = (withTiles) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#e8eef2';
+    ctx.fillRect(0, 0, width, height);
+
+    if (withTiles) {
+      loadedTiles.forEach(({ image, x, y }) => {
+        if (image) ctx.drawImage(image, x * 256 - origin.x, y * 256 - origin.y);
+      });
+    }
+
+    incidents.forEach(incident => {
+      const color = getIncidentColor(incident.severity);
+      ctx.strokeStyle = color;
+      ctx.fillStyle = `${color}55`;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+
+      if (incident.points) {
+        incident.points.forEach((point, index) => {
+          const { x, y } = toPixel(point);
+          if (index === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        });
+        if (incident.type === 'polygon') {
+          ctx.closePath();
+          ctx.fill();
+        }
+        ctx.stroke();
+        return;
+      }
+
+      const { x, y } = toPixel(incident.position);
+      if (incident.radius) {
+        const metersPerPixel = 40075016.686 * Math.cos(incident.position[0] * Math.PI / 180) / Math.pow(2, zoom + 8);
+        ctx.arc(x, y, Math.max(3, incident.radius / metersPerPixel), 0, Math.PI * 2);
+      } else {
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+      }
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    // Attribution is configured as HTML, the canvas needs plain text
+    const attribution = settings.tileAttribution
+      .replace(/<[^>]*>/g, '')
+      .replace(/&copy;/g, '©')
+      .replace(/&amp;/g, '&');
+    ctx.font = '11px sans-serif';
+    const attributionWidth = ctx.measureText(attribution).width + 16;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.fillRect(width - attributionWidth, height - 18, attributionWidth, 18);
+    ctx.fillStyle = '#333';
+    ctx.fillText(attribution, width - attributionWidth + 8, height - 5);
+
+    return canvas.toDataURL('image/png');
+  };
+
+  try {
+    return draw(withTiles);
+  } catch (error) {
+    // Tiles served without CORS headers taint the canvas
+    console.error('Map snapshot error:', error);
+    return draw(false);
+  }
+}
+
+// Lay the situation report out as a downloadable PDF
+async function downloadSitRepPdf(report, mapImage, units) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 15;
+  const contentWidth = pageWidth - margin * 2;
+  let y = margin;
+
+  const ensureSpace = (needed) => {
+    if (y + needed > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(14);
+    y += 4;
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.text(text, margin, y);
+    y += 7;
+  };
+
+  const paragraph = (text, size = 10) => {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(size);
+    doc.splitTextToSize(text, contentWidth).forEach(line => {
+      ensureSpace(5);
+      doc.text(line, margin, y);
+      y += 5;
+    });
+  };
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text('Flood Situation Report', margin, y + 4);
+  y += 12;
+  paragraph(`Period: ${new Date(report.from).toLocaleString()} - ${new Date(report.to).toLocaleString()}`);
+  paragraph(`Generated: ${new Date(report.generatedAt).toLocaleString()}`);
+  if (report.unverifiedCount > 0) {
+    paragraph(`Covers verified reports only; ${report.unverifiedCount} awaiting review are not included.`);
+  }
+
+  heading('Summary');
+  report.summary.forEach(([label, value]) => {
+    ensureSpace(6);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.text(label, margin, y);
+    doc.text(String(value), margin + 80, y);
+    y += 6;
+  });
+
+  if (mapImage) {
+    heading('Affected Area');
+    const imageHeight = contentWidth * 5 / 8;
+    ensureSpace(imageHeight);
+    doc.addImage(mapImage, 'PNG', margin, y, contentWidth, imageHeight);
+    y += imageHeight + 4;
+  }
+
+  if (report.byDistrict.length > 0) {
+    heading('By District');
+    report.byDistrict.forEach(district => {
+      ensureSpace(6);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(10);
+      doc.text(district.name, margin, y);
+      doc.text(String(district.count), margin + 110, y);
+      doc.text(formatArea(district.area, units), margin + 130, y);
+      y += 6;
+    });
+  }
+
+  if (report.byDivision.length > 0) {
+    heading('By DS and GN Division');
+    report.byDivision.forEach(division => {
+      ensureSpace(6);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(10);
+      doc.text(division.name, margin, y);
+      doc.text(String(division.count), margin + 110, y);
+      doc.text(formatArea(division.area, units), margin + 130, y);
+      y += 6;
+      division.gnDivisions.forEach(gnDivision => {
+        ensureSpace(5);
+        doc.setFont('helvetica', 'normal');
+        doc.text(gnDivision.name, margin + 6, y);
+        doc.text(String(gnDivision.count), margin + 110, y);
+        doc.text(formatArea(gnDivision.area, units), margin + 130, y);
+        y += 5;
+      });
+    });
+  }
+
+  report.bySeverity.forEach(({ level, incidents }) => {
+    if (incidents.length === 0) return;
+    heading(`${getSeverityLabel(level).label} Incidents (${incidents.length})`);
+    incidents.forEach(incident => {
+      ensureSpace(12);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(11);
+      doc.text(incident.incidentName || 'Unnamed incident', margin, y);
+      y += 5;
+      paragraph(
+        `${new Date(incident.timestamp).toLocaleString()} | Reported by ${incident.reporterName || 'unknown'}` +
+        ` | Evacuation: ${formatLabel(incident.evacuationStatus) || 'Not set'}` +
+        (incident.waterLevel ? ` | ${formatWaterLevel(incident.waterLevel)}` : '') +
+        (incident.affectedArea ? ` | ${incident.affectedArea}` : ''),
+        9
+      );
+      if (incident.description) paragraph(incident.description);
+      y += 2;
+    });
+  });
+
+  heading('Evacuation Status');
+  if (report.evacuations.length === 0) {
+    paragraph('No evacuations recommended or under way.');
+  }
+  report.evacuations.forEach(incident => {
+    paragraph(`${incident.incidentName}: ${formatLabel(incident.evacuationStatus)} (${getSeverityLabel(incident.severity).label})`);
+  });
+
+  doc.save(`sitrep-${toDateInputValue(report.generatedAt)}.pdf`);
+}
+
+// Format a timestamp as the value of a datetime-local input
+function toDateTimeInputValue(timestamp) {
+  return `${toDateInputValue(timestamp)}T${new Date(timestamp).toTimeString().slice(0, 5)}`;
+}
+
+// Situation report generator for a chosen time window
+function ReportsPage({ incidents, unverifiedCount }) {
+  const { settings } = useSettings();
+  const [range, setRange] = useState(() => ({
+    from: toDateTimeInputValue(Date.now() - DAY_MS),
+    to: toDateTimeInputValue(Date.now())
+  }));
+  const [mapImage, setMapImage] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const report = React.useMemo(() => ({
+    ...buildSitRep(incidents, new Date(range.from).getTime(), new Date(range.to).getTime(), settings.units),
+    unverifiedCount
+  }), [incidents, unverifiedCount, range, settings.units]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setMapImage(null);
+    renderMapSnapshot(report.incidents, settings)
+      .catch(error => {
+        // Such as a tile URL with placeholders the map cannot fill in
+        console.error('Map snapshot error:', error);
+        return renderMapSnapshot(report.incidents, settings, { withTiles: false });
+      })
+      .catch(error => {
+        console.error('Map snapshot error:', error);
+        return false;
+      })
+      .then(image => {
+        if (!cancelled) setMapImage(image);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [report.incidents, settings]);
+
+  const handleRangeChange = (e) => {
+    const { name, value } = e.target;
+    if (!value) return;
+    setRange(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleQuickRange = (hours) => {
+    setRange({
+      from: toDateTimeInputValue(Date.now() - hours * HOUR_MS),
+      to: toDateTimeInputValue(Date.now())
+    });
+  };
+
+  const handleDownloadPdf = async () => {
+    setIsExporting(true);
+    try {
+      await downloadSitRepPdf(report, mapImage, settings.units);
+    } catch (error) {
+      console.error('PDF export error:', error);
+      alert('Could not generate the PDF. Please try again.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="reports-page">
+      <div className="reports-toolbar">
+        <div className="date-range">
+          <label>
+            From
+            <input type="datetime-local" name="from" value={range.from} max={range.to} onChange={handleRangeChange} />
+          </label>
+          <label>
+            To
+            <input type="datetime-local" name="to" value={range.to} min={range.from} onChange={handleRangeChange} />
+          </label>
+        </div>
+        <div className="chart-toggle">
+          {[6, 12, 24, 72].map(hours => (
+            <button key={hours} onClick={() => handleQuickRange(hours)}>
+              Last {hours}h
+            </button>
+          ))}
+        </div>
+        <div className="reports-actions">
+          <button className="export-button" onClick={() => window.print()}>
+            Print
+          </button>
+          <button className="submit-button" onClick={handleDownloadPdf} disabled={isExporting}>
+            {isExporting ? 'Generating...' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+
+      <article className="sitrep-document">
+        <header>
+          <h1>Flood Situation Report</h1>
+          <p>
+            {new Date(report.from).toLocaleString()} – {new Date(report.to).toLocaleString()}
+          </p>
+          <p className="sitrep-meta">Generated {new Date(report.generatedAt).toLocaleString()}</p>
+          {report.unverifiedCount > 0 && (
+            <p className="sitrep-meta">
+              Covers verified reports only; {report.unverifiedCount} awaiting review are not included.
+            </p>
+          )}
+        </header>
+
+        <section>
+          <h2>Summary</h2>
+          <table className="sitrep-table">
+            <tbody>
+              {report.summary.map(([label, value]) => (
+                <tr key={label}>
+                  <th>{label}</th>
+                  <td>{value}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        <section>
+          <h2>Affected Area</h2>
+          {mapImage
+            ? <img className="sitrep-map" src={mapImage} alt="Map of the affected area" />
+            : <p className="sitrep-meta">{mapImage === false ? 'The map could not be drawn.' : 'Rendering map...'}</p>}
+        </section>
+
+        {report.byDistrict.length > 0 && (
+          <section>
+            <h2>By District</h2>
+            <table className="sitrep-table sitrep-districts">
+              <thead>
+                <tr>
+                  <th>District</th>
+                  <th>Incidents</th>
+                  <th>Area</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.byDistrict.map(district => (
+                  <tr key={district.name}>
+                    <td>{district.name}</td>
+                    <td>{district.count}</td>
+                    <td>{formatArea(district.area, settings.units)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        {report.byDivision.length > 0 && (
+          <section>
+            <h2>By DS and GN Division</h2>
+            <table className="sitrep-table sitrep-divisions">
+              <thead>
+                <tr>
+                  <th>DS / GN Division</th>
+                  <th>Incidents</th>
+                  <th>Area</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.byDivision.map(division => (
+                  <React.Fragment key={division.name}>
+                    <tr className="sitrep-ds-division">
+                      <td>{division.name}</td>
+                      <td>{division.count}</td>
+                      <td>{formatArea(division.area, settings.units)}</td>
+                    </tr>
+                    {division.gnDivisions.map(gnDivision => (
+                      <tr key={gnDivision.name} className="sitrep-gn-division">
+                        <td>{gnDivision.name}</td>
+                        <td>{gnDivision.count}</td>
+                        <td>{formatArea(gnDivision.area, settings.units)}</td>
+                      </tr>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        {report.bySeverity.map(({ level, incidents: levelIncidents }) => levelIncidents.length > 0 && (
+          <section key={level}>
+            <h2>{getSeverityLabel(level).icon} {getSeverityLabel(level).label} Incidents ({levelIncidents.length})</h2>
+            {levelIncidents.map(incident => (
+              <div key={incident.id} className="sitrep-incident">
+                <h3>{incident.incidentName}</h3>
+                <p className="sitrep-meta">
+                  {new Date(incident.timestamp).toLocaleString()} · Reported by {incident.reporterName || 'unknown'}
+                  {' · '}Evacuation: {formatLabel(incident.evacuationStatus) || 'Not set'}
+                  {incident.waterLevel && ` · ${formatWaterLevel(incident.waterLevel)}`}
+                  {incident.affectedArea && ` · ${incident.affectedArea}`}
+                </p>
+                {incident.description && <p>{incident.description}</p>}
+              </div>
+            ))}
+          </section>
+        ))}
+
+        <section>
+          <h2>Evacuation Status</h2>
+          {report.evacuations.length === 0 ? (
+            <p>No evacuations recommended or under way.</p>
+          ) : (
+            <table className="sitrep-table">
+              <thead>
+                <tr>
+                  <th>Incident</th>
+                  <th>Severity</th>
+                  <th>Evacuation</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.evacuations.map(incident => (
+                  <tr key={incident.id}>
+                    <td>{incident.incidentName}</td>
+                    <td>{getSeverityLabel(incident.severity).label}</td>
+                    <td>{formatLabel(incident.evacuationStatus)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      </article>
+    </div>
+  );
+}
+
+// Problems with a settings draft, keyed by field name
+function validateSettings(draft) {
+  const errors = {};
+  const { bounds, center } = draft;
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  if (!draft.regionName.trim()) errors.regionName = 'Region name is required';
+  if (!Object.values(bounds).every(isNumber)) errors.bounds = 'All bounds must be numbers';
+  else if (!(bounds.south < bounds.north)) errors.bounds = 'South must be below north';
+  else if (!(bounds.west < bounds.east)) errors.bounds = 'West must be left of east';
+  if (
+    !isNumber(center.lat) || !isNumber(center.lng) ||
+    !(center.lat >= bounds.south && center.lat <= bounds.north &&
+      center.lng >= bounds.west && center.lng <= bounds.east)
+  ) {
+    errors.center = 'Center must be inside the region bounds';
+  }
+  if (![draft.minZoom, draft.maxZoom, draft.defaultZoom].every(isNumber)) {
+    errors.zoom = 'Zoom levels must be numbers';
+  } else if (!(draft.minZoom >= 0 && draft.maxZoom <= 20 && draft.minZoom <= draft.maxZoom)) {
+    errors.zoom = 'Zoom levels must be between 0 and 20 with min not above max';
+  } else if (!(draft.defaultZoom >= draft.minZoom && draft.defaultZoom <= draft.maxZoom)) {
+    errors.zoom = 'Default zoom must be between min and max zoom';
+  }
+  if (!['{z}', '{x}', '{y}'].every(part => draft.tileUrl.includes(part))) {
+    errors.tileUrl = 'Tile URL must contain {z}, {x} and {y}';
+  }
+  if (!(draft.defaultRadius >= 10 && draft.defaultRadius <= 1000)) {
+    errors.defaultRadius = 'Default radius must be between 10 and 1000 meters';
+  }
+  if (draft.syncServerUrl.trim() && !/^https?:\/\/\S+$/i.test(draft.syncServerUrl.trim())) {
+    errors.syncServerUrl = 'Sync server must be an http:// or https:// URL';
+  }
+
+  return errors;
+}
+
+// Runtime configuration of the region, map source and incident defaults
+function SettingsPage() {
+  const { settings, updateSettings, resetSettings } = useSettings();
+  const [draft, setDraft] = useState(settings);
+  const [saved, setSaved] = useState(false);
+  const errors = validateSettings(draft);
+
+  // Pick up resets and changes made elsewhere
+  useEffect(() => {
+    setDraft(settings);
+  }, [settings]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    const parsed = type === 'checkbox' ? checked : type === 'number' && value !== '' ? parseFloat(value) : value;
+    const [group, key] = name.split('.');
+    setSaved(false);
+    // Bounds or a center typed in by hand no longer follow a district outline
+    setDraft(prev => (key
+      ? { ...prev, district: '', [group]: { ...prev[group], [key]: parsed } }
+      : { ...prev, [name]: parsed }
+    ));
+  };
+
+  const handleDistrictChange = (e) => {
+    setSaved(false);
+    setDraft(prev => ({ ...prev, ...getDistrictRegion(e.target.value) }));
+  };
+
+  const handleRadiusChange = (e) => {
+    setSaved(false);
+    setDraft(prev => ({ ...prev, defaultRadius: fromDisplayLength(e.target.value, prev.units) }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (Object.keys(errors).length > 0) return;
+    updateSettings({ ...draft, syncServerUrl: draft.syncServerUrl.trim() });
+    setSaved(true);
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Reset all settings to their defaults?')) {
+      resetSettings();
+      setSaved(false);
+    }
+  };
+
+  return (
+    <div className="settings-page">
+      <form className="settings-form" onSubmit={handleSubmit}>
+        <h2>Settings</h2>
+
+        <fieldset>
+          <legend>Operating Region</legend>
+          <div className="form-group">
+            <label>District</label>
+            <select name="district" value={draft.district} onChange={handleDistrictChange}>
+              <option value={NATIONAL_VIEW}>All of Sri Lanka</option>
+              <option value="" disabled>Custom bounds</option>
+              {DISTRICT_NAMES.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Region Name</label>
+            <input type="text" name="regionName" value={draft.regionName} onChange={handleChange} />
+            {errors.regionName && <span className="field-error">{errors.regionName}</span>}
+          </div>
+          <div className="settings-grid">
+            {['north', 'south', 'east', 'west'].map(side => (
+              <div key={side} className="form-group">
+                <label>{formatLabel(side)} Bound</label>
+                <input
+                  type="number"
+                  step="0.0001"
+                  name={`bounds.${side}`}
+                  value={draft.bounds[side]}
+                  onChange={handleChange}
+                />
+              </div>
+            ))}
+          </div>
+          {errors.bounds && <span className="field-error">{errors.bounds}</span>}
+          <div className="settings-grid">
+            <div className="form-group">
+              <label>Center Latitude</label>
+              <input type="number" step="0.0001" name="center.lat" value={draft.center.lat} onChange={handleChange} />
+            </div>
+            <div className="form-group">
+              <label>Center Longitude</label>
+              <input type="number" step="0.0001" name="center.lng" value={draft.center.lng} onChange={handleChange} />
+            </div>
+          </div>
+          {errors.center && <span className="field-error">{errors.center}</span>}
+        </fieldset>
+
+        <fieldset>
+          <legend>Map Source</legend>
+          <div className="form-group">
+            <label>Tile URL Template</label>
+            <input type="text" name="tileUrl" value={draft.tileUrl} onChange={handleChange} />
+            {errors.tileUrl && <span className="field-error">{errors.tileUrl}</span>}
+          </div>
+          <div className="form-group">
+            <label>Attribution</label>
+            <input type="text" name="tileAttribution" value={draft.tileAttribution} onChange={handleChange} />
+          </div>
+          <div className="settings-grid">
+            <div className="form-group">
+              <label>Min Zoom</label>
+              <input type="number" name="minZoom" min="0" max="20" value={draft.minZoom} onChange={handleChange} />
+            </div>
+            <div className="form-group">
+              <label>Max Zoom</label>
+              <input type="number" name="maxZoom" min="0" max="20" value={draft.maxZoom} onChange={handleChange} />
+            </div>
+            <div className="form-group">
+              <label>Default Zoom</label>
+              <input type="number" name="defaultZoom" min="0" max="20" value={draft.defaultZoom} onChange={handleChange} />
+            </div>
+          </div>
+          {errors.zoom && <span className="field-error">{errors.zoom}</span>}
+          <label className="settings-checkbox">
+            <input type="checkbox" name="onlineSearch" checked={draft.onlineSearch} onChange={handleChange} />
+            Search OpenStreetMap when a place is not in the offline gazetteer
+          </label>
+        </fieldset>
+
+        <fieldset>
+          <legend>Incident Defaults</legend>
+          <div className="settings-grid">
+            <div className="form-group">
+              <label>Units</label>
+              <select name="units" value={draft.units} onChange={handleChange}>
+                <option value="metric">Metres</option>
+                <option value="imperial">Feet</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Default Radius ({getLengthUnitLabel(draft.units)})</label>
+              <input
+                type="number"
+                value={toDisplayLength(draft.defaultRadius, draft.units)}
+                onChange={handleRadiusChange}
+              />
+            </div>
+            <div className="form-group">
+              <label>Default Severity</label>
+              <select name="defaultSeverity" value={draft.defaultSeverity} onChange={handleChange}>
+                {SEVERITY_LEVELS.map(level => (
+                  <option key={level} value={level}>{getSeverityLabel(level).label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Default Evacuation Status</label>
+              <select name="defaultEvacuationStatus" value={draft.defaultEvacuationStatus} onChange={handleChange}>
+                {Object.keys(EVACUATION_COLORS).map(status => (
+                  <option key={status} value={status}>{formatLabel(status)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {errors.defaultRadius && <span className="field-error">{errors.defaultRadius}</span>}
+        </fieldset>
+
+        <fieldset>
+          <legend>Sync</legend>
+          <div className="form-group">
+            <label>Sync Server URL</label>
+            <input
+              type="url"
+              name="syncServerUrl"
+              placeholder="http://localhost:4000"
+              value={draft.syncServerUrl}
+              onChange={handleChange}
+            />
+            {errors.syncServerUrl && <span className="field-error">{errors.syncServerUrl}</span>}
+            <span className="field-hint">
+              Leave empty to keep incidents in this browser only. Start a server with npm run sync-server.
+              Changing the server signs you out, as accounts belong to the server.
+            </span>
+          </div>
+        </fieldset>
+
+        <div className="dialog-buttons">
+          {saved && <span className="settings-saved">Settings saved</span>}
+          <button type="button" className="cancel-button" onClick={handleReset}>
+            Reset to Defaults
+          </button>
+          <button type="submit" className="submit-button" disabled={Object.keys(errors).length > 0}>
+            Save Settings
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// Offline-first sync with the self-hosted server in server/index.js
+const SYNC_BATCH_SIZE = 100;
+const SYNC_PUSH_DELAY = 1000;
+const SYNC_PULL_INTERVAL = 30 * 1000;
+const SYNC_RETRY_BASE = 2000;
+const SYNC_RETRY_MAX = 5 * 60 * 1000;
+const SYNC_REQUEST_TIMEOUT = 15000;
+const SYNC_SERVER_USER = 'Sync server';
+// Responses that mean a batch itself is bad (malformed or too large), not the connection
+const SYNC_PARKED_STATUSES = [400, 413];
+
+const EMPTY_SYNC_STATE = {
+  serverUrl: '',
+  queue: [],
+  revision: 0,
+  conflicts: [],
+  // Batches the server turned away as malformed or too large, kept for the user
+  parked: [],
+  lastSyncedAt: null
+};
+
+const SYNC_STATUS_LABELS = {
+  local: 'Local only',
+  idle: 'Waiting to sync',
+  offline: 'Offline',
+  syncing: 'Syncing…',
+  synced: 'Synced',
+  error: 'Sync failed, retrying',
+  'signed-out': 'Signed out, sign in again'
+};
+
+const SYNC_REJECT_REASONS = {
+  deleted: 'Your edit arrived after the incident was deleted on the server',
+  'edited-after-delete': 'Your delete was skipped because the incident was edited later on the server',
+  forbidden: 'Your account is not allowed to make this change on the server'
+};
+
+// What each synced collection is called on the server and where its queue is kept
+const INCIDENT_SYNC = { collection: 'incidents', pushPath: '/api/sync', storageKey: 'syncState' };
+const CONTRIBUTOR_SYNC = { collection: 'contributors', pushPath: '/api/contributors/sync', storageKey: 'contributorSyncState' };
+const SHELTER_SYNC = { collection: 'shelters', pushPath: '/api/shelters/sync', storageKey: 'shelterSyncState' };
+
+function loadSyncState(storageKey) {
+  try {
+    const saved = localStorage.getItem(storageKey);
+    return saved ? { ...EMPTY_SYNC_STATE, ...JSON.parse(saved) } : EMPTY_SYNC_STATE;
+  } catch (error) {
+    console.error('Sync state load error:', error);
+    return EMPTY_SYNC_STATE;
+  }
+}
+
+function toIncidentMap(incidents) {
+  return new Map(incidents.map(incident => [incident.id, incident]));
+}
+
+let syncOpCounter = 0;
+
+function createSyncOpId() {
+  syncOpCounter += 1;
+  return `${Date.now().toString(36)}-${syncOpCounter}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function createUpsertOp(incidentId, fields, timestamp, baseRevision) {
+  const fieldTimes = {};
+  Object.keys(fields).forEach(field => { fieldTimes[field] = timestamp; });
+  return { opId: createSyncOpId(), type: 'upsert', incidentId, fields, fieldTimes, timestamp, baseRevision };
+}
+
+// Every local incident, sent when a server is first connected. Time zero lets
+// values already on the server win and reports the differences as conflicts.
+function createSeedOps(incidents) {
+  return incidents.map(incident => {
+    const fields = {};
+    Object.entries(diffIncidents(null, incident)).forEach(([field, { to }]) => { fields[field] = to; });
+    return createUpsertOp(incident.id, fields, 0, 0);
+  });
+}
+
+// Changed fields and deletions between the last known and the current incidents
+function createSyncOps(known, incidents, baseRevision) {
+  const timestamp = Date.now();
+  const ops = [];
+
+  incidents.forEach(incident => {
+    const fields = {};
+    Object.entries(diffIncidents(known.get(incident.id) || null, incident))
+      .forEach(([field, { to }]) => { fields[field] = to; });
+    if (Object.keys(fields).length > 0) ops.push(createUpsertOp(incident.id, fields, timestamp, baseRevision));
+  });
+
+  const currentIds = new Set(incidents.map(incident => incident.id));
+  known.forEach((_incident, id) => {
+    if (!currentIds.has(id)) {
+      ops.push({ opId: createSyncOpId(), type: 'delete', incidentId: id, timestamp, baseRevision });
+    }
+  });
+
+  return ops;
+}
+
+// Fold new operations into the queue, keeping one waiting operation per incident.
+// Operations already sent are left alone until the server answers.
+function queueSyncOps(queue, ops, inFlight) {
+  const next = [...queue];
+
+  ops.forEach(op => {
+    const index = next.findIndex(queued => queued.incidentId === op.incidentId && !inFlight.has(queued.opId));
+    if (index === -1) {
+      next.push(op);
+      return;
+    }
+    const queued = next[index];
+    next[index] = queued.type === 'upsert' && op.type === 'upsert'
+      ? {
+          ...queued,
+          fields: { ...queued.fields, ...op.fields },
+          fieldTimes: { ...queued.fieldTimes, ...op.fieldTimes },
+          timestamp: Math.max(queued.timestamp, op.timestamp)
+        }
+      : op;
+  });
+
+  return next;
+}
+
+// Conflicts and rejections the server reported for a sent batch
+function collectSyncConflicts(batch, results) {
+  const opsById = new Map(batch.map(op => [op.opId, op]));
+  const detectedAt = Date.now();
+
+  return (results || []).flatMap(result => {
+    const op = opsById.get(result.opId);
+    if (!op) return [];
+    if (result.status === 'rejected') {
+      return [{ id: `${op.opId}-rejected`, incidentId: op.incidentId, reason: result.reason, detectedAt }];
+    }
+    return (result.conflicts || []).map(conflict => ({
+      id: `${op.opId}-${conflict.field}`,
+      incidentId: op.incidentId,
+      detectedAt,
+      ...conflict
+    }));
+  });
+}
+
+// Exponential backoff with jitter so reconnecting devices don't all retry at once
+function getSyncRetryDelay(attempt) {
+  const delay = Math.min(SYNC_RETRY_MAX, SYNC_RETRY_BASE * 2 ** (attempt - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// JSON request to the sync server. Failed responses reject with the server's
+// error message and the HTTP status.
+async function syncRequest(serverUrl, path, body, token) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), SYNC_REQUEST_TIMEOUT);
+
+  try {
+    const response = await fetch(`${serverUrl.replace(/\/+$/, '')}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        ...(body && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(error || `Sync server responded with ${response.status}`), { status: response.status });
+    }
+    return await response.json();
+  } catch (error) {
+    throw error.name === 'AbortError' ? new Error('Sync server did not respond in time') : error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Keeps a collection of records in step with the sync server: incidents, or
+// contributors and shelters with options from CONTRIBUTOR_SYNC and SHELTER_SYNC.
+// Local edits are queued in localStorage, so they survive reloads and are sent
+// once the server is reachable.
+export function useRecordSync(records, setRecords, serverUrl, token, onRemoteChanges, options = INCIDENT_SYNC) {
+  const { collection, pushPath, storageKey } = options;
+  const stateRef = useRef(null);
+  if (stateRef.current === null) stateRef.current = loadSyncState(storageKey);
+  const knownRef = useRef(null);
+  if (knownRef.current === null) knownRef.current = toIncidentMap(records);
+  const [syncState, setSyncState] = useState(stateRef.current);
+  const [status, setStatus] = useState(serverUrl ? 'idle' : 'local');
+  const [lastError, setLastError] = useState(null);
+  const recordsRef = useRef(records);
+  const inFlightRef = useRef(new Set());
+  const requestSyncRef = useRef(() => {});
+  const syncNowRef = useRef(() => {});
+  const onRemoteChangesRef = useRef(onRemoteChanges);
+  recordsRef.current = records;
+  onRemoteChangesRef.current = onRemoteChanges;
+
+  const updateSyncState = useCallback((changes) => {
+    stateRef.current = { ...stateRef.current, ...changes };
+    localStorage.setItem(storageKey, JSON.stringify(stateRef.current));
+    setSyncState(stateRef.current);
+  }, [storageKey]);
+
+  // Queue whatever changed locally since the last check
+  const queueLocalChanges = useCallback((current) => {
+    const { serverUrl: connectedUrl, revision, queue } = stateRef.current;
+    const ops = connectedUrl ? createSyncOps(knownRef.current, current, revision) : [];
+    knownRef.current = toIncidentMap(current);
+    if (ops.length > 0) {
+      updateSyncState({ queue: queueSyncOps(queue, ops, inFlightRef.current) });
+      requestSyncRef.current();
+    }
+  }, [updateSyncState]);
+
+  // A different server starts over with every local record queued
+  useEffect(() => {
+    if (stateRef.current.serverUrl === serverUrl) return;
+    inFlightRef.current.clear();
+    knownRef.current = toIncidentMap(recordsRef.current);
+    updateSyncState({
+      ...EMPTY_SYNC_STATE,
+      serverUrl,
+      queue: serverUrl ? createSeedOps(recordsRef.current) : []
+    });
+  }, [serverUrl, updateSyncState]);
+
+  useEffect(() => {
+    queueLocalChanges(records);
+  }, [records, queueLocalChanges]);
+
+  useEffect(() => {
+    if (!serverUrl) {
+      setStatus('local');
+      return undefined;
+    }
+
+    const inFlight = inFlightRef.current;
+    let cancelled = false;
+    let running = false;
+    let rerun = false;
+    let attempt = 0;
+    let timer = null;
+
+    const schedule = (delay) => {
+      clearTimeout(timer);
+      timer = setTimeout(run, delay);
+    };
+
+    // Merge server changes in, keeping fields that still have queued local edits.
+    // changedBy names who made each change, when the server has accounts.
+    const applyRemote = (remoteRecords, deletedIds, changedBy = {}) => {
+      queueLocalChanges(recordsRef.current);
+      const pending = new Map();
+      stateRef.current.queue.forEach(op => {
+        pending.set(op.incidentId, op.type === 'delete' ? null : { ...pending.get(op.incidentId), ...op.fields });
+      });
+
+      const byId = toIncidentMap(recordsRef.current);
+      const changes = [];
+
+      remoteRecords.forEach(remote => {
+        if (pending.get(remote.id) === null) return;
+        const local = byId.get(remote.id) || null;
+        const merged = { ...remote };
+        HISTORY_IGNORED_FIELDS.forEach(field => {
+          if (local && field in local) merged[field] = local[field];
+        });
+        Object.entries(pending.get(remote.id) || {}).forEach(([field, value]) => {
+          if (value === null) delete merged[field];
+          else merged[field] = value;
+        });
+        if (Object.keys(diffIncidents(local, merged)).length === 0) return;
+        changes.push({ before: local, after: merged, changedBy: changedBy[remote.id] || null });
+        byId.set(remote.id, merged);
+      });
+
+      deletedIds.forEach(id => {
+        if (!byId.has(id) || pending.has(id)) return;
+        changes.push({ before: byId.get(id), after: null, changedBy: changedBy[id] || null });
+        byId.delete(id);
+      });
+
+      if (changes.length === 0) return;
+      const next = [...byId.values()];
+      knownRef.current = toIncidentMap(next);
+      recordsRef.current = next;
+      setRecords(next);
+      if (onRemoteChangesRef.current) onRemoteChangesRef.current(changes);
+    };
+
+    // Send the queue in batches until it is empty
+    const push = async () => {
+      while (stateRef.current.queue.length > 0) {
+        const batch = stateRef.current.queue.slice(0, SYNC_BATCH_SIZE);
+        batch.forEach(op => inFlight.add(op.opId));
+        const sent = new Set(batch.map(op => op.opId));
+        let response;
+        try {
+          response = await syncRequest(serverUrl, pushPath, { changes: batch }, token);
+        } catch (error) {
+          // Sending the same batch again would be turned away again, so it waits for the user
+          if (cancelled || !SYNC_PARKED_STATUSES.includes(error.status)) throw error;
+          updateSyncState({
+            queue: stateRef.current.queue.filter(op => !sent.has(op.opId)),
+            parked: [
+              ...stateRef.current.parked,
+              { id: batch[0].opId, collection, ops: batch, error: error.message, parkedAt: Date.now() }
+            ]
+          });
+          continue;
+        } finally {
+          inFlight.clear();
+        }
+        if (cancelled) return;
+
+        // A refused change leaves this device out of step, so the server's copy is
+        // taken. A record the server never had stays here, marked, for the user to
+        // send again or drop.
+        const onServer = new Set([...(response[collection] || []).map(record => record.id), ...(response.deleted || [])]);
+        const conflicts = collectSyncConflicts(batch, response.results).map(conflict => (
+          conflict.reason && !onServer.has(conflict.incidentId) ? { ...conflict, notOnServer: true } : conflict
+        ));
+        const isReplaced = (existing) => conflicts.some(conflict =>
+          conflict.incidentId === existing.incidentId && conflict.field === existing.field
+        );
+        updateSyncState({
+          queue: stateRef.current.queue.filter(op => !sent.has(op.opId)),
+          conflicts: [...stateRef.current.conflicts.filter(existing => !isReplaced(existing)), ...conflicts]
+        });
+
+        const rejected = new Set(conflicts.filter(conflict => conflict.reason).map(conflict => conflict.incidentId));
+        if (rejected.size > 0) {
+          applyRemote(
+            (response[collection] || []).filter(record => rejected.has(record.id)),
+            (response.deleted || []).filter(id => rejected.has(id)),
+            response.changedBy
+          );
+        }
+      }
+    };
+
+    const pull = async () => {
+      const response = await syncRequest(serverUrl, `/api/${collection}?since=${stateRef.current.revision}`, null, token);
+      if (cancelled) return;
+      applyRemote(response[collection], response.deleted, response.changedBy);
+      updateSyncState({ revision: response.revision });
+    };
+
+    const run = async () => {
+      if (cancelled) return;
+      if (running) {
+        rerun = true;
+        return;
+      }
+      if (!navigator.onLine) {
+        setStatus('offline');
+        return;
+      }
+
+      running = true;
+      rerun = false;
+      setStatus('syncing');
+      try {
+        await push();
+        await pull();
+        if (cancelled) return;
+        attempt = 0;
+        setStatus('synced');
+        setLastError(null);
+        updateSyncState({ lastSyncedAt: Date.now() });
+        if (rerun) schedule(0);
+        else schedule(stateRef.current.queue.length > 0 ? SYNC_PUSH_DELAY : SYNC_PULL_INTERVAL);
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Sync error:', error);
+        // The server has ended the session; retrying can't help until the user signs in again
+        if (error.status === 401) {
+          setStatus('signed-out');
+          setLastError(error.message);
+          return;
+        }
+        attempt += 1;
+        setStatus('error');
+        setLastError(error.message);
+        schedule(getSyncRetryDelay(attempt));
+      } finally {
+        running = false;
+      }
+    };
+
+    // Local edits are sent shortly after they are made, unless we are backing off
+    requestSyncRef.current = () => {
+      if (!running && attempt === 0) schedule(SYNC_PUSH_DELAY);
+    };
+    syncNowRef.current = () => {
+      attempt = 0;
+      schedule(0);
+    };
+
+    const handleOnline = () => syncNowRef.current();
+    const handleOffline = () => {
+      clearTimeout(timer);
+      setStatus('offline');
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    schedule(0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      inFlight.clear();
+      requestSyncRef.current = () => {};
+      syncNowRef.current = () => {};
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [serverUrl, token, collection, pushPath, setRecords, queueLocalChanges, updateSyncState]);
+
+  return {
+    status,
+    lastError,
+    pendingCount: syncState.queue.length,
+    lastSyncedAt: syncState.lastSyncedAt,
+    conflicts: syncState.conflicts,
+    parked: syncState.parked,
+    // Queue a parked batch again, under any edits made to the same records since
+    retryParked: (id) => {
+      const batch = stateRef.current.parked.find(item => item.id === id);
+      if (!batch) return;
+      updateSyncState({
+        queue: queueSyncOps(batch.ops, stateRef.current.queue, new Set()),
+        parked: stateRef.current.parked.filter(item => item.id !== id)
+      });
+      syncNowRef.current();
+    },
+    // Give up on a parked batch; its changes stay on this device only
+    discardParked: (id) => updateSyncState({
+      parked: stateRef.current.parked.filter(item => item.id !== id)
+    }),
+    dismissConflict: (id) => updateSyncState({
+      conflicts: stateRef.current.conflicts.filter(conflict => conflict.id !== id)
+    }),
+    // Send the whole of a local record again, as after the server refused one it does not have
+    resend: (id) => {
+      const record = recordsRef.current.find(item => item.id === id);
+      if (!record) return;
+      const ops = createSyncOps(new Map(), [record], stateRef.current.revision);
+      updateSyncState({ queue: queueSyncOps(stateRef.current.queue, ops, inFlightRef.current) });
+      requestSyncRef.current();
+    },
+    // Remove a record from this device only, without asking the server to delete it
+    forget: (id) => {
+      knownRef.current.delete(id);
+      updateSyncState({ queue: stateRef.current.queue.filter(op => op.incidentId !== id || inFlightRef.current.has(op.opId)) });
+      setRecords(prev => prev.filter(record => record.id !== id));
+    },
+    syncNow: () => syncNowRef.current()
+  };
+}
+
+// Live channel on the sync server: change notices, who is online and edit locks
+function useLiveChannel(serverUrl, user, token, handlers) {
+  const [connected, setConnected] = useState(false);
+  const [clientId, setClientId] = useState(null);
+  const [clients, setClients] = useState([]);
+  const socketRef = useRef(null);
+  const wantedLockRef = useRef(null);
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }, []);
+
+  useEffect(() => {
+    if (!serverUrl || typeof WebSocket === 'undefined') return undefined;
+
+    let cancelled = false;
+    let attempt = 0;
+    let timer = null;
+
+    const connect = () => {
+      const socket = new WebSocket(`${serverUrl.replace(/\/+$/, '').replace(/^http/i, 'ws')}/api/live`);
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        attempt = 0;
+        setConnected(true);
+      };
+
+      socket.onmessage = (event) => {
+        let message;
+        try {
+          message = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+
+        if (message.type === 'welcome') {
+          setClientId(message.clientId);
+        } else if (message.type === 'presence') {
+          setClients(message.clients);
+          // Take the lock we asked for once whoever held it lets go
+          const wanted = wantedLockRef.current;
+          if (wanted && !message.clients.some(client => client.editing === wanted)) {
+            socket.send(JSON.stringify({ type: 'lock', incidentId: wanted }));
+          }
+        } else if (message.type === 'changed') {
+          handlersRef.current.onChanged(message);
+        } else if (message.type === 'message') {
+          handlersRef.current.onMessage(message);
+        }
+      };
+
+      socket.onclose = () => {
+        setConnected(false);
+        setClients([]);
+        if (cancelled) return;
+        attempt += 1;
+        timer = setTimeout(connect, getSyncRetryDelay(attempt));
+      };
+    };
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (socketRef.current) socketRef.current.close();
+      socketRef.current = null;
+      setConnected(false);
+      setClients([]);
+    };
+  }, [serverUrl]);
+
+  // Announce ourselves on every connect and whenever the signed-in name changes
+  useEffect(() => {
+    if (connected) send({ type: 'hello', user, token });
+  }, [connected, user, token, send]);
+
+  const lockIncident = useCallback((incidentId) => {
+    wantedLockRef.current = incidentId;
+    send({ type: 'lock', incidentId });
+  }, [send]);
+
+  const unlockIncident = useCallback((incidentId) => {
+    if (wantedLockRef.current === incidentId) wantedLockRef.current = null;
+    send({ type: 'unlock', incidentId });
+  }, [send]);
+
+  const others = clients.filter(client => client.clientId !== clientId);
+
+  return {
+    connected,
+    others,
+    getEditor: (incidentId) => others.find(client => client.editing === incidentId) || null,
+    lockIncident,
+    unlockIncident
+  };
+}
+
+// Other operators connected to the same sync server
+function PresenceList({ users, incidents, isExpanded }) {
+  if (users.length === 0) return null;
+
+  const describe = (client) => {
+    const incident = client.editing && incidents.find(item => item.id === client.editing);
+    return incident ? `${client.user} — editing ${incident.incidentName}` : client.user;
+  };
+
+  return (
+    <div className="presence-list" title={users.map(describe).join('\n')}>
+      {users.slice(0, 5).map(client => (
+        <span key={client.clientId} className={`presence-avatar ${client.editing ? 'editing' : ''}`}>
+          {client.user.split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase()}
+        </span>
+      ))}
+      {isExpanded && (
+        <span className="presence-count">
+          {users.length > 5 && `+${users.length - 5} · `}
+          {users.length} other{users.length === 1 ? '' : 's'} online
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Sidebar indicator for the sync connection and queue
+function SyncStatus({ sync, parkedCount, isLive, isExpanded, onShowConflicts }) {
+  const { status, pendingCount, lastSyncedAt, lastError } = sync;
+  const reviewCount = sync.conflicts.length + parkedCount;
+  const details = [
+    isLive && 'Live',
+    pendingCount > 0 && `${pendingCount} queued`,
+    status === 'synced' && lastSyncedAt && new Date(lastSyncedAt).toLocaleTimeString()
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className={`sync-status sync-${status}`} title={lastError || SYNC_STATUS_LABELS[status]}>
+      <button
+        type="button"
+        className="sync-status-main"
+        onClick={sync.syncNow}
+        disabled={status === 'local' || status === 'syncing'}
+      >
+        <span className="sync-dot" />
+        {isExpanded && (
+          <span className="sync-text">
+            {SYNC_STATUS_LABELS[status]}
+            {details && <span className="sync-details">{details}</span>}
+          </span>
+        )}
+      </button>
+      {reviewCount > 0 && (
+        <button type="button" className="sync-conflicts" onClick={onShowConflicts}>
+          {isExpanded ? `${reviewCount} to review` : reviewCount}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Manual review of fields that were edited here and on the server at the same
+// time, of changes the server refused, which were replaced with its copy, and of
+// parked batches the server would not accept at all
+function SyncConflictDialog({ conflicts, parked, incidents, onResolve, onRetryParked, onDiscardParked, onClose }) {
+  const getIncidentName = (id) => {
+    const incident = incidents.find(item => item.id === id);
+    return incident ? incident.incidentName : `Incident ${id}`;
+  };
+
+  return (
+    <div className="config-dialog-overlay">
+      <div className="config-dialog import-dialog">
+        <h2>Sync Conflicts</h2>
+        <p className="import-summary">
+          These fields were changed on this device and on the server. The most recent edit was kept;
+          choose which value should stay. Changes the server refused were replaced with the server's copy
+          where it has one. Batches the server would not accept at all wait until you send them again or
+          keep their changes on this device only.
+        </p>
+        {parked.length > 0 && (
+          <div className="import-preview">
+            <table className="incident-table">
+              <thead>
+                <tr>
+                  <th>Not Sent</th>
+                  <th>Server Response</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {parked.map(batch => (
+                  <tr key={batch.id}>
+                    <td>
+                      {batch.ops.length} change{batch.ops.length === 1 ? '' : 's'} to {batch.collection}
+                      {' '}from {new Date(batch.parkedAt).toLocaleString()}
+                    </td>
+                    <td>{batch.error}</td>
+                    <td className="trash-actions">
+                      <button type="button" className="submit-button" onClick={() => onRetryParked(batch)}>
+                        Send Again
+                      </button>
+                      <button type="button" className="cancel-button" onClick={() => onDiscardParked(batch)}>
+                        Keep Here Only
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {conflicts.length === 0 ? (
+          parked.length === 0 && <p className="import-summary">Nothing left to review.</p>
+        ) : (
+          <div className="import-preview">
+            <table className="incident-table">
+              <thead>
+                <tr>
+                  <th>Incident</th>
+                  <th>Field</th>
+                  <th>This Device</th>
+                  <th>Server</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {conflicts.map(conflict => (
+                  <tr key={conflict.id}>
+                    <td>{getIncidentName(conflict.incidentId)}</td>
+                    {conflict.reason ? (
+                      <td colSpan="3">
+                        {SYNC_REJECT_REASONS[conflict.reason] || conflict.reason}
+                        {conflict.notOnServer && '. The server does not have this incident, so it is kept on this device until you choose.'}
+                      </td>
+                    ) : (
+                      <>
+                        <td>{conflict.field}</td>
+                        <td className={conflict.winner === 'client' ? 'sync-kept' : ''}>
+                          {formatHistoryValue(conflict.field, conflict.clientValue)}
+                        </td>
+                        <td className={conflict.winner === 'server' ? 'sync-kept' : ''}>
+                          {formatHistoryValue(conflict.field, conflict.serverValue)}
+                        </td>
+                      </>
+                    )}
+                    <td className="trash-actions">
+                      {(conflict.reason !== 'forbidden' || conflict.notOnServer) && (
+                        <button type="button" className="submit-button" onClick={() => onResolve(conflict, 'client')}>
+                          Keep Mine
+                        </button>
+                      )}
+                      <button type="button" className="cancel-button" onClick={() => onResolve(conflict, 'server')}>
+                        Keep Server
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="dialog-buttons">
+          <span />
+          <button type="button" className="cancel-button" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Chat between contributors: one general channel plus a thread per incident
+const GENERAL_THREAD_ID = 'general';
+const CHAT_PULL_INTERVAL = 15 * 1000;
+
+function getIncidentThreadId(incidentId) {
+  return `incident:${incidentId}`;
+}
+
+// The signed-in account posts under its contributor record when it has one
+function getChatSender(contributors, user) {
+  const contributor = findAccountContributor(contributors, user);
+  return contributor
+    ? { id: contributor.id, name: contributor.name }
+    : { id: null, name: user.name };
+}
+
+function isOwnMessage(message, sender) {
+  return sender.id ? message.senderId === sender.id : !message.senderId && message.senderName === sender.name;
+}
+
+// Messages from others newer than the last one read in their thread
+function countUnread(messages, readAt, sender) {
+  return messages.filter(message =>
+    message.timestamp > (readAt[message.threadId] || 0) && !isOwnMessage(message, sender)
+  ).length;
+}
+
+function mergeMessages(existing, incoming) {
+  const byId = new Map(existing.map(message => [message.id, message]));
+  incoming.forEach(message => byId.set(message.id, { ...byId.get(message.id), ...message, pending: false }));
+  return [...byId.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Sends unsent messages to the sync server and fetches new ones
+function useChatSync(messages, setMessages, serverUrl, token) {
+  const messagesRef = useRef(messages);
+  const syncNowRef = useRef(() => {});
+  messagesRef.current = messages;
+
+  useEffect(() => {
+    if (!serverUrl) return undefined;
+
+    const saved = JSON.parse(localStorage.getItem('chatSyncState') || 'null');
+    const isNewServer = !saved || saved.serverUrl !== serverUrl;
+    let since = isNewServer ? 0 : saved.since;
+    // A new server gets every message this browser has
+    let uploadAll = isNewServer;
+    let cancelled = false;
+    let running = false;
+    let rerun = false;
+    let attempt = 0;
+    let timer = null;
+
+    const schedule = (delay) => {
+      clearTimeout(timer);
+      timer = setTimeout(run, delay);
+    };
+
+    const run = async () => {
+      if (cancelled) return;
+      if (running) {
+        rerun = true;
+        return;
+      }
+      if (!navigator.onLine) return;
+
+      running = true;
+      rerun = false;
+      try {
+        const outgoing = messagesRef.current.filter(message => uploadAll || message.pending);
+        try {
+          for (let i = 0; i < outgoing.length; i += SYNC_BATCH_SIZE) {
+            const batch = outgoing.slice(i, i + SYNC_BATCH_SIZE);
+            await syncRequest(serverUrl, '/api/messages', {
+              messages: batch.map(({ pending, ...message }) => message)
+            }, token);
+            if (cancelled) return;
+            const sent = new Set(batch.map(message => message.id));
+            setMessages(prev => prev.map(message => (sent.has(message.id) ? { ...message, pending: false } : message)));
+          }
+        } catch (error) {
+          // Accounts that may not post still get everyone else's messages
+          if (error.status !== 403) throw error;
+        }
+        uploadAll = false;
+
+        const response = await syncRequest(serverUrl, `/api/messages?since=${since}`, null, token);
+        if (cancelled) return;
+        if (response.messages.length > 0) setMessages(prev => mergeMessages(prev, response.messages));
+        since = response.seq;
+        localStorage.setItem('chatSyncState', JSON.stringify({ serverUrl, since }));
+        attempt = 0;
+        schedule(rerun ? 0 : CHAT_PULL_INTERVAL);
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Chat sync error:', error);
+        attempt += 1;
+        schedule(getSyncRetryDelay(attempt));
+      } finally {
+        running = false;
+      }
+    };
+
+    syncNowRef.current = () => {
+      attempt = 0;
+      schedule(0);
+    };
+
+    const handleOnline = () => syncNowRef.current();
+    window.addEventListener('online', handleOnline);
+    schedule(0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      syncNowRef.current = () => {};
+      window.removeEventListener('online', handleOnline);
+    };
+  }, [serverUrl, token, setMessages]);
+
+  return {
+    syncNow: () => syncNowRef.current()
+  };
+}
+
+// Message list and composer for one thread
+function ChatThread({ threadId, title, chat, compact = false }) {
+  const { settings } = useSettings();
+  const { messages, readAt, sender, canPost, onSend, onRead } = chat;
+  const [text, setText] = useState('');
+  const listRef = useRef(null);
+  const threadMessages = messages.filter(message => message.threadId === threadId);
+  const unread = countUnread(threadMessages, readAt, sender);
+  const lastTimestamp = threadMessages.length > 0 ? threadMessages[threadMessages.length - 1].timestamp : 0;
+
+  // Opening a thread marks it read
+  useEffect(() => {
+    if (unread > 0) onRead(threadId, lastTimestamp);
+  }, [threadId, unread, lastTimestamp, onRead]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = listRef.current.scrollHeight;
+  }, [threadMessages.length]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onSend(threadId, text.trim());
+    setText('');
+  };
+
+  return (
+    <div className={`messenger-box ${compact ? 'compact' : ''}`}>
+      <div className="messenger-header">
+        <span>{title}</span>
+        {canPost && <span className="chat-sender">Posting as {sender.name}</span>}
+      </div>
+      <div className="messenger-messages" ref={listRef}>
+        {threadMessages.length === 0 && (
+          <p className="chat-empty">No messages yet. Start the conversation.</p>
+        )}
+        {threadMessages.map(message => (
+          <div key={message.id} className={`message ${isOwnMessage(message, sender) ? 'right' : 'left'}`}>
+            <span className="avatar">{getInitials(message.senderName)}</span>
+            <div className="bubble">
+              <div className="bubble-meta">
+                {message.senderName} · {new Date(message.timestamp).toLocaleString()}
+                {message.pending && settings.syncServerUrl && ' · sending'}
+              </div>
+              {message.text}
+            </div>
+          </div>
+        ))}
+      </div>
+      {canPost ? (
+        <form className="messenger-input" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            placeholder="Type a message..."
+            value={text}
+            maxLength={4000}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <button type="submit" disabled={!text.trim()}>Send</button>
+        </form>
+      ) : (
+        <p className="chat-read-only">Your account can read the chat but not post.</p>
+      )}
+    </div>
+  );
+}
+
+// General channel and incident threads side by side
+function ChatPanel({ chat, incidents, onSelectIncident }) {
+  const [threadId, setThreadId] = useState(GENERAL_THREAD_ID);
+  const { messages, readAt, sender } = chat;
+  const incidentsById = new Map(incidents.map(incident => [incident.id, incident]));
+
+  // Incident threads with messages, most recent activity first
+  const lastMessageByThread = new Map();
+  messages.forEach(message => lastMessageByThread.set(message.threadId, message.timestamp));
+  const incidentThreads = [...lastMessageByThread.entries()]
+    .filter(([id]) => id !== GENERAL_THREAD_ID)
+    .sort((a, b) => b[1] - a[1])
+    .map(([id]) => id);
+
+  const getThreadTitle = (id) => {
+    if (id === GENERAL_THREAD_ID) return 'Contributors Chat';
+    const incident = incidentsById.get(id.slice('incident:'.length));
+    return incident ? incident.incidentName : 'Deleted incident';
+  };
+
+  const unreadIn = (id) => countUnread(messages.filter(message => message.threadId === id), readAt, sender);
+  const activeIncident = incidentsById.get(threadId.slice('incident:'.length));
+
+  return (
+    <div className="chat-panel">
+      <ul className="chat-threads">
+        {[GENERAL_THREAD_ID, ...incidentThreads].map(id => (
+          <li key={id}>
+            <button
+              type="button"
+              className={id === threadId ? 'active' : ''}
+              onClick={() => setThreadId(id)}
+            >
+              <span>{id === GENERAL_THREAD_ID ? '# General' : getThreadTitle(id)}</span>
+              {unreadIn(id) > 0 && <span className="unread-badge">{unreadIn(id)}</span>}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="chat-thread">
+        {threadId !== GENERAL_THREAD_ID && activeIncident && (
+          <button type="button" className="link-button chat-incident-link" onClick={() => onSelectIncident(activeIncident)}>
+            Show {activeIncident.incidentName} on the map
+          </button>
+        )}
+        <ChatThread key={threadId} threadId={threadId} title={getThreadTitle(threadId)} chat={chat} />
+      </div>
+    </div>
+  );
+}
+
+// Contributor records behind the reporter picker and the Manage page
+const CONTRIBUTOR_ROLES = ['field_reporter', 'volunteer', 'coordinator', 'government_officer', 'ngo_staff'];
+
+const EMPTY_CONTRIBUTOR = {
+  name: '',
+  phone: '',
+  organisation: '',
+  role: 'field_reporter',
+  area: '',
+  status: 'active'
+};
+
+function normalizeName(name) {
+  return (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function findContributorByName(contributors, name) {
+  const normalized = normalizeName(name);
+  return normalized ? contributors.find(contributor => normalizeName(contributor.name) === normalized) : undefined;
+}
+
+// Incidents linked to a contributor, plus older free-text reports under the same name
+function getContributorIncidents(contributor, incidents) {
+  return incidents.filter(incident => (incident.reporterId
+    ? incident.reporterId === contributor.id
+    : normalizeName(incident.reporterName) === normalizeName(contributor.name)
+  ));
+}
+
+function getInitials(name) {
+  return name.split(/\s+/).filter(Boolean).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+}
+
+// Problems with a contributor draft, keyed by field name
+function validateContributor(draft, contributors) {
+  const errors = {};
+  const duplicate = findContributorByName(contributors, draft.name);
+
+  if (!draft.name.trim()) errors.name = 'Name is required';
+  else if (duplicate && duplicate.id !== draft.id) errors.name = 'A contributor with this name already exists';
+  if (draft.phone.trim() && !/^\+?[\d\s-]{7,20}$/.test(draft.phone.trim())) {
+    errors.phone = 'Phone number may only contain digits, spaces, dashes and a leading +';
+  }
+
+  return errors;
+}
+
+// Contributor record of a signed-in account: the one linked to it, or one with the same name
+function findAccountContributor(contributors, user) {
+  return contributors.find(contributor => contributor.id === user.contributorId) ||
+    findContributorByName(contributors, user.name);
 }
 
-// Add configuration dialog component
-function ConfigDialog({ incident, onClose, onUpdate, onDelete }) {
-  const [editData, setEditData] = useState({
-    incidentName: incident.incidentName,
-    reporterName: incident.reporterName,
-    radius: incident.radius,
-    severity: incident.severity,
-    description: incident.description,
-    affectedArea: incident.affectedArea,
-    evacuationStatus: incident.evacuationStatus,
-    waterLevel: incident.waterLevel,
-    weatherConditions: incident.weatherConditions,
-    isActive: incident.evacuationStatus === 'in_progress' || incident.evacuationStatus === 'recommended'
+// The signed-in account as the reporter of a new incident
+function getAccountReporter(contributors, user) {
+  const contributor = findAccountContributor(contributors, user);
+  return contributor
+    ? { reporterId: contributor.id, reporterName: contributor.name }
+    : { reporterId: '', reporterName: user.name };
+}
+
+// Reporter picker backed by the contributor records. Falls back to free text
+// until the first contributor is added, and keeps unlinked names from older incidents.
+// Accounts that may only report for themselves get the reporter read-only.
+function ReporterSelect({ contributors, reporterId, reporterName, readOnly = false, onChange }) {
+  if (readOnly) return <input type="text" name="reporterName" value={reporterName} readOnly />;
+
+  const options = contributors.filter(contributor => contributor.status === 'active' || contributor.id === reporterId);
+  const isUnlinked = !reporterId && Boolean(reporterName);
+
+  if (options.length === 0) {
+    return (
+      <>
+        <input
+          type="text"
+          name="reporterName"
+          value={reporterName}
+          onChange={(e) => onChange({ reporterId: '', reporterName: e.target.value })}
+          required
+          placeholder="Your name"
+        />
+        <span className="field-hint">Add contributors in Manage to pick reporters from a list.</span>
+      </>
+    );
+  }
+
+  return (
+    <select
+      name="reporterId"
+      value={reporterId}
+      onChange={(e) => {
+        const contributor = contributors.find(item => item.id === e.target.value);
+        onChange({ reporterId: contributor.id, reporterName: contributor.name });
+      }}
+      required={!isUnlinked}
+    >
+      <option value="" disabled={!isUnlinked}>
+        {isUnlinked ? `${reporterName} (not a contributor)` : 'Select a contributor'}
+      </option>
+      {options.map(contributor => (
+        <option key={contributor.id} value={contributor.id}>
+          {contributor.name}
+          {contributor.organisation && ` — ${contributor.organisation}`}
+          {contributor.status === 'suspended' && ' (suspended)'}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// Add or edit form for one contributor
+function ContributorForm({ contributor, contributors, onSave, onCancel }) {
+  const [draft, setDraft] = useState({ ...EMPTY_CONTRIBUTOR, ...contributor });
+  const errors = validateContributor(draft, contributors);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (Object.keys(errors).length > 0) return;
+    onSave({
+      ...draft,
+      id: draft.id || Date.now().toString(),
+      createdAt: draft.createdAt || Date.now(),
+      name: draft.name.trim().replace(/\s+/g, ' '),
+      phone: draft.phone.trim()
+    });
+  };
+
+  return (
+    <form className="contributor-form" onSubmit={handleSubmit}>
+      <h3>{contributor ? `Edit ${contributor.name}` : 'Add Contributor'}</h3>
+      <div className="form-group">
+        <label>Name *</label>
+        <input type="text" name="name" value={draft.name} onChange={handleChange} required />
+        {errors.name && <span className="field-error">{errors.name}</span>}
+      </div>
+      <div className="form-group">
+        <label>Phone</label>
+        <input type="tel" name="phone" value={draft.phone} onChange={handleChange} placeholder="+94 77 123 4567" />
+        {errors.phone && <span className="field-error">{errors.phone}</span>}
+      </div>
+      <div className="form-group">
+        <label>Organisation</label>
+        <input
+          type="text"
+          name="organisation"
+          value={draft.organisation}
+          onChange={handleChange}
+          placeholder="e.g., DMC, Red Cross, Galle MC"
+        />
+      </div>
+      <div className="form-group">
+        <label>Role</label>
+        <select name="role" value={draft.role} onChange={handleChange}>
+          {CONTRIBUTOR_ROLES.map(role => (
+            <option key={role} value={role}>{formatLabel(role)}</option>
+          ))}
+        </select>
+      </div>
+      <div className="form-group">
+        <label>Area of Responsibility</label>
+        <input
+          type="text"
+          name="area"
+          value={draft.area}
+          onChange={handleChange}
+          placeholder="e.g., Galle Four Gravets, Akmeemana"
+        />
+      </div>
+      <div className="form-group">
+        <label>Status</label>
+        <select name="status" value={draft.status} onChange={handleChange}>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+        </select>
+      </div>
+      <div className="dialog-buttons">
+        <button type="button" className="cancel-button" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="submit-button" disabled={Object.keys(errors).length > 0}>
+          Save Contributor
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Contributor details with every incident they reported
+function ContributorProfile({ contributor, incidents, onEdit, onBack, onSelectIncident }) {
+  const reported = getContributorIncidents(contributor, incidents)
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  return (
+    <div className="contributor-profile">
+      <div className="contributor-profile-header">
+        <span className="contributor-avatar large">{getInitials(contributor.name)}</span>
+        <div>
+          <h3>{contributor.name}</h3>
+          <span className={`contributor-status ${contributor.status}`}>{formatLabel(contributor.status)}</span>
+        </div>
+        <div className="contributor-profile-actions">
+          <button type="button" className="cancel-button" onClick={onBack}>Back</button>
+          {onEdit && <button type="button" className="submit-button" onClick={onEdit}>Edit</button>}
+        </div>
+      </div>
+      <dl className="contributor-details">
+        <dt>Role</dt>
+        <dd>{formatLabel(contributor.role)}</dd>
+        <dt>Organisation</dt>
+        <dd>{contributor.organisation || '—'}</dd>
+        <dt>Area</dt>
+        <dd>{contributor.area || '—'}</dd>
+        <dt>Phone</dt>
+        <dd>{contributor.phone ? <a href={`tel:${contributor.phone.replace(/[\s-]/g, '')}`}>{contributor.phone}</a> : '—'}</dd>
+      </dl>
+      <h4>Reported Incidents ({reported.length})</h4>
+      {reported.length === 0 ? (
+        <p className="contributor-empty">No incidents reported yet.</p>
+      ) : (
+        <table className="contributor-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Severity</th>
+              <th>Evacuation</th>
+              <th>Reported</th>
+            </tr>
+          </thead>
+          <tbody>
+            {reported.map(incident => (
+              <tr key={incident.id} className="clickable" onClick={() => onSelectIncident(incident)}>
+                <td>{incident.incidentName}</td>
+                <td>
+                  <span className="severity-badge" style={{ backgroundColor: getIncidentColor(incident.severity) }}>
+                    {getSeverityLabel(incident.severity).label}
+                  </span>
+                </td>
+                <td>{formatLabel(incident.evacuationStatus)}</td>
+                <td>{new Date(incident.timestamp).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Contributor list with add, edit, suspend and remove for those who may manage contributors
+function ContributorList({ contributors, incidents, canManage, onOpen, onEdit, onAdd, onSave, onRemove }) {
+  return (
+    <div className="contributor-list">
+      <div className="contributor-list-header">
+        <h3>Contributors ({contributors.length})</h3>
+        {canManage && <button type="button" className="submit-button" onClick={onAdd}>+ Add Contributor</button>}
+      </div>
+      {contributors.length === 0 ? (
+        <p className="contributor-empty">No contributors yet. Add the people who report incidents.</p>
+      ) : (
+        <table className="contributor-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Role</th>
+              <th>Organisation</th>
+              <th>Area</th>
+              <th>Phone</th>
+              <th>Incidents</th>
+              <th>Status</th>
+              {canManage && <th />}
+            </tr>
+          </thead>
+          <tbody>
+            {contributors.map(contributor => (
+              <tr key={contributor.id} className={contributor.status === 'suspended' ? 'suspended' : ''}>
+                <td>
+                  <button type="button" className="link-button" onClick={() => onOpen(contributor.id)}>
+                    {contributor.name}
+                  </button>
+                </td>
+                <td>{formatLabel(contributor.role)}</td>
+                <td>{contributor.organisation}</td>
+                <td>{contributor.area}</td>
+                <td>{contributor.phone}</td>
+                <td>{getContributorIncidents(contributor, incidents).length}</td>
+                <td>
+                  <span className={`contributor-status ${contributor.status}`}>{formatLabel(contributor.status)}</span>
+                </td>
+                {canManage && (
+                  <td className="trash-actions">
+                    <button type="button" className="cancel-button" onClick={() => onEdit(contributor.id)}>
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      className="cancel-button"
+                      onClick={() => onSave({
+                        ...contributor,
+                        status: contributor.status === 'active' ? 'suspended' : 'active'
+                      })}
+                    >
+                      {contributor.status === 'active' ? 'Suspend' : 'Activate'}
+                    </button>
+                    <button type="button" className="delete-button" onClick={() => onRemove(contributor.id)}>
+                      Remove
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Evacuation shelters, tracked by coordinators in place of paper registers
+const SHELTER_TYPES = ['school', 'temple', 'church', 'mosque', 'community_hall', 'other'];
+const SHELTER_FACILITIES = ['drinking_water', 'toilets', 'electricity', 'cooking', 'first_aid', 'wheelchair_access'];
+
+const SHELTER_ICONS = {
+  school: '🏫',
+  temple: '🛕',
+  church: '⛪',
+  mosque: '🕌',
+  community_hall: '🏛️',
+  other: '🏠'
+};
+
+// Share of its capacity a shelter fills before it shows as nearly full
+const SHELTER_FILLING_RATIO = 0.75;
+const SHELTER_FILL_COLORS = {
+  open: '#43a047',
+  filling: '#fb8c00',
+  full: '#e53935',
+  closed: '#9e9e9e'
+};
+
+// Shelters listed with each incident
+const NEAREST_SHELTER_COUNT = 3;
+
+function createEmptyShelter(settings) {
+  return {
+    name: '',
+    type: 'school',
+    lat: settings.center.lat,
+    lng: settings.center.lng,
+    capacity: '',
+    occupancy: 0,
+    facilities: [],
+    contactName: '',
+    contactPhone: '',
+    status: 'open'
+  };
+}
+
+function getSpareCapacity(shelter) {
+  return Math.max(0, shelter.capacity - shelter.occupancy);
+}
+
+// open, filling, full or closed, for colours and labels
+function getShelterFillLevel(shelter) {
+  if (shelter.status === 'closed') return 'closed';
+  if (shelter.occupancy >= shelter.capacity) return 'full';
+  return shelter.occupancy >= shelter.capacity * SHELTER_FILLING_RATIO ? 'filling' : 'open';
+}
+
+// Open shelters with room left, nearest to an incident first
+function findNearestShelters(shelters, incident, count = NEAREST_SHELTER_COUNT) {
+  if (!incident.position) return [];
+  const from = L.latLng(incident.position);
+  return shelters
+    .filter(shelter => shelter.status === 'open' && getSpareCapacity(shelter) > 0)
+    .map(shelter => ({ shelter, distance: from.distanceTo(shelter.position) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count);
+}
+
+// Problems with a shelter draft, keyed by field name
+function validateShelter(draft) {
+  const errors = {};
+  const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+  if (!draft.name.trim()) errors.name = 'Name is required';
+  if (!isWholeNumber(draft.capacity) || draft.capacity === 0) errors.capacity = 'Capacity must be a whole number above zero';
+  if (!isWholeNumber(draft.occupancy)) errors.occupancy = 'Occupancy must be a whole number, zero or more';
+  if (![draft.lat, draft.lng].every(value => typeof value === 'number' && Number.isFinite(value))) {
+    errors.position = 'Latitude and longitude must be numbers';
+  }
+  if (draft.contactPhone.trim() && !/^\+?[\d\s-]{7,20}$/.test(draft.contactPhone.trim())) {
+    errors.contactPhone = 'Phone number may only contain digits, spaces, dashes and a leading +';
+  }
+
+  return errors;
+}
+
+// Occupancy against capacity as a bar coloured by fill level
+function ShelterFillBar({ shelter }) {
+  const level = getShelterFillLevel(shelter);
+  return (
+    <div className="shelter-fill" title={`${shelter.occupancy} of ${shelter.capacity} places taken`}>
+      <div className="shelter-fill-track">
+        <div
+          className="shelter-fill-bar"
+          style={{
+            width: `${Math.min(100, (shelter.occupancy / shelter.capacity) * 100)}%`,
+            backgroundColor: SHELTER_FILL_COLORS[level]
+          }}
+        />
+      </div>
+      <span className="shelter-fill-label">
+        {shelter.occupancy} / {shelter.capacity}
+        {shelter.occupancy > shelter.capacity && ' (over capacity)'}
+      </span>
+    </div>
+  );
+}
+
+// Add or edit form for one shelter
+function ShelterForm({ shelter, onSave, onCancel }) {
+  const { settings } = useSettings();
+  const [draft, setDraft] = useState(() => (shelter
+    ? { ...createEmptyShelter(settings), ...shelter, lat: shelter.position[0], lng: shelter.position[1] }
+    : createEmptyShelter(settings)
+  ));
+  const errors = validateShelter(draft);
+  const { bounds } = settings;
+  const isInside = draft.lat >= bounds.south && draft.lat <= bounds.north &&
+    draft.lng >= bounds.west && draft.lng <= bounds.east;
+
+  const handleChange = (e) => {
+    const { name, value, type } = e.target;
+    setDraft(prev => ({ ...prev, [name]: type === 'number' && value !== '' ? parseFloat(value) : value }));
+  };
+
+  const handleFacilityChange = (e) => {
+    const { value, checked } = e.target;
+    setDraft(prev => ({
+      ...prev,
+      facilities: checked ? [...prev.facilities, value] : prev.facilities.filter(facility => facility !== value)
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (Object.keys(errors).length > 0) return;
+    const { lat, lng, ...rest } = draft;
+    onSave({
+      ...rest,
+      id: draft.id || Date.now().toString(),
+      createdAt: draft.createdAt || Date.now(),
+      updatedAt: Date.now(),
+      position: [lat, lng],
+      name: draft.name.trim().replace(/\s+/g, ' '),
+      contactName: draft.contactName.trim(),
+      contactPhone: draft.contactPhone.trim()
+    });
+  };
+
+  return (
+    <form className="contributor-form" onSubmit={handleSubmit}>
+      <h3>{shelter ? `Edit ${shelter.name}` : 'Add Shelter'}</h3>
+      <div className="form-group">
+        <label>Name *</label>
+        <input
+          type="text"
+          name="name"
+          value={draft.name}
+          onChange={handleChange}
+          required
+          placeholder="e.g., Sangamitta Balika Vidyalaya"
+        />
+        {errors.name && <span className="field-error">{errors.name}</span>}
+      </div>
+      <div className="settings-grid">
+        <div className="form-group">
+          <label>Type</label>
+          <select name="type" value={draft.type} onChange={handleChange}>
+            {SHELTER_TYPES.map(type => (
+              <option key={type} value={type}>{SHELTER_ICONS[type]} {formatLabel(type)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Status</label>
+          <select name="status" value={draft.status} onChange={handleChange}>
+            <option value="open">Open</option>
+            <option value="closed">Closed</option>
+          </select>
+        </div>
+      </div>
+      <div className="settings-grid">
+        <div className="form-group">
+          <label>Latitude *</label>
+          <input type="number" step="0.0001" name="lat" value={draft.lat} onChange={handleChange} required />
+        </div>
+        <div className="form-group">
+          <label>Longitude *</label>
+          <input type="number" step="0.0001" name="lng" value={draft.lng} onChange={handleChange} required />
+        </div>
+      </div>
+      {errors.position && <span className="field-error">{errors.position}</span>}
+      {!errors.position && !isInside && (
+        <span className="field-error">This location is outside {settings.regionName}</span>
+      )}
+      <div className="settings-grid">
+        <div className="form-group">
+          <label>Capacity *</label>
+          <input type="number" min="1" step="1" name="capacity" value={draft.capacity} onChange={handleChange} required />
+          {errors.capacity && <span className="field-error">{errors.capacity}</span>}
+        </div>
+        <div className="form-group">
+          <label>Current Occupancy</label>
+          <input type="number" min="0" step="1" name="occupancy" value={draft.occupancy} onChange={handleChange} />
+          {errors.occupancy && <span className="field-error">{errors.occupancy}</span>}
+        </div>
+      </div>
+      <div className="form-group">
+        <label>Facilities</label>
+        <div className="shelter-facility-options">
+          {SHELTER_FACILITIES.map(facility => (
+            <label key={facility} className="settings-checkbox">
+              <input
+                type="checkbox"
+                value={facility}
+                checked={draft.facilities.includes(facility)}
+                onChange={handleFacilityChange}
+              />
+              {formatLabel(facility)}
+            </label>
+          ))}
+        </div>
+      </div>
+      <div className="settings-grid">
+        <div className="form-group">
+          <label>Contact Person</label>
+          <input type="text" name="contactName" value={draft.contactName} onChange={handleChange} />
+        </div>
+        <div className="form-group">
+          <label>Contact Phone</label>
+          <input
+            type="tel"
+            name="contactPhone"
+            value={draft.contactPhone}
+            onChange={handleChange}
+            placeholder="+94 77 123 4567"
+          />
+          {errors.contactPhone && <span className="field-error">{errors.contactPhone}</span>}
+        </div>
+      </div>
+      <div className="dialog-buttons">
+        <button type="button" className="cancel-button" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="submit-button" disabled={Object.keys(errors).length > 0}>
+          Save Shelter
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Shelter register. Those who may manage shelters update occupancy in place
+// as people arrive and leave, and add, edit or remove shelters.
+function ShelterList({ shelters, canManage, onEdit, onAdd, onSave, onRemove }) {
+  const openShelters = shelters.filter(shelter => shelter.status === 'open');
+  const totals = {
+    capacity: openShelters.reduce((sum, shelter) => sum + shelter.capacity, 0),
+    occupancy: openShelters.reduce((sum, shelter) => sum + shelter.occupancy, 0)
+  };
+
+  const handleOccupancyChange = (shelter, value) => {
+    const occupancy = parseInt(value, 10);
+    if (!Number.isInteger(occupancy) || occupancy < 0) return;
+    onSave({ ...shelter, occupancy, updatedAt: Date.now() });
+  };
+
+  return (
+    <div className="contributor-list">
+      <div className="contributor-list-header">
+        <h3>Shelters ({shelters.length})</h3>
+        {canManage && <button type="button" className="submit-button" onClick={onAdd}>+ Add Shelter</button>}
+      </div>
+      {shelters.length === 0 ? (
+        <p className="contributor-empty">No shelters yet. Add the schools, temples and halls people can go to.</p>
+      ) : (
+        <>
+          <p className="shelter-totals">
+            {totals.occupancy} of {totals.capacity} places taken in {openShelters.length} open shelters,
+            {' '}{Math.max(0, totals.capacity - totals.occupancy)} free.
+          </p>
+          <table className="contributor-table shelter-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Type</th>
+                <th>Occupancy</th>
+                <th>Facilities</th>
+                <th>Contact</th>
+                <th>Updated</th>
+                {canManage && <th />}
+              </tr>
+            </thead>
+            <tbody>
+              {shelters.map(shelter => (
+                <tr key={shelter.id} className={shelter.status === 'closed' ? 'suspended' : ''}>
+                  <td>
+                    {shelter.name}
+                    {shelter.status === 'closed' && <span className="contributor-status suspended">Closed</span>}
+                  </td>
+                  <td>{SHELTER_ICONS[shelter.type]} {formatLabel(shelter.type)}</td>
+                  <td>
+                    {canManage && (
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        className="shelter-occupancy-input"
+                        value={shelter.occupancy}
+                        onChange={(e) => handleOccupancyChange(shelter, e.target.value)}
+                        aria-label={`Occupancy of ${shelter.name}`}
+                      />
+                    )}
+                    <ShelterFillBar shelter={shelter} />
+                  </td>
+                  <td>{shelter.facilities.map(formatLabel).join(', ')}</td>
+                  <td>
+                    {shelter.contactName}
+                    {shelter.contactPhone && (
+                      <div>
+                        <a href={`tel:${shelter.contactPhone.replace(/[\s-]/g, '')}`}>{shelter.contactPhone}</a>
+                      </div>
+                    )}
+                  </td>
+                  <td>{new Date(shelter.updatedAt).toLocaleString()}</td>
+                  {canManage && (
+                    <td className="trash-actions">
+                      <button type="button" className="cancel-button" onClick={() => onEdit(shelter.id)}>
+                        Edit
+                      </button>
+                      <button type="button" className="delete-button" onClick={() => onRemove(shelter.id)}>
+                        Remove
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Open shelters with room nearest to an incident, for sending people on
+function NearestShelters({ incident, shelters }) {
+  const { settings } = useSettings();
+  const nearest = findNearestShelters(shelters, incident);
+
+  return (
+    <div className="nearest-shelters">
+      <label>Nearest Shelters With Space</label>
+      {nearest.length === 0 ? (
+        <span className="field-hint">
+          {shelters.length === 0 ? 'No shelters recorded yet. Add them in Manage.' : 'No open shelter has space left.'}
+        </span>
+      ) : (
+        <ul>
+          {nearest.map(({ shelter, distance }) => (
+            <li key={shelter.id}>
+              <span className="nearest-shelter-name">{SHELTER_ICONS[shelter.type]} {shelter.name}</span>
+              <span className="nearest-shelter-meta">
+                {formatLength(distance, settings.units)} away, {getSpareCapacity(shelter)} places free
+                {shelter.contactPhone && (
+                  <>, <a href={`tel:${shelter.contactPhone.replace(/[\s-]/g, '')}`}>{shelter.contactPhone}</a></>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_USER = {
+  username: '',
+  name: '',
+  role: 'reporter',
+  contributorId: ''
+};
+
+// Add or edit form for one account
+function UserForm({ account, users, contributors, onSave, onCancel }) {
+  const [draft, setDraft] = useState({ ...EMPTY_USER, ...account, contributorId: (account && account.contributorId) || '' });
+  const [password, setPassword] = useState('');
+  const [saveError, setSaveError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const errors = validateUser(draft, password, users);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (Object.keys(errors).length > 0) return;
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      await onSave({ ...draft, contributorId: draft.contributorId || null }, password);
+    } catch (error) {
+      setSaveError(error.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form className="contributor-form" onSubmit={handleSubmit}>
+      <h3>{account ? `Edit ${account.name}` : 'Add Account'}</h3>
+      <div className="form-group">
+        <label>Name *</label>
+        <input type="text" name="name" value={draft.name} onChange={handleChange} required />
+        {errors.name && <span className="field-error">{errors.name}</span>}
+      </div>
+      <div className="form-group">
+        <label>Username *</label>
+        <input
+          type="text"
+          name="username"
+          value={draft.username}
+          onChange={handleChange}
+          autoComplete="off"
+          autoCapitalize="none"
+          required
+        />
+        {errors.username && <span className="field-error">{errors.username}</span>}
+      </div>
+      <div className="form-group">
+        <label>Role</label>
+        <select name="role" value={draft.role} onChange={handleChange}>
+          {USER_ROLES.map(role => (
+            <option key={role} value={role}>{formatLabel(role)}</option>
+          ))}
+        </select>
+        <span className="field-hint">{ROLE_DESCRIPTIONS[draft.role]}</span>
+        {errors.role && <span className="field-error">{errors.role}</span>}
+      </div>
+      <div className="form-group">
+        <label>Contributor Record</label>
+        <select name="contributorId" value={draft.contributorId} onChange={handleChange}>
+          <option value="">None</option>
+          {contributors.map(contributor => (
+            <option key={contributor.id} value={contributor.id}>{contributor.name}</option>
+          ))}
+        </select>
+        <span className="field-hint">Incidents and chat messages from this account are linked to it.</span>
+      </div>
+      <div className="form-group">
+        <label>{account ? 'New Password' : 'Password *'}</label>
+        <input
+          type="password"
+          name="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="new-password"
+          required={!account}
+        />
+        {account && <span className="field-hint">Leave empty to keep the current password.</span>}
+        {errors.password && <span className="field-error">{errors.password}</span>}
+      </div>
+      {saveError && <span className="field-error">{saveError}</span>}
+      <div className="dialog-buttons">
+        <button type="button" className="cancel-button" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="submit-button" disabled={isSaving || Object.keys(errors).length > 0}>
+          Save Account
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Accounts on whichever sign-in backend is in use, for admins
+function UserAccounts({ contributors }) {
+  const { settings } = useSettings();
+  const { user, session, backend, updateSessionUser } = useAuth();
+  const [users, setUsers] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadUsers = useCallback(() => {
+    backend.listUsers(session)
+      .then(setUsers)
+      .catch(loadError => setError(loadError.message));
+  }, [backend, session]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const handleSave = async (account, password) => {
+    const saved = await backend.saveUser(session, account, password);
+    if (saved.id === user.id) updateSessionUser(saved);
+    setEditingId(null);
+    setError(null);
+    loadUsers();
+  };
+
+  const handleRemove = async (account) => {
+    if (!window.confirm(`Remove the account of ${account.name}? They will no longer be able to sign in.`)) return;
+    try {
+      await backend.removeUser(session, account.id);
+      setError(null);
+      loadUsers();
+    } catch (removeError) {
+      setError(removeError.message);
+    }
+  };
+
+  if (editingId && users) {
+    return (
+      <UserForm
+        key={editingId}
+        account={users.find(item => item.id === editingId)}
+        users={users}
+        contributors={contributors}
+        onSave={handleSave}
+        onCancel={() => setEditingId(null)}
+      />
+    );
+  }
+
+  return (
+    <div className="contributor-list">
+      <div className="contributor-list-header">
+        <h3>User Accounts{users && ` (${users.length})`}</h3>
+        <button type="button" className="submit-button" onClick={() => setEditingId('new')} disabled={!users}>
+          + Add Account
+        </button>
+      </div>
+      <p className="field-hint">
+        {settings.syncServerUrl
+          ? `Accounts on the sync server at ${settings.syncServerUrl}.`
+          : 'Accounts kept in this browser. Connect a sync server to share accounts between devices.'}
+      </p>
+      {error && <span className="field-error">{error}</span>}
+      {users && (
+        <table className="contributor-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Username</th>
+              <th>Role</th>
+              <th>Contributor</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(account => (
+              <tr key={account.id}>
+                <td>{account.name}</td>
+                <td>{account.username}</td>
+                <td>{formatLabel(account.role)}</td>
+                <td>{(contributors.find(contributor => contributor.id === account.contributorId) || {}).name || '—'}</td>
+                <td className="trash-actions">
+                  <button type="button" className="cancel-button" onClick={() => setEditingId(account.id)}>
+                    Edit
+                  </button>
+                  {account.id !== user.id && (
+                    <button type="button" className="delete-button" onClick={() => handleRemove(account)}>
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// Offline map tiles. Tiles are fetched into a Cache Storage bucket which the
+// service worker in src/service-worker.js answers map requests from first.
+const TILE_CACHE = 'map-tiles';
+const TILE_SUBDOMAINS = 'abc'; // Leaflet's default {s} values
+const MAX_OFFLINE_TILES = 20000;
+const OFFLINE_DOWNLOAD_CONCURRENCY = 4;
+const AVERAGE_TILE_BYTES = 15 * 1024; // For estimates before anything is downloaded
+// Keep in step with TILE_PATH_PATTERN in src/service-worker.js
+const TILE_PATH_PATTERN = /\/(\d+)\/(\d+)\/(\d+)(@2x)?\.(png|jpe?g|webp)$/i;
+
+// Tile column and row ranges covering a region at one zoom level
+function getTileRange(bounds, zoom) {
+  const toTile = (lat, lng) => L.CRS.EPSG3857.latLngToPoint(L.latLng(lat, lng), zoom).divideBy(256).floor();
+  const northWest = toTile(bounds.north, bounds.west);
+  const southEast = toTile(bounds.south, bounds.east);
+  return { minX: northWest.x, maxX: southEast.x, minY: northWest.y, maxY: southEast.y };
+}
+
+function countRegionTiles(bounds, minZoom, maxZoom) {
+  let count = 0;
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const range = getTileRange(bounds, zoom);
+    count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+  }
+  return count;
+}
+
+function listRegionTiles(bounds, minZoom, maxZoom) {
+  const tiles = [];
+  for (let zoom = minZoom; zoom <= maxZoom; zoom++) {
+    const range = getTileRange(bounds, zoom);
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) tiles.push({ z: zoom, x, y });
+    }
+  }
+  return tiles;
+}
+
+// The URL Leaflet will request for a tile, subdomain included, so cached tiles match
+function getTileUrl(template, { z, x, y }) {
+  const s = TILE_SUBDOMAINS[Math.abs(x + y) % TILE_SUBDOMAINS.length];
+  return L.Util.template(template, { s, z, x, y, r: '' });
+}
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes)) return 'unknown';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+// Stored tiles per zoom level plus the browser's storage estimate
+async function readOfflineTileStats() {
+  const cache = await caches.open(TILE_CACHE);
+  const requests = await cache.keys();
+  const byZoom = {};
+  requests.forEach(request => {
+    const match = TILE_PATH_PATTERN.exec(new URL(request.url).pathname);
+    const zoom = match ? Number(match[1]) : null;
+    byZoom[zoom] = (byZoom[zoom] || 0) + 1;
   });
+  const estimate = navigator.storage && navigator.storage.estimate
+    ? await navigator.storage.estimate()
+    : {};
+  return { total: requests.length, byZoom, usage: estimate.usage, quota: estimate.quota };
+}
+
+// Download the region's tiles for use without a connection and manage what is stored
+function OfflineMaps() {
+  const { settings } = useSettings();
+  const isSupported = typeof caches !== 'undefined';
+  const [fromZoom, setFromZoom] = useState(settings.minZoom);
+  const [toZoom, setToZoom] = useState(Math.min(settings.maxZoom, settings.minZoom + 4));
+  const [stats, setStats] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const cancelRef = useRef(false);
+  const tileCount = countRegionTiles(settings.bounds, fromZoom, toZoom);
+  const isDownloading = Boolean(progress) && !progress.finished;
+  const usesOsmTiles = /tile\.openstreetmap\.org/i.test(settings.tileUrl);
+
+  const refreshStats = useCallback(() => {
+    if (!isSupported) return;
+    readOfflineTileStats()
+      .then(setStats)
+      .catch(statsError => setError(statsError.message));
+  }, [isSupported]);
+
+  useEffect(() => {
+    refreshStats();
+  }, [refreshStats]);
+
+  // Stop writing tiles when leaving the page mid-download
+  useEffect(() => () => {
+    cancelRef.current = true;
+  }, []);
+
+  // Tile errors are counted as they happen; anything else, such as the cache
+  // being unavailable, ends the download with a message
+  const handleDownload = async () => {
+    cancelRef.current = false;
+    setError(null);
+    try {
+      const tiles = listRegionTiles(settings.bounds, fromZoom, toZoom);
+      const cache = await caches.open(TILE_CACHE);
+      // Ask the browser not to clear the tiles when storage runs low
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(persistError => console.error('Storage persist error:', persistError));
+      }
+
+      let next = 0;
+      let done = 0;
+      let failed = 0;
+      setProgress({ done, failed, total: tiles.length, finished: false });
 
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setEditData(prev => ({
-      ...prev,
-      [name]: value,
-      // Update evacuationStatus when isActive changes
-      ...(name === 'isActive' && {
-        evacuationStatus: value === 'true' ? 'in_progress' : 'not_required'
-      })
-    }));
+      const worker = async () => {
+        while (next < tiles.length && !cancelRef.current) {
+          const url = getTileUrl(settings.tileUrl, tiles[next]);
+          next += 1;
+          try {
+            if (!(await cache.match(url))) {
+              const response = await fetch(url, { mode: 'cors' });
+              if (!response.ok) throw new Error(`Tile server answered ${response.status}`);
+              await cache.put(url, response);
+            }
+          } catch (tileError) {
+            failed += 1;
+          }
+          done += 1;
+          setProgress({ done, failed, total: tiles.length, finished: false });
+        }
+      };
+
+      await Promise.all(Array.from({ length: OFFLINE_DOWNLOAD_CONCURRENCY }, worker));
+      setProgress({ done, failed, total: tiles.length, finished: true, cancelled: cancelRef.current });
+      if (failed > 0) {
+        setError(`${failed} tiles could not be downloaded. The tile server may be unreachable or not allow cross-origin requests.`);
+      }
+    } catch (downloadError) {
+      setProgress(null);
+      setError(`Could not download tiles: ${downloadError.message}`);
+    }
+    refreshStats();
   };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    onUpdate(incident.id, {
-      ...editData,
-      // Ensure evacuationStatus matches isActive state
-      evacuationStatus: editData.isActive === 'true' ? 'in_progress' : 'not_required'
-    });
-    onClose();
+  const handleRemove = async (zoom) => {
+    const label = zoom === undefined ? 'all offline map tiles' : `the offline tiles for zoom ${zoom}`;
+    if (!window.confirm(`Remove ${label}?`)) return;
+    setError(null);
+    try {
+      if (zoom === undefined) {
+        await caches.delete(TILE_CACHE);
+      } else {
+        const cache = await caches.open(TILE_CACHE);
+        const requests = await cache.keys();
+        await Promise.all(requests
+          .filter(request => {
+            const match = TILE_PATH_PATTERN.exec(new URL(request.url).pathname);
+            return match && Number(match[1]) === zoom;
+          })
+          .map(request => cache.delete(request)));
+      }
+    } catch (removeError) {
+      setError(`Could not remove tiles: ${removeError.message}`);
+    }
+    refreshStats();
   };
 
+  if (!isSupported) {
+    return (
+      <div className="contributor-list">
+        <h3>Offline Maps</h3>
+        <p className="field-hint">
+          Offline maps need the app to be served over HTTPS or from localhost.
+        </p>
+      </div>
+    );
+  }
+
+  const zoomOptions = [];
+  for (let zoom = settings.minZoom; zoom <= settings.maxZoom; zoom++) zoomOptions.push(zoom);
+
   return (
-    <div className="config-dialog-overlay">
-      <div className="config-dialog">
-        <h2>Configure Incident</h2>
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label>Status *</label>
-            <select
-              name="isActive"
-              value={editData.isActive}
-              onChange={handleChange}
-              required
-              className="status-select"
-            >
-              <option value="true">ACTIVE</option>
-              <option value="false">INACTIVE</option>
-            </select>
-          </div>
+    <div className="contributor-list offline-maps">
+      <div className="contributor-list-header">
+        <h3>Offline Maps</h3>
+      </div>
+      <p className="field-hint">
+        Download map tiles for {settings.regionName} so the map keeps working without a data signal.
+        Tiles come from {settings.tileUrl}.
+      </p>
+      {usesOsmTiles && (
+        <p className="offline-warning">
+          OpenStreetMap's tile usage policy does not allow bulk downloads. Point the tile URL in Settings
+          at your own tile server before downloading more than a few zoom levels.
+        </p>
+      )}
 
-          <div className="form-group">
-            <label>Incident Name *</label>
-            <input
-              type="text"
-              name="incidentName"
-              value={editData.incidentName}
-              onChange={handleChange}
-              required
-            />
-          </div>
+      <div className="settings-grid">
+        <div className="form-group">
+          <label>From Zoom</label>
+          <select
+            value={fromZoom}
+            disabled={isDownloading}
+            onChange={(e) => {
+              const zoom = Number(e.target.value);
+              setFromZoom(zoom);
+              if (zoom > toZoom) setToZoom(zoom);
+            }}
+          >
+            {zoomOptions.map(zoom => <option key={zoom} value={zoom}>{zoom}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>To Zoom</label>
+          <select
+            value={toZoom}
+            disabled={isDownloading}
+            onChange={(e) => {
+              const zoom = Number(e.target.value);
+              setToZoom(zoom);
+              if (zoom < fromZoom) setFromZoom(zoom);
+            }}
+          >
+            {zoomOptions.map(zoom => <option key={zoom} value={zoom}>{zoom}</option>)}
+          </select>
+        </div>
+      </div>
+      <p className="offline-estimate">
+        {tileCount.toLocaleString()} tiles, about {formatBytes(tileCount * AVERAGE_TILE_BYTES)}
+        {tileCount > MAX_OFFLINE_TILES && ` — more than the ${MAX_OFFLINE_TILES.toLocaleString()} tile limit, choose fewer zoom levels`}
+      </p>
 
-          <div className="form-group">
-            <label>Reporter Name *</label>
-            <input
-              type="text"
-              name="reporterName"
-              value={editData.reporterName}
-              onChange={handleChange}
-              required
-            />
-          </div>
+      <div className="dialog-buttons">
+        {isDownloading ? (
+          <button type="button" className="cancel-button" onClick={() => { cancelRef.current = true; }}>
+            Cancel Download
+          </button>
+        ) : (
+          <button
+            type="button"
+            className="submit-button"
+            onClick={handleDownload}
+            disabled={tileCount > MAX_OFFLINE_TILES}
+          >
+            Download Area for Offline Use
+          </button>
+        )}
+      </div>
 
-          <div className="form-group">
-            <label>Circle Radius (meters) *</label>
-            <input
-              type="number"
-              name="radius"
-              value={editData.radius}
-              onChange={handleChange}
-              min="10"
-              max="1000"
-              required
-            />
-          </div>
+      {progress && (
+        <div className="offline-progress">
+          <progress value={progress.done} max={progress.total} />
+          <span>
+            {progress.done.toLocaleString()} / {progress.total.toLocaleString()} tiles
+            {progress.finished && (progress.cancelled ? ' — cancelled' : ' — done')}
+          </span>
+        </div>
+      )}
+      {error && <span className="field-error">{error}</span>}
 
-          <div className="form-group">
-            <label>Severity Level *</label>
-            <select
-              name="severity"
-              value={editData.severity}
-              onChange={handleChange}
-              required
+      <h4>Stored on this device</h4>
+      {stats && (
+        <>
+          <p className="field-hint">
+            {stats.total.toLocaleString()} tiles stored.
+            {Number.isFinite(stats.usage) && ` This site uses ${formatBytes(stats.usage)} of ${formatBytes(stats.quota)} available.`}
+          </p>
+          {stats.total > 0 && (
+            <table className="contributor-table">
+              <thead>
+                <tr>
+                  <th>Zoom</th>
+                  <th>Tiles</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(stats.byZoom)
+                  .sort(([a], [b]) => Number(a) - Number(b))
+                  .map(([zoom, count]) => (
+                    <tr key={zoom}>
+                      <td>{zoom === 'null' ? 'Other' : zoom}</td>
+                      <td>{count.toLocaleString()}</td>
+                      <td className="trash-actions">
+                        {zoom !== 'null' && (
+                          <button type="button" className="delete-button" onClick={() => handleRemove(Number(zoom))}>
+                            Remove
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          )}
+          <div className="dialog-buttons">
+            <span />
+            <button
+              type="button"
+              className="delete-button"
+              onClick={() => handleRemove()}
+              disabled={stats.total === 0 || isDownloading}
             >
-              <option value="minor">Minor</option>
-              <option value="moderate">Moderate</option>
-              <option value="severe">Severe</option>
-              <option value="critical">Critical</option>
-            </select>
+              Remove All Offline Tiles
+            </button>
           </div>
+        </>
+      )}
+    </div>
+  );
+}
 
-          <div className="form-group">
-            <label>Evacuation Status *</label>
-            <select
-              name="evacuationStatus"
-              value={editData.evacuationStatus}
-              onChange={handleChange}
-              required
-            >
-              <option value="not_required">Not Required</option>
-              <option value="recommended">Recommended</option>
-              <option value="in_progress">In Progress</option>
-              <option value="completed">Completed</option>
-            </select>
-          </div>
+// Reports wait in a queue until a coordinator verifies, rejects or merges them
+const MODERATION_STATES = ['submitted', 'verified', 'published', 'rejected'];
+const DUPLICATE_DISTANCE = 1000; // Meters
+const DUPLICATE_WINDOW = DAY_MS;
+// The merge list offers only the closest incidents, however far away they are
+const MERGE_OPTION_LIMIT = 20;
 
-          <div className="form-group">
-            <label>Water Level</label>
-            <select
-              name="waterLevel"
-              value={editData.waterLevel}
-              onChange={handleChange}
-            >
-              <option value="">Select Water Level</option>
-              <option value="ankle">Ankle Deep (less than 0.5m)</option>
-              <option value="knee">Knee Deep (0.5m - 1m)</option>
-              <option value="waist">Waist Deep (1m - 1.5m)</option>
-              <option value="above_waist">Above Waist (more than 1.5m)</option>
-            </select>
-          </div>
+const MODERATION_TABS = [
+  { status: 'submitted', label: 'Pending' },
+  { status: 'verified', label: 'Verified' },
+  { status: 'rejected', label: 'Rejected' }
+];
 
-          <div className="form-group">
-            <label>Weather Conditions</label>
-            <select
-              name="weatherConditions"
-              value={editData.weatherConditions}
-              onChange={handleChange}
-            >
-              <option value="">Select Weather</option>
-              <option value="heavy_rain">Heavy Rain</option>
-              <option value="moderate_rain">Moderate Rain</option>
-              <option value="light_rain">Light Rain</option>
-              <option value="cloudy">Cloudy</option>
-              <option value="clear">Clear</option>
-            </select>
-          </div>
+// Other incidents near the report in place and time, closest first
+function findPossibleDuplicates(report, incidents) {
+  return incidents
+    .filter(incident =>
+      incident.id !== report.id &&
+      getModerationStatus(incident) !== 'rejected' &&
+      Math.abs(incident.timestamp - report.timestamp) <= DUPLICATE_WINDOW
+    )
+    .map(incident => ({ incident, distance: L.latLng(report.position).distanceTo(incident.position) }))
+    .filter(({ distance }) => distance <= DUPLICATE_DISTANCE)
+    .sort((a, b) => a.distance - b.distance);
+}
 
-          <div className="form-group">
-            <label>Affected Area</label>
-            <input
-              type="text"
-              name="affectedArea"
-              value={editData.affectedArea}
-              onChange={handleChange}
-              placeholder="e.g., Residential Area, School Zone"
-            />
-          </div>
+// One report in the queue with its review actions
+function ModerationItem({ report, incidents, onModerate, onMerge, onSelectIncident }) {
+  const { settings } = useSettings();
+  const [rejecting, setRejecting] = useState(false);
+  const [reason, setReason] = useState('');
+  const [mergeTarget, setMergeTarget] = useState('');
+  const status = getModerationStatus(report);
+  const duplicates = React.useMemo(() => findPossibleDuplicates(report, incidents), [report, incidents]);
+  const mergeOptions = React.useMemo(() => incidents
+    .filter(incident => incident.id !== report.id && getModerationStatus(incident) !== 'rejected')
+    .map(incident => ({ incident, distance: L.latLng(report.position).distanceTo(incident.position) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MERGE_OPTION_LIMIT), [report, incidents]);
 
-          <div className="form-group">
-            <label>Description</label>
-            <textarea
-              name="description"
-              value={editData.description}
-              onChange={handleChange}
-              placeholder="Additional details about the incident..."
-              rows="3"
-            />
-          </div>
+  const handleReject = (e) => {
+    e.preventDefault();
+    if (!reason.trim()) return;
+    onModerate(report.id, 'rejected', { rejectionReason: reason.trim() });
+  };
 
-          <div className="dialog-buttons">
-            <button 
-              type="button" 
-              onClick={() => onDelete(incident.id)}
-              className="delete-button"
-            >
-              Delete Incident
+  return (
+    <li className={`moderation-item ${status}`}>
+      <div className="moderation-item-header">
+        <button type="button" className="link-button" onClick={() => onSelectIncident(report)}>
+          {report.incidentName}
+        </button>
+        <span
+          className="severity-badge"
+          style={{ backgroundColor: getIncidentColor(report.severity) }}
+        >
+          {getSeverityLabel(report.severity).label}
+        </span>
+        <span className="moderation-meta">
+          {formatLabel(report.type || 'circle')} · {report.reporterName || 'Unknown reporter'} ·{' '}
+          {new Date(report.timestamp).toLocaleString()}
+        </span>
+      </div>
+      {report.description && <p className="moderation-description">{report.description}</p>}
+      {status === 'rejected' && (
+        <p className="moderation-reason">
+          Rejected by {report.moderatedBy}: {report.rejectionReason}
+        </p>
+      )}
+
+      {status !== 'rejected' && duplicates.length > 0 && (
+        <div className="moderation-duplicates">
+          <strong>Possible duplicates</strong>
+          <ul>
+            {duplicates.map(({ incident, distance }) => (
+              <li key={incident.id}>
+                {incident.incidentName} — {formatLength(distance, settings.units)} away,{' '}
+                {new Date(incident.timestamp).toLocaleString()}
+                <button type="button" className="cancel-button" onClick={() => onMerge(report.id, incident.id)}>
+                  Merge into this
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {rejecting ? (
+        <form className="moderation-actions" onSubmit={handleReject}>
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason for rejecting, e.g. duplicate, no flooding on site"
+            required
+            autoFocus
+          />
+          <button type="button" className="cancel-button" onClick={() => setRejecting(false)}>Cancel</button>
+          <button type="submit" className="delete-button" disabled={!reason.trim()}>Reject</button>
+        </form>
+      ) : (
+        <div className="moderation-actions">
+          {status === 'submitted' && (
+            <button type="button" className="submit-button" onClick={() => onModerate(report.id, 'verified')}>
+              Verify
             </button>
-            <div>
-              <button type="button" onClick={onClose} className="cancel-button">
-                Cancel
+          )}
+          {(status === 'submitted' || status === 'verified') && (
+            <button type="button" className="submit-button" onClick={() => onModerate(report.id, 'published')}>
+              {status === 'submitted' ? 'Verify & Publish' : 'Publish'}
+            </button>
+          )}
+          {status === 'rejected' ? (
+            <button type="button" className="cancel-button" onClick={() => onModerate(report.id, 'submitted')}>
+              Reopen
+            </button>
+          ) : (
+            <>
+              <button type="button" className="delete-button" onClick={() => setRejecting(true)}>
+                Reject
               </button>
-              <button type="submit" className="submit-button">
-                Save Changes
+              <select value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)}>
+                <option value="">Merge into…</option>
+                {mergeOptions.map(({ incident, distance }) => (
+                  <option key={incident.id} value={incident.id}>
+                    {incident.incidentName} ({formatLength(distance, settings.units)})
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                className="cancel-button"
+                disabled={!mergeTarget}
+                onClick={() => onMerge(report.id, mergeTarget)}
+              >
+                Merge
               </button>
-            </div>
-          </div>
-        </form>
+            </>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
+
+// Coordinator queue of submitted, verified and rejected reports
+function ModerationQueue({ incidents, onModerate, onMerge, onSelectIncident }) {
+  const [tab, setTab] = useState('submitted');
+  const reports = incidents
+    .filter(incident => getModerationStatus(incident) === tab)
+    .sort((a, b) => b.timestamp - a.timestamp);
+
+  return (
+    <div className="moderation-queue">
+      <div className="contributor-list-header">
+        <h3>Moderation</h3>
       </div>
+      <div className="dialog-tabs">
+        {MODERATION_TABS.map(({ status, label }) => (
+          <button
+            key={status}
+            type="button"
+            className={tab === status ? 'active' : ''}
+            onClick={() => setTab(status)}
+          >
+            {label} ({incidents.filter(incident => getModerationStatus(incident) === status).length})
+          </button>
+        ))}
+      </div>
+      {reports.length === 0 ? (
+        <p className="contributor-empty">Nothing here.</p>
+      ) : (
+        <ul className="moderation-list">
+          {reports.map(report => (
+            <ModerationItem
+              key={report.id}
+              report={report}
+              incidents={incidents}
+              onModerate={onModerate}
+              onMerge={onMerge}
+              onSelectIncident={onSelectIncident}
+            />
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
 
-// Add PulseCircle component
-function PulseCircle({ center, radius }) {
+// Report form for contributors away from the map; reports go to the moderation queue
+function SubmitReportForm({ contributors, onSubmit }) {
+  const { settings } = useSettings();
+  const { user } = useAuth();
+  const emptyReport = () => ({
+    incidentName: '',
+    ...getAccountReporter(contributors, user),
+    dateTime: new Date().toISOString().slice(0, 16),
+    lat: settings.center.lat,
+    lng: settings.center.lng,
+    severity: settings.defaultSeverity,
+    waterLevel: '',
+    description: ''
+  });
+  const [report, setReport] = useState(emptyReport);
+  const [submitted, setSubmitted] = useState(false);
+  const [isLocating, setIsLocating] = useState(false);
+  const { bounds } = settings;
+  const isInside = report.lat >= bounds.south && report.lat <= bounds.north &&
+    report.lng >= bounds.west && report.lng <= bounds.east;
+
+  const handleChange = (e) => {
+    const { name, value, type } = e.target;
+    setSubmitted(false);
+    setReport(prev => ({ ...prev, [name]: type === 'number' && value !== '' ? parseFloat(value) : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLocating(true);
+    const { address } = await reverseGeocode(report.lat, report.lng, settings);
+    setIsLocating(false);
+    onSubmit({
+      type: 'point',
+      position: [report.lat, report.lng],
+      incidentName: report.incidentName,
+      ...(report.reporterId && { reporterId: report.reporterId }),
+      reporterName: report.reporterName,
+      timestamp: new Date(report.dateTime).getTime(),
+      severity: report.severity,
+      waterLevel: report.waterLevel,
+      description: report.description,
+      affectedArea: formatLocationLabel(address),
+      ...address,
+      evacuationStatus: settings.defaultEvacuationStatus
+    });
+    setReport(emptyReport());
+    setSubmitted(true);
+  };
+
   return (
-    <>
-      <Circle
-        center={center}
-        radius={radius}
-        pathOptions={{
-          color: 'rgba(76, 175, 80, 0.3)',
-          fillColor: 'rgba(76, 175, 80, 0.1)',
-          fillOpacity: 0.3,
-          weight: 2,
-          className: 'pulse-circle-1'
-        }}
-      />
-      <Circle
-        center={center}
-        radius={radius}
-        pathOptions={{
-          color: 'rgba(76, 175, 80, 0.2)',
-          fillColor: 'rgba(76, 175, 80, 0.05)',
-          fillOpacity: 0.2,
-          weight: 2,
-          className: 'pulse-circle-2'
-        }}
-      />
-      <Circle
-        center={center}
-        radius={radius}
-        pathOptions={{
-          color: 'rgba(76, 175, 80, 0.1)',
-          fillColor: 'rgba(76, 175, 80, 0.02)',
-          fillOpacity: 0.1,
-          weight: 2,
-          className: 'pulse-circle-3'
-        }}
-      />
-    </>
+    <form className="contributor-form" onSubmit={handleSubmit}>
+      <h3>Submit Report</h3>
+      <div className="form-group">
+        <label>Incident Name *</label>
+        <input
+          type="text"
+          name="incidentName"
+          value={report.incidentName}
+          onChange={handleChange}
+          required
+          placeholder="e.g., Galle Road Flooding"
+        />
+      </div>
+      <div className="form-group">
+        <label>Reporter *</label>
+        <ReporterSelect
+          contributors={contributors}
+          reporterId={report.reporterId}
+          reporterName={report.reporterName}
+          readOnly={!hasPermission(user, 'editAny')}
+          onChange={(reporter) => setReport(prev => ({ ...prev, ...reporter }))}
+        />
+      </div>
+      <div className="form-group">
+        <label>Date and Time *</label>
+        <input type="datetime-local" name="dateTime" value={report.dateTime} onChange={handleChange} required />
+      </div>
+      <div className="settings-grid">
+        <div className="form-group">
+          <label>Latitude *</label>
+          <input type="number" step="0.0001" name="lat" value={report.lat} onChange={handleChange} required />
+        </div>
+        <div className="form-group">
+          <label>Longitude *</label>
+          <input type="number" step="0.0001" name="lng" value={report.lng} onChange={handleChange} required />
+        </div>
+      </div>
+      {!isInside && <span className="field-error">This location is outside {settings.regionName}</span>}
+      <div className="settings-grid">
+        <div className="form-group">
+          <label>Severity *</label>
+          <select name="severity" value={report.severity} onChange={handleChange}>
+            {SEVERITY_LEVELS.map(level => (
+              <option key={level} value={level}>{getSeverityLabel(level).label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Water Level</label>
+          <select name="waterLevel" value={report.waterLevel} onChange={handleChange}>
+            <option value="">Unknown</option>
+            {WATER_LEVELS.map(level => (
+              <option key={level} value={level}>{formatWaterLevel(level)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="form-group">
+        <label>Description</label>
+        <textarea
+          name="description"
+          value={report.description}
+          onChange={handleChange}
+          placeholder="What did you see? Roads blocked, people stranded, water rising..."
+          rows="3"
+        />
+      </div>
+      <div className="dialog-buttons">
+        {submitted && <span className="settings-saved">Report submitted for review</span>}
+        <button type="submit" className="submit-button" disabled={isLocating}>
+          {isLocating ? 'Locating...' : 'Submit Report'}
+        </button>
+      </div>
+    </form>
   );
 }
 
-function ManagePage() {
+function ManagePage({
+  contributors,
+  shelters,
+  incidents,
+  chat,
+  onSaveContributor,
+  onRemoveContributor,
+  onSaveShelter,
+  onRemoveShelter,
+  onSubmitReport,
+  onModerate,
+  onMergeReport,
+  onSelectIncident
+}) {
+  const { user } = useAuth();
+  const canManageContributors = hasPermission(user, 'manageContributors');
+  const canManageShelters = hasPermission(user, 'manageShelters');
   const [mainView, setMainView] = React.useState('contributors');
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = contributors.find(contributor => contributor.id === selectedId);
+  const selectedShelter = shelters.find(shelter => shelter.id === selectedId);
+  const pendingCount = incidents.filter(incident => getModerationStatus(incident) === 'submitted').length;
+
+  const openView = (view, id = null) => {
+    setSelectedId(id);
+    setMainView(view);
+  };
+
+  const handleSave = (contributor) => {
+    onSaveContributor(contributor);
+    openView('profile', contributor.id);
+  };
+
+  const handleShelterSave = (shelter) => {
+    onSaveShelter(shelter);
+    openView('shelters');
+  };
+
   return (
     <div className="manage-page">
       {/* Top bar with contributor profiles */}
       <div className="manage-topbar">
         <div className="manage-profiles">
-          <button className="manage-profile-btn large" title="Jane">
-            <span className="profile-icon">👩‍💼</span>
-          </button>
-          <button className="manage-profile-btn large" title="Sam">
-            <span className="profile-icon">👨‍💼</span>
-          </button>
-          <button className="manage-profile-btn large" title="Lee">
-            <span className="profile-icon">🧑‍💼</span>
-          </button>
-          <button className="manage-profile-btn large add-btn" title="Add">
-            <span className="profile-icon">+</span>
-          </button>
+          {contributors.filter(contributor => contributor.status === 'active').map(contributor => (
+            <button
+              key={contributor.id}
+              className={`manage-profile-btn large ${contributor.id === selectedId ? 'selected' : ''}`}
+              title={contributor.name}
+              onClick={() => openView('profile', contributor.id)}
+            >
+              <span className="profile-initials">{getInitials(contributor.name)}</span>
+            </button>
+          ))}
+          {canManageContributors && (
+            <button className="manage-profile-btn large add-btn" title="Add contributor" onClick={() => openView('form')}>
+              <span className="profile-icon">+</span>
+            </button>
+          )}
         </div>
       </div>
       <div className="manage-layout">
         {/* Sidebar with large buttons */}
         <div className="manage-sidebar wide">
-          <button className="manage-sidebar-btn sidebar-action" onClick={()=>setMainView('report')}>
-            <span className="sidebar-btn-icon">📝</span>
-            <span className="sidebar-btn-label">Submit Report</span>
-          </button>
-          <button className="manage-sidebar-btn sidebar-action" onClick={()=>setMainView('contributors')}>
+          {hasPermission(user, 'plot') && (
+            <button className="manage-sidebar-btn sidebar-action" onClick={()=>setMainView('report')}>
+              <span className="sidebar-btn-icon">📝</span>
+              <span className="sidebar-btn-label">Submit Report</span>
+            </button>
+          )}
+          <button className="manage-sidebar-btn sidebar-action" onClick={() => openView('contributors')}>
             <span className="sidebar-btn-icon">👥</span>
-            <span className="sidebar-btn-label">Manage Contributors</span>
+            <span className="sidebar-btn-label">{canManageContributors ? 'Manage Contributors' : 'Contributors'}</span>
+          </button>
+          <button className="manage-sidebar-btn sidebar-action" onClick={() => openView('shelters')}>
+            <span className="sidebar-btn-icon">🏫</span>
+            <span className="sidebar-btn-label">Shelters</span>
+          </button>
+          {hasPermission(user, 'moderate') && (
+            <button className="manage-sidebar-btn sidebar-action" onClick={() => openView('moderation')}>
+              <span className="sidebar-btn-icon">✅</span>
+              <span className="sidebar-btn-label">Moderation</span>
+              {pendingCount > 0 && <span className="unread-badge">{pendingCount}</span>}
+            </button>
+          )}
+          {hasPermission(user, 'manageUsers') && (
+            <button className="manage-sidebar-btn sidebar-action" onClick={() => openView('users')}>
+              <span className="sidebar-btn-icon">🔑</span>
+              <span className="sidebar-btn-label">User Accounts</span>
+            </button>
+          )}
+          <button className="manage-sidebar-btn sidebar-action" onClick={() => openView('offline')}>
+            <span className="sidebar-btn-icon">🗺️</span>
+            <span className="sidebar-btn-label">Offline Maps</span>
+          </button>
+          <button className="manage-sidebar-btn sidebar-action" onClick={() => openView('chat')}>
+            <span className="sidebar-btn-icon">💬</span>
+            <span className="sidebar-btn-label">Chat</span>
+            {chat.unread > 0 && <span className="unread-badge">{chat.unread}</span>}
           </button>
         </div>
         {/* Main content area */}
         <div className="manage-main">
           {mainView === 'contributors' && (
-            <div className="messenger-box">
-              <div className="messenger-header">Contributors Chat</div>
-              <div className="messenger-messages">
-                <div className="message left">
-                  <span className="avatar">👩‍💼</span>
-                  <div className="bubble">Hi, I submitted a report.</div>
-                </div>
-                <div className="message right">
-                  <span className="avatar">🧑‍💼</span>
-                  <div className="bubble">Thank you! We'll review it soon.</div>
-                </div>
-              </div>
-              <div className="messenger-input">
-                <input type="text" placeholder="Type a message..." />
-                <button>Send</button>
-              </div>
+            <div className="contributors-box">
+              <ContributorList
+                contributors={contributors}
+                incidents={incidents}
+                canManage={canManageContributors}
+                onOpen={(id) => openView('profile', id)}
+                onEdit={(id) => openView('form', id)}
+                onAdd={() => openView('form')}
+                onSave={onSaveContributor}
+                onRemove={onRemoveContributor}
+              />
+            </div>
+          )}
+          {mainView === 'profile' && selected && (
+            <div className="contributors-box">
+              <ContributorProfile
+                contributor={selected}
+                incidents={incidents}
+                onEdit={canManageContributors ? () => openView('form', selected.id) : null}
+                onBack={() => openView('contributors')}
+                onSelectIncident={onSelectIncident}
+              />
+            </div>
+          )}
+          {mainView === 'form' && canManageContributors && (
+            <div className="contributors-box">
+              <ContributorForm
+                key={selectedId || 'new'}
+                contributor={selected}
+                contributors={contributors}
+                onSave={handleSave}
+                onCancel={() => (selected ? openView('profile', selected.id) : openView('contributors'))}
+              />
+            </div>
+          )}
+          {mainView === 'shelters' && (
+            <div className="contributors-box">
+              <ShelterList
+                shelters={shelters}
+                canManage={canManageShelters}
+                onEdit={(id) => openView('shelterForm', id)}
+                onAdd={() => openView('shelterForm')}
+                onSave={onSaveShelter}
+                onRemove={onRemoveShelter}
+              />
+            </div>
+          )}
+          {mainView === 'shelterForm' && canManageShelters && (
+            <div className="contributors-box">
+              <ShelterForm
+                key={selectedId || 'new'}
+                shelter={selectedShelter}
+                onSave={handleShelterSave}
+                onCancel={() => openView('shelters')}
+              />
+            </div>
+          )}
+          {mainView === 'chat' && (
+            <ChatPanel chat={chat} incidents={incidents} onSelectIncident={onSelectIncident} />
+          )}
+          {mainView === 'moderation' && (
+            <div className="contributors-box">
+              <ModerationQueue
+                incidents={incidents}
+                onModerate={onModerate}
+                onMerge={onMergeReport}
+                onSelectIncident={onSelectIncident}
+              />
             </div>
           )}
           {mainView === 'report' && (
-            <div className="report-box">
-              <h3>Submit Report</h3>
-              <p>Report submission form goes here.</p>
+            <div className="contributors-box">
+              <SubmitReportForm contributors={contributors} onSubmit={onSubmitReport} />
+            </div>
+          )}
+          {mainView === 'users' && (
+            <div className="contributors-box">
+              <UserAccounts contributors={contributors} />
+            </div>
+          )}
+          {mainView === 'offline' && (
+            <div className="contributors-box">
+              <OfflineMaps />
             </div>
           )}
         </div>
@@ -703,11 +7782,12 @@ function ManagePage() {
 }
 
 function App() {
+  const { settings, updateSettings } = useSettings();
+  const { user, session, signOut, endSession } = useAuth();
   const [floodIncidents, setFloodIncidents] = useState(() => {
     const saved = localStorage.getItem('floodIncidents');
     return saved ? JSON.parse(saved) : [];
   });
-  const [searchQuery, setSearchQuery] = useState('');
   const [activeSection, setActiveSection] = useState('dashboard');
   const [isExpanded, setIsExpanded] = useState(true);
   const [plotMode, setPlotMode] = useState(null);
@@ -717,12 +7797,44 @@ function App() {
   const [isConfigMode, setIsConfigMode] = useState(false);
   const [selectedIncident, setSelectedIncident] = useState(null);
   const [showAddPlotMenu, setShowAddPlotMenu] = useState(false);
-  const [isSearching, setIsSearching] = useState(false);
   const [searchResult, setSearchResult] = useState(null);
+  // Public view shows only what has been published; otherwise reports under review are drawn faded
+  const [isPublicView, setIsPublicView] = useState(false);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  // Keys of the BOUNDARY_LAYERS drawn over the map
+  const [visibleBoundaries, setVisibleBoundaries] = useState([]);
+  const [showShelters, setShowShelters] = useState(true);
   const mapRef = useRef();
   const [showPlotDialog, setShowPlotDialog] = useState(false);
   const [plotPosition, setPlotPosition] = useState(null);
   const [showConfigDialog, setShowConfigDialog] = useState(false);
+  const [incidentsUpdatedAt, setIncidentsUpdatedAt] = useState(Date.now());
+  const [focusedIncident, setFocusedIncident] = useState(null);
+  const [incidentHistory, setIncidentHistory] = useState(() => {
+    const saved = localStorage.getItem('incidentHistory');
+    return saved ? JSON.parse(saved) : {};
+  });
+  const [incidentTrash, setIncidentTrash] = useState(() => {
+    const saved = localStorage.getItem('incidentTrash');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [showSyncConflicts, setShowSyncConflicts] = useState(false);
+  const [contributors, setContributors] = useState(() => {
+    const saved = localStorage.getItem('contributors');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [shelters, setShelters] = useState(() => {
+    const saved = localStorage.getItem('shelters');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [chatMessages, setChatMessages] = useState(() => {
+    const saved = localStorage.getItem('chatMessages');
+    return saved ? JSON.parse(saved) : [];
+  });
+  const [chatReadAt, setChatReadAt] = useState(() => {
+    const saved = localStorage.getItem('chatReadAt');
+    return saved ? JSON.parse(saved) : {};
+  });
 
   // Handle window resize
   useEffect(() => {
@@ -737,100 +7849,130 @@ function App() {
   // Save flood incidents to localStorage whenever they change
   useEffect(() => {
     localStorage.setItem('floodIncidents', JSON.stringify(floodIncidents));
+    setIncidentsUpdatedAt(Date.now());
   }, [floodIncidents]);
 
-  // Reset search when component unmounts or on error
+  // Save the audit trail and trash alongside the incidents
   useEffect(() => {
-    return () => {
-      setSearchResult(null);
-      setSearchQuery('');
-      setIsSearching(false);
-    };
-  }, []);
+    localStorage.setItem('incidentHistory', JSON.stringify(incidentHistory));
+  }, [incidentHistory]);
 
-  const handleSearch = async () => {
-    if (!searchQuery.trim() || isSearching) return;
+  useEffect(() => {
+    localStorage.setItem('incidentTrash', JSON.stringify(incidentTrash));
+  }, [incidentTrash]);
 
-    try {
-      setIsSearching(true);
-      setSearchResult(null);
+  useEffect(() => {
+    localStorage.setItem('contributors', JSON.stringify(contributors));
+  }, [contributors]);
 
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      const baseUrl = 'https://nominatim.openstreetmap.org/search';
-      const params = new URLSearchParams({
-        q: `${searchQuery.trim()}, Galle District, Sri Lanka`,
-        format: 'json',
-        limit: 3, // Increased to get more results
-        countrycodes: 'lk',
-        addressdetails: 1
-      });
+  useEffect(() => {
+    localStorage.setItem('shelters', JSON.stringify(shelters));
+  }, [shelters]);
 
-      const response = await fetch(`${baseUrl}?${params}`, {
-        headers: {
-          'Accept-Language': 'en-US,en;q=0.9',
-          'User-Agent': 'DisasterTrackingApp/1.0'
-        }
+  useEffect(() => {
+    localStorage.setItem('chatMessages', JSON.stringify(chatMessages));
+  }, [chatMessages]);
+
+  useEffect(() => {
+    localStorage.setItem('chatReadAt', JSON.stringify(chatReadAt));
+  }, [chatReadAt]);
+
+  // Append a version entry for each { action, before, after } change, made now
+  // by the signed-in user unless the change names its own user and time
+  const recordHistory = (changes) => {
+    const timestamp = Date.now();
+    setIncidentHistory(prev => {
+      const next = { ...prev };
+      changes.forEach(({ action, before, after, user: changedBy, timestamp: changedAt }) => {
+        const id = (after || before).id;
+        const entries = next[id] || [];
+        next[id] = [
+          ...entries,
+          {
+            version: entries.length ? entries[entries.length - 1].version + 1 : 1,
+            action,
+            timestamp: changedAt || timestamp,
+            user: changedBy || user.name,
+            changes: diffIncidents(before, after),
+            snapshot: after || before
+          }
+        ];
       });
-      
-      if (!response.ok) {
-        throw new Error('Search request failed');
-      }
+      return next;
+    });
+  };
 
-      const data = await response.json();
-      console.log('Search results:', data);
+  // Move incidents to the trash instead of dropping them
+  const trashIncidents = (incidents, deletedBy = user.name, action = 'delete') => {
+    const deletedAt = Date.now();
+    setIncidentTrash(prev => [
+      ...prev.filter(entry => !incidents.some(incident => incident.id === entry.incident.id)),
+      ...incidents.map(incident => ({ incident, deletedAt, deletedBy }))
+    ]);
+    recordHistory(incidents.map(incident => ({ action, before: incident, after: null, user: deletedBy })));
+  };
 
-      if (!data || data.length === 0) {
-        alert('Location not found. Please try another search.');
-        return;
-      }
+  // Server edits go into the history, and server deletions into the trash, under
+  // the account that made them. Servers without accounts don't say who that was.
+  const handleRemoteChanges = (changes) => {
+    changes.filter(change => !change.after).forEach(({ before, changedBy }) => {
+      trashIncidents([before], changedBy ? changedBy.user : SYNC_SERVER_USER);
+    });
+    recordHistory(changes
+      .filter(change => change.after)
+      .map(({ before, after, changedBy }) => ({
+        action: 'sync',
+        before,
+        after,
+        user: changedBy ? changedBy.user : SYNC_SERVER_USER,
+        timestamp: changedBy ? changedBy.timestamp : null
+      })));
+  };
 
-      // Find the first result that matches Galle district
-      const galleResult = data.find(result => {
-        const lat = parseFloat(result.lat);
-        const lon = parseFloat(result.lon);
-        
-        // Check coordinates
-        const isInBounds = lat >= GALLE_AREA.south && lat <= GALLE_AREA.north && 
-                          lon >= GALLE_AREA.west && lon <= GALLE_AREA.east;
-        
-        // Check address details
-        const address = result.address || {};
-        const isInGalle = 
-          address.county?.toLowerCase().includes('galle') ||
-          address.state_district?.toLowerCase().includes('galle') ||
-          address.district?.toLowerCase().includes('galle') ||
-          (address.city?.toLowerCase() === 'galle') ||
-          (address.town?.toLowerCase() === 'galle');
-
-        return isInBounds || isInGalle;
-      });
+  const sync = useRecordSync(floodIncidents, setFloodIncidents, settings.syncServerUrl, session.token, handleRemoteChanges);
+  const contributorSync = useRecordSync(contributors, setContributors, settings.syncServerUrl, session.token, null, CONTRIBUTOR_SYNC);
+  const shelterSync = useRecordSync(shelters, setShelters, settings.syncServerUrl, session.token, null, SHELTER_SYNC);
+  const syncs = { incidents: sync, contributors: contributorSync, shelters: shelterSync };
+  const parkedBatches = Object.values(syncs).flatMap(item => item.parked);
 
-      if (!galleResult) {
-        alert('Location not found in Galle district. Please try another search.');
-        return;
-      }
+  // Queued changes are kept through a new sign-in and sent under the new session
+  const isSyncSignedOut = Object.values(syncs).some(item => item.status === 'signed-out');
+  useEffect(() => {
+    if (isSyncSignedOut) endSession('Your session on the sync server has ended. Sign in again to send your queued changes.');
+  }, [isSyncSignedOut, endSession]);
+  const chatSync = useChatSync(chatMessages, setChatMessages, settings.syncServerUrl, session.token);
+  const live = useLiveChannel(settings.syncServerUrl, user.name, session.token, {
+    onChanged: ({ collection }) => ({ contributors: contributorSync, shelters: shelterSync }[collection] || sync).syncNow(),
+    onMessage: chatSync.syncNow
+  });
+  const { lockIncident, unlockIncident } = live;
 
-      await new Promise(resolve => setTimeout(resolve, 100));
-      setSearchResult(galleResult);
+  // Hold the edit lock while the configure dialog is open for editing
+  const editingIncidentId = showConfigDialog && selectedIncident && canEditIncident(user, selectedIncident)
+    ? selectedIncident.id
+    : null;
+  useEffect(() => {
+    if (!editingIncidentId) return undefined;
+    lockIncident(editingIncidentId);
+    return () => unlockIncident(editingIncidentId);
+  }, [editingIncidentId, lockIncident, unlockIncident]);
 
-    } catch (error) {
-      console.error('Search error:', error);
-      alert('Search failed. Please try again.');
-      setSearchResult(null);
-    } finally {
-      setIsSearching(false);
-    }
-  };
+  const handleMapClick = (e) => {
+    // Clicks inside the dialog bubble up to the map container
+    if (showPlotDialog) return;
 
-  const handleSearchKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      handleSearch();
+    if (DRAWING_MIN_POINTS[plotMode]) {
+      const point = [e.latlng.lat, e.latlng.lng];
+      setTempPoints(prev => {
+        const last = prev[prev.length - 1];
+        // The two clicks of a double click land on the same spot
+        if (last && last[0] === point[0] && last[1] === point[1]) return prev;
+        return [...prev, point];
+      });
+      return;
     }
-  };
 
-  const handleMapClick = (e) => {
-    if (plotMode === 'circle') {
+    if (plotMode === 'circle' || plotMode === 'marker') {
       const clickedPosition = {
         lat: e.latlng.lat,
         lng: e.latlng.lng
@@ -840,29 +7982,295 @@ function App() {
     }
   };
 
+  const clearSearchResult = useCallback(() => setSearchResult(null), []);
+
+  // Plot a point incident at a place picked from search
+  const handlePlotAtPlace = (place) => {
+    setShowAddPlotMenu(false);
+    setIsConfigMode(false);
+    setTempPoints([]);
+    setPlotMode('marker');
+    setPlotPosition({ lat: place.lat, lng: place.lon });
+    setShowPlotDialog(true);
+    setSearchResult(null);
+  };
+
+  const handleDrawingFinish = useCallback(() => {
+    if (tempPoints.length < DRAWING_MIN_POINTS[plotMode]) return;
+    const [lat, lng] = computeCentroid(tempPoints);
+    setPlotPosition({ lat, lng });
+    setShowPlotDialog(true);
+  }, [plotMode, tempPoints]);
+
+  const handleDrawingUndo = () => {
+    setTempPoints(prev => prev.slice(0, -1));
+  };
+
+  const handleDrawingCancel = () => {
+    setPlotMode(null);
+    setTempPoints([]);
+  };
+
+  // Keyboard shortcuts while drawing
+  useEffect(() => {
+    if (!DRAWING_MIN_POINTS[plotMode] || showPlotDialog) return;
+
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+      if (e.key === 'Escape') {
+        setPlotMode(null);
+        setTempPoints([]);
+      } else if (e.key === 'Backspace' || ((e.ctrlKey || e.metaKey) && e.key === 'z')) {
+        e.preventDefault();
+        setTempPoints(prev => prev.slice(0, -1));
+      } else if (e.key === 'Enter') {
+        handleDrawingFinish();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [plotMode, showPlotDialog, handleDrawingFinish]);
+
   // Add incident update handler
-  const handleIncidentUpdate = (id, updatedData) => {
-    const newIncidents = floodIncidents.map(incident => 
-      incident.id === id
-        ? { ...incident, ...updatedData }
-        : incident
-    );
-    setFloodIncidents(newIncidents);
-    // Force re-render by creating new array
-    setTimeout(() => {
-      setFloodIncidents([...newIncidents]);
-    }, 100);
+  const handleIncidentUpdate = (id, updatedData, action) => {
+    const before = floodIncidents.find(incident => incident.id === id);
+    if (!before) return;
+    const after = { ...before, ...updatedData };
+    const changes = diffIncidents(before, after);
+    if (Object.keys(changes).length > 0) {
+      const statusOnly = Object.keys(changes).every(field => STATUS_FIELDS.includes(field));
+      recordHistory([{ action: action || (statusOnly ? 'status' : 'update'), before, after }]);
+    }
+
+    setFloodIncidents(prev => prev.map(incident => (incident.id === id ? after : incident)));
   };
 
   // Add incident delete handler
   const handleIncidentDelete = (id) => {
-    if (window.confirm('Are you sure you want to delete this incident?')) {
+    if (window.confirm('Are you sure you want to delete this incident? It can be restored from the trash.')) {
+      const deleted = floodIncidents.find(incident => incident.id === id);
+      if (deleted) trashIncidents([deleted]);
       setFloodIncidents(prev => prev.filter(incident => incident.id !== id));
       setShowConfigDialog(false);
       setSelectedIncident(null);
     }
   };
 
+  // Roll an incident back to an earlier version, keeping the roll back in its history
+  const handleRestoreVersion = (id, entry) => {
+    const { id: _snapshotId, ...snapshot } = entry.snapshot;
+    const current = floodIncidents.find(incident => incident.id === id);
+    const restored = { id, ...snapshot };
+    // Fields added after that version are cleared rather than kept
+    Object.keys(current || {}).forEach(field => {
+      if (!(field in restored)) restored[field] = undefined;
+    });
+    handleIncidentUpdate(id, restored, 'restore');
+  };
+
+  // Bring a deleted incident back from the trash
+  const handleRestoreDeleted = (id) => {
+    const entry = incidentTrash.find(item => item.incident.id === id);
+    if (!entry) return;
+    setIncidentTrash(prev => prev.filter(item => item.incident.id !== id));
+    setFloodIncidents(prev => [...prev.filter(incident => incident.id !== id), entry.incident]);
+    recordHistory([{ action: 'restore', before: null, after: entry.incident }]);
+  };
+
+  // Remove an incident from the trash for good; its history is kept
+  const handlePurgeDeleted = (id) => {
+    if (window.confirm('Permanently delete this incident? This cannot be undone.')) {
+      setIncidentTrash(prev => prev.filter(item => item.incident.id !== id));
+    }
+  };
+
+  // Apply the chosen side of a sync conflict; keeping the losing value makes it a new edit.
+  // A refused change already shows the server's copy, so keeping ours redoes the change.
+  const handleResolveConflict = (conflict, keep) => {
+    if (conflict.notOnServer) {
+      const incident = floodIncidents.find(item => item.id === conflict.incidentId);
+      if (keep === 'client') {
+        sync.resend(conflict.incidentId);
+      } else if (incident) {
+        trashIncidents([incident]);
+        sync.forget(conflict.incidentId);
+      }
+    } else if (conflict.reason === 'deleted' && keep === 'client') {
+      handleRestoreDeleted(conflict.incidentId);
+    } else if (conflict.reason === 'edited-after-delete' && keep === 'client') {
+      const incident = floodIncidents.find(item => item.id === conflict.incidentId);
+      if (incident) trashIncidents([incident]);
+      setFloodIncidents(prev => prev.filter(item => item.id !== conflict.incidentId));
+    } else if (!conflict.reason && keep !== conflict.winner) {
+      const value = keep === 'client' ? conflict.clientValue : conflict.serverValue;
+      handleIncidentUpdate(conflict.incidentId, { [conflict.field]: value ?? undefined });
+    }
+    sync.dismissConflict(conflict.id);
+  };
+
+  // Add or update a contributor; a rename carries over to the incidents linked to them
+  const handleContributorSave = (contributor) => {
+    const existing = contributors.find(item => item.id === contributor.id);
+    setContributors(prev => (existing
+      ? prev.map(item => (item.id === contributor.id ? contributor : item))
+      : [...prev, contributor]
+    ));
+
+    if (existing && existing.name !== contributor.name) {
+      const linked = floodIncidents.filter(incident => incident.reporterId === contributor.id);
+      recordHistory(linked.map(before => ({
+        action: 'update',
+        before,
+        after: { ...before, reporterName: contributor.name }
+      })));
+      setFloodIncidents(prev => prev.map(incident => (incident.reporterId === contributor.id
+        ? { ...incident, reporterName: contributor.name }
+        : incident
+      )));
+    }
+  };
+
+  // Incidents keep the reporter name of a removed contributor
+  const handleContributorRemove = (id) => {
+    const contributor = contributors.find(item => item.id === id);
+    if (contributor && window.confirm(`Remove ${contributor.name}? Their incidents keep the reporter name.`)) {
+      setContributors(prev => prev.filter(item => item.id !== id));
+    }
+  };
+
+  const handleShelterSave = (shelter) => {
+    setShelters(prev => (prev.some(item => item.id === shelter.id)
+      ? prev.map(item => (item.id === shelter.id ? shelter : item))
+      : [...prev, shelter]
+    ));
+  };
+
+  const handleShelterRemove = (id) => {
+    const shelter = shelters.find(item => item.id === id);
+    if (shelter && window.confirm(`Remove ${shelter.name} from the shelter list?`)) {
+      setShelters(prev => prev.filter(item => item.id !== id));
+    }
+  };
+
+  const chatSender = getChatSender(contributors, user);
+  const chat = {
+    messages: chatMessages,
+    readAt: chatReadAt,
+    sender: chatSender,
+    canPost: hasPermission(user, 'chat'),
+    unread: countUnread(chatMessages, chatReadAt, chatSender),
+    onSend: (threadId, text) => {
+      setChatMessages(prev => [...prev, {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+        threadId,
+        senderId: chatSender.id,
+        senderName: chatSender.name,
+        text,
+        timestamp: Date.now(),
+        pending: true
+      }]);
+      chatSync.syncNow();
+    },
+    onRead: (threadId, timestamp) => {
+      setChatReadAt(prev => ({ ...prev, [threadId]: Math.max(prev[threadId] || 0, timestamp) }));
+    }
+  };
+
+  // New reports from the Manage page wait for review like plotted ones
+  const handleReportSubmit = (report) => {
+    const newIncident = {
+      id: Date.now().toString(),
+      ...report,
+      ...startLifecycle(user.name),
+      createdBy: user.id,
+      moderationStatus: 'submitted'
+    };
+    setFloodIncidents(prev => [...prev, newIncident]);
+    recordHistory([{ action: 'create', before: null, after: newIncident }]);
+  };
+
+  // Move a report through the review states; the action name is the new state
+  const handleModerate = (id, moderationStatus, details = {}) => {
+    handleIncidentUpdate(id, {
+      moderationStatus,
+      moderatedBy: user.name,
+      moderatedAt: Date.now(),
+      rejectionReason: undefined,
+      ...details
+    }, moderationStatus);
+  };
+
+  // Fold a duplicate report into an existing incident and trash the duplicate
+  const handleMergeReport = (sourceId, targetId) => {
+    const source = floodIncidents.find(incident => incident.id === sourceId);
+    const target = floodIncidents.find(incident => incident.id === targetId);
+    if (!source || !target) return;
+    if (!window.confirm(`Merge "${source.incidentName}" into "${target.incidentName}"?`)) return;
+
+    const note = `[Merged report from ${source.reporterName || 'unknown'}, ` +
+      `${new Date(source.timestamp).toLocaleString()}] ${source.description || source.incidentName}`;
+    const merged = {
+      ...target,
+      description: [target.description, note].filter(Boolean).join('\n'),
+      mergedReportIds: [...(target.mergedReportIds || []), source.id]
+    };
+    recordHistory([{ action: 'merge', before: target, after: merged }]);
+    trashIncidents([source], user.name, 'merge');
+    setFloodIncidents(prev => prev
+      .filter(incident => incident.id !== sourceId)
+      .map(incident => (incident.id === targetId ? merged : incident)));
+  };
+
+  // Rejected reports only live on in the moderation queue. Unverified ones are
+  // drawn faded on the map but left out of the figures until reviewed.
+  // Kept stable between renders so the map layers and charts built from them can skip work
+  const reviewedIncidents = React.useMemo(() => floodIncidents.filter(isReviewedIncident), [floodIncidents]);
+  const unverifiedCount = floodIncidents.filter(incident => getModerationStatus(incident) === 'submitted').length;
+  const mapIncidents = React.useMemo(() => floodIncidents.filter(incident => (isPublicView
+    ? getModerationStatus(incident) === 'published'
+    : getModerationStatus(incident) !== 'rejected'
+  )), [floodIncidents, isPublicView]);
+
+  // Clicks while plotting belong to the shape being drawn
+  const handleIncidentClick = useCallback((incident) => {
+    if (plotMode) return;
+    setSelectedIncident(incident);
+    setShowConfigDialog(true);
+  }, [plotMode]);
+
+  // Show an incident on the map with its configure dialog open
+  const openIncident = (incident) => {
+    // A fresh object so selecting the same row again flies back to it
+    setFocusedIncident({ ...incident });
+    setSelectedIncident(incident);
+    setShowConfigDialog(true);
+  };
+
+  // Add imported incidents, either merged by ID into the current list or replacing it
+  const handleIncidentsImport = (imported, mode) => {
+    if (mode === 'replace') {
+      if (!window.confirm(`Replace all ${floodIncidents.length} incidents with ${imported.length} imported ones?`)) return;
+      trashIncidents(floodIncidents);
+      recordHistory(imported.map(incident => ({ action: 'import', before: null, after: incident })));
+      setFloodIncidents(imported);
+      return;
+    }
+
+    recordHistory(imported.map(incident => ({
+      action: 'import',
+      before: floodIncidents.find(existing => existing.id === incident.id) || null,
+      after: incident
+    })));
+    setFloodIncidents(prev => {
+      const importedById = new Map(imported.map(incident => [incident.id, incident]));
+      const merged = prev.map(incident => importedById.get(incident.id) || incident);
+      const existingIds = new Set(prev.map(incident => incident.id));
+      return [...merged, ...imported.filter(incident => !existingIds.has(incident.id))];
+    });
+  };
+
   const toggleAddPlotMenu = () => {
     setShowAddPlotMenu(!showAddPlotMenu);
     setIsConfigMode(false);
@@ -891,35 +8299,57 @@ function App() {
 
     const newIncident = {
       id: Date.now().toString(),
-      type: 'circle',
+      type: plotData.type,
       position: [plotData.position.lat, plotData.position.lng],
-      radius: parseFloat(plotData.radius),
+      ...(plotData.type === 'circle' && { radius: parseFloat(plotData.radius) }),
+      ...(plotData.type === 'polygon' && {
+        points: tempPoints,
+        area: computePolygonArea(tempPoints)
+      }),
+      ...(plotData.type === 'path' && {
+        points: tempPoints,
+        length: computePathLength(tempPoints),
+        flowSpeed: plotData.flowSpeed
+      }),
       timestamp: plotData.timestamp,
       incidentName: plotData.incidentName,
+      ...(plotData.reporterId && { reporterId: plotData.reporterId }),
       reporterName: plotData.reporterName,
       severity: plotData.severity,
       description: plotData.description,
       affectedArea: plotData.affectedArea,
+      ...getLocationFields(plotData),
       evacuationStatus: plotData.evacuationStatus,
       waterLevel: plotData.waterLevel,
-      weatherConditions: plotData.weatherConditions
+      weatherConditions: plotData.weatherConditions,
+      ...startLifecycle(user.name),
+      createdBy: user.id,
+      moderationStatus: 'submitted'
     };
 
     console.log('Adding new incident:', newIncident);
     setFloodIncidents(prev => [...prev, newIncident]);
+    recordHistory([{ action: 'create', before: null, after: newIncident }]);
     setPlotMode(null);
     setShowPlotDialog(false);
     setPlotPosition(null);
+    setTempPoints([]);
   };
 
   // Preconnect to tile server
   useEffect(() => {
+    let origin;
+    try {
+      origin = new URL(L.Util.template(settings.tileUrl, { s: 'a', z: 0, x: 0, y: 0 })).origin;
+    } catch (error) {
+      return;
+    }
     const link = document.createElement('link');
     link.rel = 'preconnect';
-    link.href = 'https://tile.openstreetmap.org';
+    link.href = origin;
     document.head.appendChild(link);
     return () => document.head.removeChild(link);
-  }, []);
+  }, [settings.tileUrl]);
 
   return (
     <div className="app">
@@ -950,63 +8380,65 @@ function App() {
             {isExpanded && <span className="nav-text">Dashboard</span>}
           </button>
 
-          <div className="plot-controls">
-            <button 
-              className={`nav-item ${showAddPlotMenu ? 'active' : ''}`}
-              onClick={toggleAddPlotMenu}
-            >
-              <span className="nav-icon">📍</span>
-              {isExpanded && (
-                <>
-                  <span className="nav-text">Add Plot</span>
-                  {showAddPlotMenu && (
-                    <span className="arrow">▼</span>
-                  )}
-                </>
-              )}
-            </button>
+          {hasPermission(user, 'plot') && (
+            <div className="plot-controls">
+              <button 
+                className={`nav-item ${showAddPlotMenu ? 'active' : ''}`}
+                onClick={toggleAddPlotMenu}
+              >
+                <span className="nav-icon">📍</span>
+                {isExpanded && (
+                  <>
+                    <span className="nav-text">Add Plot</span>
+                    {showAddPlotMenu && (
+                      <span className="arrow">▼</span>
+                    )}
+                  </>
+                )}
+              </button>
 
-            {showAddPlotMenu && isExpanded && (
-              <div className="plot-submenu">
-                <button 
-                  className={`submenu-item ${plotMode === 'marker' ? 'active' : ''}`}
-                  onClick={() => handlePlotModeSelect('marker')}
-                >
-                  <span className="plot-icon">📍</span>
-                  <span>Single Point</span>
-                </button>
-                <button 
-                  className={`submenu-item ${plotMode === 'area' ? 'active' : ''}`}
-                  onClick={() => handlePlotModeSelect('area')}
-                >
-                  <span className="plot-icon">⭕</span>
-                  <span>Flooded Area</span>
-                </button>
-                <button 
-                  className={`submenu-item ${plotMode === 'circle' ? 'active' : ''}`}
-                  onClick={() => handlePlotModeSelect('circle')}
-                >
-                  <span className="plot-icon">⚪</span>
-                  <span>Circular Zone</span>
-                </button>
-                <button 
-                  className={`submenu-item ${plotMode === 'path' ? 'active' : ''}`}
-                  onClick={() => handlePlotModeSelect('path')}
-                >
-                  <span className="plot-icon">➡️</span>
-                  <span>Water Flow Path</span>
-                </button>
-              </div>
-            )}
+              {showAddPlotMenu && isExpanded && (
+                <div className="plot-submenu">
+                  <button 
+                    className={`submenu-item ${plotMode === 'marker' ? 'active' : ''}`}
+                    onClick={() => handlePlotModeSelect('marker')}
+                  >
+                    <span className="plot-icon">📍</span>
+                    <span>Single Point</span>
+                  </button>
+                  <button 
+                    className={`submenu-item ${plotMode === 'area' ? 'active' : ''}`}
+                    onClick={() => handlePlotModeSelect('area')}
+                  >
+                    <span className="plot-icon">⭕</span>
+                    <span>Flooded Area</span>
+                  </button>
+                  <button 
+                    className={`submenu-item ${plotMode === 'circle' ? 'active' : ''}`}
+                    onClick={() => handlePlotModeSelect('circle')}
+                  >
+                    <span className="plot-icon">⚪</span>
+                    <span>Circular Zone</span>
+                  </button>
+                  <button 
+                    className={`submenu-item ${plotMode === 'path' ? 'active' : ''}`}
+                    onClick={() => handlePlotModeSelect('path')}
+                  >
+                    <span className="plot-icon">➡️</span>
+                    <span>Water Flow Path</span>
+                  </button>
+                </div>
+              )}
 
-            <button 
-              className={`nav-item ${isConfigMode ? 'active' : ''}`}
-              onClick={toggleConfigMode}
-            >
-              <span className="nav-icon">⚙️</span>
-              {isExpanded && <span className="nav-text">Config Plot</span>}
-            </button>
-          </div>
+              <button 
+                className={`nav-item ${isConfigMode ? 'active' : ''}`}
+                onClick={toggleConfigMode}
+              >
+                <span className="nav-icon">⚙️</span>
+                {isExpanded && <span className="nav-text">Config Plot</span>}
+              </button>
+            </div>
+          )}
 
           <button 
             className={`nav-item ${activeSection === 'incidents' ? 'active' : ''}`}
@@ -1032,13 +8464,15 @@ function App() {
             {isExpanded && <span className="nav-text">Reports</span>}
           </button>
 
-          <button 
-            className={`nav-item ${activeSection === 'settings' ? 'active' : ''}`}
-            onClick={() => setActiveSection('settings')}
-          >
-            <span className="nav-icon">⚙️</span>
-            {isExpanded && <span className="nav-text">Settings</span>}
-          </button>
+          {hasPermission(user, 'settings') && (
+            <button 
+              className={`nav-item ${activeSection === 'settings' ? 'active' : ''}`}
+              onClick={() => setActiveSection('settings')}
+            >
+              <span className="nav-icon">⚙️</span>
+              {isExpanded && <span className="nav-text">Settings</span>}
+            </button>
+          )}
 
           <button 
             className={`nav-item ${activeSection === 'manage' ? 'active' : ''}`}
@@ -1046,117 +8480,123 @@ function App() {
           >
             <span className="nav-icon">🛠️</span>
             {isExpanded && <span className="nav-text">Manage</span>}
+            {chat.unread > 0 && <span className="unread-badge nav-badge">{chat.unread}</span>}
           </button>
         </div>
 
+        <SyncStatus
+          sync={sync}
+          parkedCount={parkedBatches.length}
+          isLive={live.connected}
+          isExpanded={isExpanded}
+          onShowConflicts={() => setShowSyncConflicts(true)}
+        />
+        <PresenceList users={live.others} incidents={floodIncidents} isExpanded={isExpanded} />
+
         <div className="user-profile">
           <div className="profile-icon">👤</div>
           {isExpanded && (
             <div className="profile-info">
-              <div className="profile-name">Agent Name</div>
-              <div className="profile-role">Flood Response</div>
+              <div className="profile-name">{user.name}</div>
+              <div className="profile-role">{formatLabel(user.role)}</div>
             </div>
           )}
+          <button
+            className="sign-out-btn"
+            onClick={signOut}
+            title="Sign out"
+            aria-label="Sign out"
+          >
+            ⏻
+          </button>
         </div>
       </nav>
 
-      {activeSection === 'manage' ? (
-        <ManagePage />
-      ) : (
+      {activeSection === 'manage' && (
+        <ManagePage
+          contributors={contributors}
+          shelters={shelters}
+          incidents={floodIncidents}
+          chat={chat}
+          onSubmitReport={handleReportSubmit}
+          onModerate={handleModerate}
+          onMergeReport={handleMergeReport}
+          onSaveContributor={handleContributorSave}
+          onRemoveContributor={handleContributorRemove}
+          onSaveShelter={handleShelterSave}
+          onRemoveShelter={handleShelterRemove}
+          onSelectIncident={(incident) => {
+            setActiveSection('incidents');
+            openIncident(incident);
+          }}
+        />
+      )}
+      {activeSection === 'analytics' && <AnalyticsPage incidents={reviewedIncidents} unverifiedCount={unverifiedCount} />}
+      {activeSection === 'reports' && <ReportsPage incidents={reviewedIncidents} unverifiedCount={unverifiedCount} />}
+      {activeSection === 'settings' && <SettingsPage />}
+
+      {showSyncConflicts && (
+        <SyncConflictDialog
+          conflicts={sync.conflicts}
+          parked={parkedBatches}
+          incidents={floodIncidents}
+          onResolve={handleResolveConflict}
+          onRetryParked={(batch) => syncs[batch.collection].retryParked(batch.id)}
+          onDiscardParked={(batch) => syncs[batch.collection].discardParked(batch.id)}
+          onClose={() => setShowSyncConflicts(false)}
+        />
+      )}
+
+      {!FULL_PAGE_SECTIONS.includes(activeSection) && (
         <div className="map-container">
           <MapContainer
-            center={GALLE_CENTER}
-            zoom={DEFAULT_ZOOM}
+            center={[settings.center.lat, settings.center.lng]}
+            zoom={settings.defaultZoom}
             scrollWheelZoom={true}
             style={{ height: "100%", width: "100%" }}
             ref={mapRef}
             {...TILE_LAYER_OPTIONS}
           >
             <TileLayer
-              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              key={`${settings.tileUrl}-${settings.minZoom}-${settings.maxZoom}`}
+              attribution={settings.tileAttribution}
+              url={settings.tileUrl}
               {...TILE_LAYER_OPTIONS}
+              minZoom={settings.minZoom}
+              maxZoom={settings.maxZoom}
             />
             <MapBoundsHandler />
+            <MapResizeHandler />
             <MapEventHandler onMapClick={handleMapClick} />
             <LoadingIndicator />
             {searchResult && <SearchResultHandler searchResult={searchResult} />}
+            {searchResult && (
+              <SearchResultMarker
+                place={searchResult}
+                canPlot={hasPermission(user, 'plot')}
+                onPlot={handlePlotAtPlace}
+                onDismiss={clearSearchResult}
+              />
+            )}
+            {focusedIncident && <IncidentFocusHandler incident={focusedIncident} />}
+            {DRAWING_MIN_POINTS[plotMode] && !showPlotDialog && (
+              <DrawingPreview
+                points={tempPoints}
+                closed={plotMode === 'area'}
+                onFinish={handleDrawingFinish}
+              />
+            )}
+
+            {settings.district === NATIONAL_VIEW && <DistrictCountsLayer incidents={mapIncidents} />}
+            {BOUNDARY_LAYERS.filter(layer => visibleBoundaries.includes(layer.key)).map(layer => (
+              <BoundaryLayer key={layer.key} layer={layer} />
+            ))}
+
+            {showShelters && <ShelterLayer shelters={shelters} />}
 
             {/* Render flood incidents with tooltips */}
-            {floodIncidents.map(incident => {
-              const isActive = incident.evacuationStatus === 'in_progress' || incident.evacuationStatus === 'recommended';
-              
-              return incident.position && incident.position.length === 2 ? (
-                <React.Fragment key={`${incident.id}-${incident.severity}-${incident.evacuationStatus}`}>
-                  {isActive && (
-                    <PulseCircle 
-                      center={incident.position} 
-                      radius={incident.radius}
-                    />
-                  )}
-                  <Circle
-                    center={incident.position}
-                    radius={incident.radius}
-                    pathOptions={{
-                      color: getIncidentColor(incident.severity),
-                      fillColor: getIncidentColor(incident.severity),
-                      fillOpacity: 0.3
-                    }}
-                    eventHandlers={{
-                      click: () => {
-                        setSelectedIncident(incident);
-                        setShowConfigDialog(true);
-                      }
-                    }}
-                  >
-                    <Tooltip 
-                      key={`tooltip-${incident.id}-${incident.severity}-${incident.evacuationStatus}`}
-                      direction="top" 
-                      offset={[0, -20]}
-                      opacity={1}
-                      permanent={false}
-                      className="incident-tooltip"
-                    >
-                      <div className="tooltip-content">
-                        <div className="tooltip-header">
-                          <h3 className="incident-name">{incident.incidentName}</h3>
-                          <StatusIndicator 
-                            status={incident.evacuationStatus}
-                            isActive={incident.evacuationStatus === 'in_progress' || incident.evacuationStatus === 'recommended'}
-                          />
-                        </div>
-                        <div className="tooltip-details">
-                          <div className="severity-info">
-                            <span className="detail-icon">
-                              {getSeverityLabel(incident.severity).icon}
-                            </span>
-                            <span className="detail-label">
-                              {getSeverityLabel(incident.severity).label} Severity
-                            </span>
-                          </div>
-                          {incident.waterLevel && (
-                            <div className="water-level-info">
-                              <span className="detail-icon">💧</span>
-                              <span className="detail-label">
-                                {formatWaterLevel(incident.waterLevel)}
-                              </span>
-                            </div>
-                          )}
-                          {incident.reporterName && (
-                            <div className="reporter-info">
-                              <span className="detail-icon">👤</span>
-                              <span className="detail-label">
-                                Reported by: {incident.reporterName}
-                              </span>
-                            </div>
-                          )}
-                        </div>
-                      </div>
-                    </Tooltip>
-                  </Circle>
-                </React.Fragment>
-              ) : null;
-            })}
+            <IncidentLayers incidents={mapIncidents} onSelect={handleIncidentClick} />
+            {showHeatmap && <HeatmapLayer incidents={mapIncidents} />}
             
             {/* Plot Dialog */}
             {showPlotDialog && plotPosition && (
@@ -1166,8 +8606,13 @@ function App() {
                   setShowPlotDialog(false);
                   setPlotMode(null);
                   setPlotPosition(null);
+                  setTempPoints([]);
                 }}
                 position={plotPosition}
+                plotType={PLOT_MODE_TYPES[plotMode]}
+                area={plotMode === 'area' ? computePolygonArea(tempPoints) : null}
+                length={plotMode === 'path' ? computePathLength(tempPoints) : null}
+                contributors={contributors}
                 onSubmit={handlePlotSubmit}
               />
             )}
@@ -1176,6 +8621,12 @@ function App() {
             {showConfigDialog && selectedIncident && (
               <ConfigDialog
                 incident={selectedIncident}
+                history={incidentHistory[selectedIncident.id]}
+                editor={live.getEditor(selectedIncident.id)}
+                contributors={contributors}
+                shelters={shelters}
+                chat={chat}
+                onRestoreVersion={handleRestoreVersion}
                 onClose={() => {
                   setShowConfigDialog(false);
                   setSelectedIncident(null);
@@ -1185,29 +8636,7 @@ function App() {
               />
             )}
 
-            <div className="map-controls">
-              <div className="map-search">
-                <input
-                  type="text"
-                  placeholder="Search locations in Galle district (e.g., Baddegama, Hikkaduwa)"
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  onKeyPress={handleSearchKeyPress}
-                  className="search-input"
-                  disabled={isSearching}
-                />
-                <button 
-                  className={`search-button ${isSearching ? 'searching' : ''}`}
-                  onClick={handleSearch}
-                  disabled={isSearching}
-                >
-                  <span className="search-icon">
-                    {isSearching ? '⌛' : '🔍'}
-                  </span>
-                  {isSearching ? 'Searching...' : 'Search'}
-                </button>
-              </div>
-            </div>
+            <PlaceSearch onSelect={setSearchResult} />
           </MapContainer>
 
           {/* Plot instructions */}
@@ -1219,12 +8648,102 @@ function App() {
               {plotMode === 'path' && (
                 tempPoints.length === 0
                   ? 'Click the starting point of the water flow path'
-                  : 'Click the ending point of the water flow path'
+                  : 'Click the next point of the water flow path. Double click to finish.'
+              )}
+              {DRAWING_MIN_POINTS[plotMode] && (
+                <div className="drawing-actions">
+                  <button onClick={handleDrawingUndo} disabled={tempPoints.length === 0}>
+                    Undo
+                  </button>
+                  <button
+                    onClick={handleDrawingFinish}
+                    disabled={tempPoints.length < DRAWING_MIN_POINTS[plotMode]}
+                  >
+                    Finish
+                  </button>
+                  <button onClick={handleDrawingCancel}>
+                    Cancel
+                  </button>
+                </div>
               )}
             </div>
           )}
+
+          <div className="map-layer-toggles">
+            <select
+              className="map-district-select"
+              value={settings.district}
+              onChange={(e) => updateSettings(getDistrictRegion(e.target.value))}
+              aria-label="District"
+            >
+              <option value={NATIONAL_VIEW}>All of Sri Lanka</option>
+              {!settings.district && <option value="">{settings.regionName}</option>}
+              {DISTRICT_NAMES.map(name => <option key={name} value={name}>{name} District</option>)}
+            </select>
+            {BOUNDARY_LAYERS.map(layer => (
+              <label key={layer.key} className="map-layer-toggle">
+                <input
+                  type="checkbox"
+                  checked={visibleBoundaries.includes(layer.key)}
+                  onChange={(e) => setVisibleBoundaries(prev => (e.target.checked
+                    ? [...prev, layer.key]
+                    : prev.filter(key => key !== layer.key)
+                  ))}
+                />
+                {layer.label}
+              </label>
+            ))}
+            <label className="map-layer-toggle">
+              <input
+                type="checkbox"
+                checked={isPublicView}
+                onChange={(e) => setIsPublicView(e.target.checked)}
+              />
+              Public view
+            </label>
+            <label className="map-layer-toggle">
+              <input
+                type="checkbox"
+                checked={showShelters}
+                onChange={(e) => setShowShelters(e.target.checked)}
+              />
+              Shelters
+            </label>
+            <label className="map-layer-toggle">
+              <input
+                type="checkbox"
+                checked={showHeatmap}
+                onChange={(e) => setShowHeatmap(e.target.checked)}
+              />
+              Heatmap
+            </label>
+          </div>
         </div>
       )}
+
+      {activeSection === 'dashboard' && (
+        <DashboardPanel
+          incidents={reviewedIncidents}
+          unverifiedCount={unverifiedCount}
+          lastUpdated={incidentsUpdatedAt}
+          onSelectIncident={(incident) => {
+            setSelectedIncident(incident);
+            setShowConfigDialog(true);
+          }}
+        />
+      )}
+
+      {activeSection === 'incidents' && (
+        <IncidentsPanel
+          incidents={floodIncidents}
+          getEditor={live.getEditor}
+          onSelectIncident={openIncident}
+          onImport={handleIncidentsImport}
+          trash={incidentTrash}
+          onRestoreDeleted={handleRestoreDeleted}
+          onPurgeDeleted={handlePurgeDeleted}
+        />
+      )}
     </div>
   );
 }
@@ -1245,4 +8764,85 @@ function getIncidentColor(severity) {
     default:
       return '#ffa500'; // Default Orange
   }
-} 
\ No newline at end of file
+}
+
+// Geodesic area of a [lat, lng] ring in square meters
+function computePolygonArea(points) {
+  const EARTH_RADIUS = 6378137;
+  const toRad = (deg) => deg * Math.PI / 180;
+  let area = 0;
+
+  points.forEach(([lat1, lng1], i) => {
+    const [lat2, lng2] = points[(i + 1) % points.length];
+    area += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  });
+
+  return Math.abs(area * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+// Average of the vertices, used as the anchor position of a shape
+function computeCentroid(points) {
+  const sum = points.reduce(
+    (acc, [lat, lng]) => [acc[0] + lat, acc[1] + lng],
+    [0, 0]
+  );
+  return [sum[0] / points.length, sum[1] / points.length];
+}
+
+const FEET_PER_METER = 3.28084;
+
+// Format an area in square meters for display
+function formatArea(area, units = 'metric') {
+  if (units === 'imperial') {
+    return `${Math.round(area * FEET_PER_METER * FEET_PER_METER).toLocaleString()} ft²`;
+  }
+  return `${Math.round(area).toLocaleString()} m²`;
+}
+
+// Total length of a [lat, lng] line in meters
+function computePathLength(points) {
+  return points.slice(1).reduce(
+    (total, point, i) => total + L.latLng(points[i]).distanceTo(L.latLng(point)),
+    0
+  );
+}
+
+// Format a length in meters for display
+function formatLength(length, units = 'metric') {
+  if (units === 'imperial') {
+    const feet = length * FEET_PER_METER;
+    if (feet >= 5280) return `${(feet / 5280).toFixed(2)} mi`;
+    return `${Math.round(feet)} ft`;
+  }
+  if (length >= 1000) return `${(length / 1000).toFixed(2)} km`;
+  return `${Math.round(length)} m`;
+}
+
+// Convert a stored length in meters to the unit shown in forms
+function toDisplayLength(meters, units) {
+  if (meters === undefined || meters === null || meters === '') return meters;
+  return units === 'imperial' ? Math.round(meters * FEET_PER_METER) : meters;
+}
+
+// Convert a length typed into a form back to meters
+function fromDisplayLength(value, units) {
+  if (value === undefined || value === null || value === '') return value;
+  return units === 'imperial' ? parseFloat(value) / FEET_PER_METER : parseFloat(value);
+}
+
+function getLengthUnitLabel(units) {
+  return units === 'imperial' ? 'feet' : 'meters';
+}
+
+// Ground covered by an incident in square meters
+function getIncidentArea(incident) {
+  switch (incident.type) {
+    case 'polygon':
+      return incident.area || 0;
+    case 'point':
+    case 'path':
+      return 0;
+    default:
+      return Math.PI * Math.pow(parseFloat(incident.radius) || 0, 2);
+  }
+}
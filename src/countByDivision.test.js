@@ -0,0 +1,39 @@
+import { countByDivision } from './App';
+
+const incident = (dsDivision, gnDivision, shape = { type: 'point' }) => ({ dsDivision, gnDivision, ...shape });
+
+describe('countByDivision', () => {
+  test('counts incidents and area per DS division and the GN divisions within it', () => {
+    const divisions = countByDivision([
+      incident('Galle Four Gravets', 'Kaluwella', { type: 'polygon', area: 500 }),
+      incident('Galle Four Gravets', 'Kaluwella', { type: 'circle', radius: 10 }),
+      incident('Galle Four Gravets', 'Dangedara', { type: 'path' }),
+      incident('Akmeemana', 'Wakwella')
+    ]);
+
+    expect(divisions.map(division => [division.name, division.count])).toEqual([
+      ['Akmeemana', 1],
+      ['Galle Four Gravets', 3]
+    ]);
+    const galle = divisions[1];
+    expect(galle.area).toBeCloseTo(500 + Math.PI * 100);
+    expect(galle.gnDivisions.map(gn => [gn.name, gn.count])).toEqual([['Dangedara', 1], ['Kaluwella', 2]]);
+    expect(galle.gnDivisions[1].area).toBeCloseTo(500 + Math.PI * 100);
+  });
+
+  test('puts incidents without a division last, under Not recorded', () => {
+    const divisions = countByDivision([
+      incident('', ''),
+      incident('Bope-Poddala', ''),
+      incident('Akmeemana', 'Wakwella')
+    ]);
+
+    expect(divisions.map(division => division.name)).toEqual(['Akmeemana', 'Bope-Poddala', 'Not recorded']);
+    expect(divisions[1].gnDivisions.map(gn => gn.name)).toEqual(['Not recorded']);
+    expect(divisions[2].gnDivisions).toEqual([{ name: 'Not recorded', count: 1, area: 0 }]);
+  });
+
+  test('returns no divisions for no incidents', () => {
+    expect(countByDivision([])).toEqual([]);
+  });
+});
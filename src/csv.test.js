@@ -0,0 +1,137 @@
+import { parseCsv, guessCsvMapping, csvRowsToIncidents, incidentsToCsv } from './App';
+
+const HEADERS = ['Incident Name', 'Reporter', 'Date', 'Severity', 'Latitude', 'Longitude', 'Radius', 'ID', 'Geometry'];
+const MAPPING = guessCsvMapping(HEADERS);
+
+const row = (values) => {
+  const cells = { name: 'Canal overflow', reporter: 'Nimal', date: '2024-05-01T08:00:00Z', severity: 'severe', lat: '6.05', lon: '80.22', radius: '', id: '', geometry: '', ...values };
+  return [cells.name, cells.reporter, cells.date, cells.severity, cells.lat, cells.lon, cells.radius, cells.id, cells.geometry];
+};
+
+const polygon = {
+  id: 'poly-1',
+  type: 'polygon',
+  position: [6.055, 80.225],
+  points: [[6.05, 80.22], [6.06, 80.22], [6.06, 80.23]],
+  area: 1234,
+  incidentName: 'Paddy fields',
+  reporterName: 'Nimal',
+  timestamp: Date.parse('2024-05-01T08:00:00Z'),
+  severity: 'minor'
+};
+
+describe('parseCsv', () => {
+  test('keeps quoted commas, quotes and line breaks inside a cell', () => {
+    expect(parseCsv('a,"b, c","say ""hi""","two\nlines"\r\n1,2,3,4')).toEqual([
+      ['a', 'b, c', 'say "hi"', 'two\nlines'],
+      ['1', '2', '3', '4']
+    ]);
+  });
+
+  test('drops a byte order mark and blank trailing lines', () => {
+    expect(parseCsv('\uFEFFname,lat\nA,6\n\n,\n')).toEqual([['name', 'lat'], ['A', '6']]);
+  });
+});
+
+describe('guessCsvMapping', () => {
+  test('matches headers by label, key or alias ignoring case and punctuation', () => {
+    const mapping = guessCsvMapping(['LATITUDE', 'lng', 'Incident name', 'Reported by', 'Notes']);
+    expect(mapping).toMatchObject({ lat: 0, lon: 1, incidentName: 2, reporterName: 3, description: 4, severity: -1 });
+  });
+});
+
+describe('csvRowsToIncidents', () => {
+  test('turns a row into a point, or a circle when it has a radius', () => {
+    const { incidents, errors } = csvRowsToIncidents([row(), row({ radius: '150' })], MAPPING);
+    expect(errors).toEqual([]);
+    expect(incidents[0]).toMatchObject({ type: 'point', position: [6.05, 80.22], incidentName: 'Canal overflow', severity: 'severe' });
+    expect(incidents[1]).toMatchObject({ type: 'circle', radius: 150 });
+  });
+
+  test('reports every problem with a row against its spreadsheet row number', () => {
+    const { incidents, errors } = csvRowsToIncidents([row(), row({ name: '', lat: '95', severity: 'huge', radius: '5' })], MAPPING);
+    expect(incidents).toHaveLength(1);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^Row 3: /);
+    expect(errors[0]).toContain('Incident Name is required');
+    expect(errors[0]).toContain('Latitude "95" is not valid');
+    expect(errors[0]).toContain('Radius "5" must be between 10 and 1000');
+    expect(errors[0]).toContain('Severity "huge" is not one of');
+  });
+
+  test('builds polygons and paths from the Geometry column', () => {
+    const { incidents, errors } = csvRowsToIncidents([
+      row({ geometry: 'POLYGON ((80.22 6.05, 80.22 6.06, 80.23 6.06, 80.22 6.05))' }),
+      row({ geometry: 'LINESTRING (80.22 6.05, 80.23 6.06)' })
+    ], MAPPING);
+    expect(errors).toEqual([]);
+    expect(incidents[0]).toMatchObject({ type: 'polygon', points: [[6.05, 80.22], [6.06, 80.22], [6.06, 80.23]] });
+    expect(incidents[0].area).toBeGreaterThan(0);
+    expect(incidents[1]).toMatchObject({ type: 'path', points: [[6.05, 80.22], [6.06, 80.23]] });
+    expect(incidents[1].length).toBeGreaterThan(0);
+  });
+
+  test('rejects geometry that is not a polygon or line', () => {
+    const { errors } = csvRowsToIncidents([row({ geometry: 'POINT (80.22 6.05)' })], MAPPING);
+    expect(errors).toEqual(['Row 2: Geometry "POINT (80.22 6.05)" is not a WKT POLYGON or LINESTRING']);
+  });
+
+  test('refuses to turn an existing shape into a point when its geometry is missing', () => {
+    const { incidents, errors } = csvRowsToIncidents([row({ id: 'poly-1' })], MAPPING, [polygon]);
+    expect(incidents).toEqual([]);
+    expect(errors[0]).toContain('ID poly-1 is a polygon here');
+  });
+});
+
+describe('incidentsToCsv', () => {
+  test('exports incidents in the layout the importer reads back', () => {
+    const circle = {
+      id: 'c-1',
+      type: 'circle',
+      position: [6.05, 80.22],
+      radius: 150,
+      incidentName: 'Bridge, east side',
+      reporterName: 'Nimal',
+      timestamp: Date.parse('2024-05-01T08:00:00Z'),
+      severity: 'critical',
+      description: 'Water "over the deck"'
+    };
+    const [headers, ...rows] = parseCsv(incidentsToCsv([circle]));
+    const { incidents, errors } = csvRowsToIncidents(rows, guessCsvMapping(headers));
+
+    expect(errors).toEqual([]);
+    expect(incidents).toEqual([expect.objectContaining({
+      id: 'c-1',
+      type: 'circle',
+      position: [6.05, 80.22],
+      radius: 150,
+      incidentName: circle.incidentName,
+      timestamp: circle.timestamp,
+      severity: 'critical',
+      description: circle.description
+    })]);
+  });
+
+  const readBack = (incidents) => {
+    const [headers, ...rows] = parseCsv(incidentsToCsv(incidents));
+    return csvRowsToIncidents(rows, guessCsvMapping(headers), incidents);
+  };
+
+  test('round-trips drawn shapes through the Geometry column', () => {
+    const path = { ...polygon, id: 'path-1', type: 'path', points: [[6.05, 80.22], [6.06, 80.23]], length: 1500 };
+    const { incidents, errors } = readBack([polygon, path]);
+    expect(errors).toEqual([]);
+    expect(incidents[0]).toMatchObject({ id: 'poly-1', type: 'polygon', points: polygon.points });
+    expect(incidents[1]).toMatchObject({ id: 'path-1', type: 'path', points: path.points });
+  });
+
+  test('exports cells that look like formulas as text and reads them back unchanged', () => {
+    const incident = { ...polygon, incidentName: '=HYPERLINK("http://example.com")', description: '-5 cm and rising' };
+    const csv = incidentsToCsv([incident]);
+    expect(csv).toContain(`"'=HYPERLINK(""http://example.com"")"`);
+    expect(csv).toContain(`'-5 cm and rising`);
+
+    const { incidents } = readBack([incident]);
+    expect(incidents[0]).toMatchObject({ incidentName: incident.incidentName, description: incident.description });
+  });
+});
@@ -0,0 +1,117 @@
+// Place names of Galle District, bundled so search works without a network.
+//
+// Coordinates are approximate centre points, good enough to fly the map to a
+// place but not for boundaries. Each entry has an English name, Sinhala (si)
+// and Tamil (ta) names where known, other common spellings (aliases), a type
+// and the Divisional Secretariat (ds) it belongs to.
+//
+// Types: ds_division, town, village, gn_division, landmark, river, lake
+
+const GALLE_GAZETTEER = [
+  // Divisional Secretariat divisions
+  { name: 'Akmeemana', si: 'අක්මීමාන', ta: 'அக்மீமன', type: 'ds_division', ds: 'Akmeemana', lat: 6.0750, lon: 80.2900 },
+  { name: 'Ambalangoda', si: 'අම්බලන්ගොඩ', ta: 'அம்பலாங்கொடை', type: 'ds_division', ds: 'Ambalangoda', lat: 6.2356, lon: 80.0538 },
+  { name: 'Baddegama', si: 'බද්දේගම', ta: 'பத்தேகம', type: 'ds_division', ds: 'Baddegama', lat: 6.1700, lon: 80.1780 },
+  { name: 'Balapitiya', si: 'බලපිටිය', ta: 'பலப்பிட்டி', type: 'ds_division', ds: 'Balapitiya', lat: 6.2686, lon: 80.0367 },
+  { name: 'Benthota', si: 'බෙන්තොට', ta: 'பெந்தோட்டை', aliases: ['Bentota'], type: 'ds_division', ds: 'Benthota', lat: 6.4211, lon: 79.9989 },
+  { name: 'Bope-Poddala', si: 'බෝපෙ පෝද්දල', aliases: ['Bope Poddala'], type: 'ds_division', ds: 'Bope-Poddala', lat: 6.0850, lon: 80.2150 },
+  { name: 'Elpitiya', si: 'ඇල්පිටිය', ta: 'எல்பிட்டிய', type: 'ds_division', ds: 'Elpitiya', lat: 6.2897, lon: 80.1592 },
+  { name: 'Galle Four Gravets', si: 'ගාලු කඩවත් සතර', ta: 'காலி நான்கு கட்டுகள்', aliases: ['Galle', 'Galle Town'], type: 'ds_division', ds: 'Galle Four Gravets', lat: 6.0350, lon: 80.2170 },
+  { name: 'Gonapinuwala', si: 'ගෝනාපීනුවල', type: 'ds_division', ds: 'Gonapinuwala', lat: 6.1250, lon: 80.1650 },
+  { name: 'Habaraduwa', si: 'හබරාදූව', ta: 'ஹபராதுவ', type: 'ds_division', ds: 'Habaraduwa', lat: 5.9960, lon: 80.3070 },
+  { name: 'Hikkaduwa', si: 'හික්කඩුව', ta: 'ஹிக்கடுவை', type: 'ds_division', ds: 'Hikkaduwa', lat: 6.1395, lon: 80.1063 },
+  { name: 'Imaduwa', si: 'ඉමදූව', ta: 'இமதுவ', type: 'ds_division', ds: 'Imaduwa', lat: 6.0330, lon: 80.3800 },
+  { name: 'Karandeniya', si: 'කරන්දෙණිය', ta: 'கரந்தெனிய', type: 'ds_division', ds: 'Karandeniya', lat: 6.2606, lon: 80.0703 },
+  { name: 'Madampagama', si: 'මාදම්පාගම', type: 'ds_division', ds: 'Madampagama', lat: 6.2100, lon: 80.1000 },
+  { name: 'Nagoda', si: 'නාගොඩ', ta: 'நாகொட', type: 'ds_division', ds: 'Nagoda', lat: 6.2270, lon: 80.2770 },
+  { name: 'Neluwa', si: 'නෙලුව', ta: 'நெலுவ', type: 'ds_division', ds: 'Neluwa', lat: 6.3780, lon: 80.3660 },
+  { name: 'Niyagama', si: 'නියාගම', ta: 'நியாகம', type: 'ds_division', ds: 'Niyagama', lat: 6.2600, lon: 80.2700 },
+  { name: 'Thawalama', si: 'තවලම', ta: 'தவலம', aliases: ['Tawalama'], type: 'ds_division', ds: 'Thawalama', lat: 6.3400, lon: 80.3300 },
+  { name: 'Welivitiya-Divithura', si: 'වැලිවිටිය දිවිතුර', aliases: ['Welivitiya Divithura'], type: 'ds_division', ds: 'Welivitiya-Divithura', lat: 6.2200, lon: 80.1500 },
+  { name: 'Yakkalamulla', si: 'යක්කලමුල්ල', ta: 'யக்கலமுல்ல', type: 'ds_division', ds: 'Yakkalamulla', lat: 6.1050, lon: 80.3530 },
+
+  // Towns
+  { name: 'Galle', si: 'ගාල්ල', ta: 'காலி', aliases: ['Gaalla', 'Point de Galle'], type: 'town', ds: 'Galle Four Gravets', lat: 6.0335, lon: 80.2170 },
+  { name: 'Karapitiya', si: 'කරාපිටිය', ta: 'கராப்பிட்டிய', type: 'town', ds: 'Galle Four Gravets', lat: 6.0660, lon: 80.2280 },
+  { name: 'Unawatuna', si: 'උණවටුන', ta: 'உனவட்டுனை', type: 'town', ds: 'Habaraduwa', lat: 6.0100, lon: 80.2490 },
+  { name: 'Koggala', si: 'කොග්ගල', ta: 'கொக்கலை', type: 'town', ds: 'Habaraduwa', lat: 5.9930, lon: 80.3230 },
+  { name: 'Ahangama', si: 'අහංගම', ta: 'அகங்கமை', type: 'town', ds: 'Habaraduwa', lat: 5.9736, lon: 80.3622 },
+  { name: 'Talpe', si: 'තල්පේ', type: 'town', ds: 'Habaraduwa', lat: 5.9994, lon: 80.2806 },
+  { name: 'Ginthota', si: 'ගින්තොට', ta: 'கிந்தோட்டை', aliases: ['Gintota'], type: 'town', ds: 'Galle Four Gravets', lat: 6.0600, lon: 80.1800 },
+  { name: 'Ambalangoda', si: 'අම්බලන්ගොඩ', ta: 'அம்பலாங்கொடை', type: 'town', ds: 'Ambalangoda', lat: 6.2356, lon: 80.0538 },
+  { name: 'Hikkaduwa', si: 'හික්කඩුව', ta: 'ஹிக்கடுவை', type: 'town', ds: 'Hikkaduwa', lat: 6.1395, lon: 80.1063 },
+  { name: 'Bentota', si: 'බෙන්තොට', ta: 'பெந்தோட்டை', aliases: ['Benthota'], type: 'town', ds: 'Benthota', lat: 6.4211, lon: 79.9989 },
+  { name: 'Elpitiya', si: 'ඇල්පිටිය', ta: 'எல்பிட்டிய', type: 'town', ds: 'Elpitiya', lat: 6.2897, lon: 80.1592 },
+  { name: 'Baddegama', si: 'බද්දේගම', ta: 'பத்தேகம', type: 'town', ds: 'Baddegama', lat: 6.1700, lon: 80.1780 },
+  { name: 'Udugama', si: 'උඩුගම', ta: 'உடுகம', type: 'town', ds: 'Nagoda', lat: 6.2190, lon: 80.3380 },
+  { name: 'Pitigala', si: 'පිටිගල', type: 'town', ds: 'Elpitiya', lat: 6.3500, lon: 80.2170 },
+  { name: 'Hiniduma', si: 'හිනිදුම', ta: 'ஹினிதும', type: 'town', ds: 'Neluwa', lat: 6.3170, lon: 80.3330 },
+  { name: 'Batapola', si: 'බටපොල', type: 'town', ds: 'Ambalangoda', lat: 6.2330, lon: 80.1130 },
+
+  // Villages
+  { name: 'Rathgama', si: 'රත්ගම', ta: 'ரத்கம', aliases: ['Ratgama'], type: 'village', ds: 'Hikkaduwa', lat: 6.0958, lon: 80.1381 },
+  { name: 'Dodanduwa', si: 'දොඩන්දූව', ta: 'தொடந்துவ', type: 'village', ds: 'Hikkaduwa', lat: 6.1000, lon: 80.1300 },
+  { name: 'Thiranagama', si: 'තිරානගම', aliases: ['Tiranagama'], type: 'village', ds: 'Hikkaduwa', lat: 6.1280, lon: 80.1080 },
+  { name: 'Narigama', si: 'නාරිගම', type: 'village', ds: 'Hikkaduwa', lat: 6.1310, lon: 80.1050 },
+  { name: 'Telwatta', si: 'තෙල්වත්ත', aliases: ['Thelwatta'], type: 'village', ds: 'Hikkaduwa', lat: 6.1750, lon: 80.0900 },
+  { name: 'Peraliya', si: 'පෙරලිය', type: 'village', ds: 'Hikkaduwa', lat: 6.1600, lon: 80.0980 },
+  { name: 'Seenigama', si: 'සීනිගම', aliases: ['Sinigama'], type: 'village', ds: 'Hikkaduwa', lat: 6.1720, lon: 80.0930 },
+  { name: 'Akurala', si: 'අකුරල', type: 'village', ds: 'Ambalangoda', lat: 6.2020, lon: 80.0740 },
+  { name: 'Kahawa', si: 'කහව', type: 'village', ds: 'Ambalangoda', lat: 6.1870, lon: 80.0820 },
+  { name: 'Meetiyagoda', si: 'මීටියාගොඩ', aliases: ['Mitiyagoda'], type: 'village', ds: 'Karandeniya', lat: 6.2300, lon: 80.0900 },
+  { name: 'Ahungalla', si: 'අහුංගල්ල', ta: 'அகுங்கல்ல', type: 'village', ds: 'Balapitiya', lat: 6.3140, lon: 80.0320 },
+  { name: 'Kosgoda', si: 'කොස්ගොඩ', ta: 'கொஸ்கொட', type: 'village', ds: 'Balapitiya', lat: 6.3320, lon: 80.0290 },
+  { name: 'Induruwa', si: 'ඉඳුරුව', ta: 'இந்துருவ', type: 'village', ds: 'Benthota', lat: 6.3860, lon: 80.0130 },
+  { name: 'Uragasmanhandiya', si: 'උරගස්මංහන්දිය', type: 'village', ds: 'Karandeniya', lat: 6.3167, lon: 80.0833 },
+  { name: 'Boossa', si: 'බූස්ස', ta: 'பூஸ்ஸ', aliases: ['Bussa'], type: 'village', ds: 'Bope-Poddala', lat: 6.0880, lon: 80.1620 },
+  { name: 'Wakwella', si: 'වක්වැල්ල', type: 'village', ds: 'Bope-Poddala', lat: 6.0920, lon: 80.2080 },
+  { name: 'Wanduramba', si: 'වඳුරඹ', type: 'village', ds: 'Baddegama', lat: 6.1300, lon: 80.2600 },
+  { name: 'Nakiyadeniya', si: 'නාකියාදෙණිය', type: 'village', ds: 'Baddegama', lat: 6.1330, lon: 80.2800 },
+  { name: 'Labuduwa', si: 'ලබුදූව', type: 'village', ds: 'Akmeemana', lat: 6.0667, lon: 80.2567 },
+  { name: 'Pinnaduwa', si: 'පින්නදූව', type: 'village', ds: 'Akmeemana', lat: 6.0740, lon: 80.2470 },
+  { name: 'Thalgaswala', si: 'තල්ගස්වල', aliases: ['Talgaswala'], type: 'village', ds: 'Niyagama', lat: 6.2900, lon: 80.2300 },
+  { name: 'Kurundugahahetekma', si: 'කුරුඳුගහහෙතැක්ම', aliases: ['Kurundugaha Hetekma'], type: 'village', ds: 'Welivitiya-Divithura', lat: 6.2200, lon: 80.1500 },
+
+  // Grama Niladhari divisions
+  { name: 'Fort', si: 'කොටුව', ta: 'கோட்டை', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0270, lon: 80.2170 },
+  { name: 'Kaluwella', si: 'කළුවැල්ල', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0370, lon: 80.2190 },
+  { name: 'Magalle', si: 'මාගාල්ල', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0420, lon: 80.2050 },
+  { name: 'Dangedara', si: 'දංගෙදර', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0420, lon: 80.2000 },
+  { name: 'Kumbalwella', si: 'කුඹල්වැල්ල', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0430, lon: 80.2270 },
+  { name: 'Minuwangoda', si: 'මිනුවන්ගොඩ', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0530, lon: 80.2220 },
+  { name: 'Richmond Hill', si: 'රිච්මන්ඩ් කන්ද', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0410, lon: 80.2160 },
+  { name: 'Pettigalawatta', si: 'පෙට්ටිගලවත්ත', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0390, lon: 80.2120 },
+  { name: 'Hirimbura', si: 'හිරිඹුර', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0520, lon: 80.2150 },
+  { name: 'Dewata', si: 'දේවට', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0290, lon: 80.2350 },
+  { name: 'Mahamodara', si: 'මහමෝදර', type: 'gn_division', ds: 'Galle Four Gravets', lat: 6.0420, lon: 80.1990 },
+  { name: 'Welipatanwila', si: 'වැලිපටන්විල', type: 'gn_division', ds: 'Habaraduwa', lat: 6.0150, lon: 80.2560 },
+
+  // Landmarks
+  { name: 'Galle Fort', si: 'ගාලු කොටුව', ta: 'காலி கோட்டை', type: 'landmark', ds: 'Galle Four Gravets', lat: 6.0261, lon: 80.2170 },
+  { name: 'Galle International Cricket Stadium', si: 'ගාල්ල ජාත්‍යන්තර ක්‍රිකට් ක්‍රීඩාංගණය', type: 'landmark', ds: 'Galle Four Gravets', lat: 6.0298, lon: 80.2147 },
+  { name: 'Galle Railway Station', si: 'ගාල්ල දුම්රිය ස්ථානය', type: 'landmark', ds: 'Galle Four Gravets', lat: 6.0333, lon: 80.2146 },
+  { name: 'Galle Central Bus Stand', si: 'ගාල්ල මධ්‍යම බස් නැවතුම්පොළ', type: 'landmark', ds: 'Galle Four Gravets', lat: 6.0336, lon: 80.2160 },
+  { name: 'Galle Harbour', si: 'ගාලු වරාය', type: 'landmark', ds: 'Galle Four Gravets', lat: 6.0300, lon: 80.2240 },
+  { name: 'Teaching Hospital Karapitiya', si: 'කරාපිටිය ශික්ෂණ රෝහල', aliases: ['Karapitiya Hospital'], type: 'landmark', ds: 'Galle Four Gravets', lat: 6.0647, lon: 80.2260 },
+  { name: 'Mahamodara Teaching Hospital', si: 'මහමෝදර ශික්ෂණ රෝහල', aliases: ['Mahamodara Hospital'], type: 'landmark', ds: 'Galle Four Gravets', lat: 6.0400, lon: 80.1990 },
+  { name: 'University of Ruhuna Faculty of Engineering', aliases: ['Hapugala'], type: 'landmark', ds: 'Galle Four Gravets', lat: 6.0795, lon: 80.1918 },
+  { name: 'Rumassala', si: 'රූමස්සල', ta: 'ரூமஸ்ஸல', type: 'landmark', ds: 'Habaraduwa', lat: 6.0180, lon: 80.2380 },
+  { name: 'Japanese Peace Pagoda', si: 'ජපන් සාම චෛත්‍යය', aliases: ['Peace Pagoda'], type: 'landmark', ds: 'Habaraduwa', lat: 6.0177, lon: 80.2390 },
+  { name: 'Jungle Beach', type: 'landmark', ds: 'Habaraduwa', lat: 6.0190, lon: 80.2370 },
+  { name: 'Koggala Airport', si: 'කොග්ගල ගුවන් තොටුපළ', type: 'landmark', ds: 'Habaraduwa', lat: 5.9935, lon: 80.3200 },
+  { name: 'Hikkaduwa National Park', si: 'හික්කඩුව ජාතික වනෝද්‍යානය', aliases: ['Hikkaduwa Coral Reef'], type: 'landmark', ds: 'Hikkaduwa', lat: 6.1400, lon: 80.0990 },
+  { name: 'Hikkaduwa Railway Station', si: 'හික්කඩුව දුම්රිය ස්ථානය', type: 'landmark', ds: 'Hikkaduwa', lat: 6.1390, lon: 80.1040 },
+  { name: 'Ambalangoda Railway Station', si: 'අම්බලන්ගොඩ දුම්රිය ස්ථානය', type: 'landmark', ds: 'Ambalangoda', lat: 6.2350, lon: 80.0540 },
+  { name: 'Kanneliya Forest Reserve', si: 'කන්නෙලිය රක්ෂිතය', aliases: ['Kanneliya'], type: 'landmark', ds: 'Nagoda', lat: 6.2500, lon: 80.3400 },
+  { name: 'Kottawa Forest Reserve', si: 'කොට්ටාව රක්ෂිතය', type: 'landmark', ds: 'Yakkalamulla', lat: 6.0980, lon: 80.3370 },
+  { name: 'Pinnaduwa Interchange', si: 'පින්නදූව අතුරු මාරුව', aliases: ['Galle Expressway Exit'], type: 'landmark', ds: 'Akmeemana', lat: 6.0740, lon: 80.2470 },
+
+  // Rivers and lakes
+  { name: 'Gin Ganga', si: 'ගිං ගඟ', ta: 'ஜின் கங்கை', aliases: ['Gin River', 'Gingaga'], type: 'river', ds: 'Galle Four Gravets', lat: 6.0590, lon: 80.1800 },
+  { name: 'Madu Ganga', si: 'මාදු ගඟ', ta: 'மாது கங்கை', aliases: ['Madu River'], type: 'river', ds: 'Balapitiya', lat: 6.2950, lon: 80.0420 },
+  { name: 'Bentota Ganga', si: 'බෙන්තොට ගඟ', aliases: ['Bentara Ganga', 'Bentota River'], type: 'river', ds: 'Benthota', lat: 6.4230, lon: 80.0040 },
+  { name: 'Koggala Lake', si: 'කොග්ගල කලපුව', aliases: ['Koggala Lagoon'], type: 'lake', ds: 'Habaraduwa', lat: 5.9950, lon: 80.3350 },
+  { name: 'Hikkaduwa Lake', si: 'හික්කඩුව වැව', type: 'lake', ds: 'Hikkaduwa', lat: 6.1450, lon: 80.1150 }
+];
+
+export default GALLE_GAZETTEER;
@@ -0,0 +1,16 @@
+import GALLE_GAZETTEER from './gazetteer';
+import { reverseGazetteer } from './App';
+
+describe('reverseGazetteer', () => {
+  test('names the nearest village and the DS division it belongs to', () => {
+    expect(reverseGazetteer(GALLE_GAZETTEER, 6.011, 80.249)).toEqual({ village: 'Unawatuna', dsDivision: 'Habaraduwa' });
+  });
+
+  test('leaves the GN division for the reporter', () => {
+    expect(reverseGazetteer(GALLE_GAZETTEER, 6.011, 80.249)).not.toHaveProperty('gnDivision');
+  });
+
+  test('names nothing for a point far from any village', () => {
+    expect(reverseGazetteer(GALLE_GAZETTEER, 5.7, 80.2)).toEqual({ village: '' });
+  });
+});
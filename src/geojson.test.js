@@ -0,0 +1,61 @@
+import { parseIncidentGeoJSON } from './App';
+
+const feature = (geometry, properties = {}) => ({ type: 'Feature', geometry, properties });
+const collection = (...features) => JSON.stringify({ type: 'FeatureCollection', features });
+
+describe('parseIncidentGeoJSON', () => {
+  test('reads points, circles, polygons and lines with [lat, lng] positions', () => {
+    const { incidents, errors } = parseIncidentGeoJSON(collection(
+      feature({ type: 'Point', coordinates: [80.22, 6.05] }, { id: 'p', incidentName: 'Culvert blocked', severity: 'critical' }),
+      feature({ type: 'Point', coordinates: [80.22, 6.05] }, { id: 'c', radius: 200 }),
+      feature({ type: 'Polygon', coordinates: [[[80.22, 6.05], [80.22, 6.06], [80.23, 6.06], [80.22, 6.05]]] }, { id: 'a' }),
+      feature({ type: 'LineString', coordinates: [[80.22, 6.05], [80.23, 6.06]] }, { id: 'l', flowSpeed: '1.5' })
+    ));
+
+    expect(errors).toEqual([]);
+    expect(incidents[0]).toMatchObject({ id: 'p', type: 'point', position: [6.05, 80.22], incidentName: 'Culvert blocked', severity: 'critical' });
+    expect(incidents[1]).toMatchObject({ id: 'c', type: 'circle', position: [6.05, 80.22], radius: 200 });
+    expect(incidents[2]).toMatchObject({ id: 'a', type: 'polygon', points: [[6.05, 80.22], [6.06, 80.22], [6.06, 80.23]] });
+    expect(incidents[2].area).toBeGreaterThan(0);
+    expect(incidents[3]).toMatchObject({ id: 'l', type: 'path', points: [[6.05, 80.22], [6.06, 80.23]], flowSpeed: '1.5' });
+  });
+
+  test('gives unnamed features a numbered name and known defaults', () => {
+    const { incidents } = parseIncidentGeoJSON(JSON.stringify(
+      feature({ type: 'Point', coordinates: [80.22, 6.05] }, { severity: 'apocalyptic' })
+    ));
+    expect(incidents[0]).toMatchObject({ incidentName: 'Imported incident 1', severity: 'moderate', evacuationStatus: 'not_required' });
+  });
+
+  test('restores circles exported as buffered polygons', () => {
+    const { incidents } = parseIncidentGeoJSON(collection(feature(
+      { type: 'Polygon', coordinates: [[[80.22, 6.05], [80.22, 6.06], [80.23, 6.06], [80.22, 6.05]]] },
+      { incidentType: 'circle', radius: 300, center: [80.225, 6.055] }
+    )));
+    expect(incidents[0]).toMatchObject({ type: 'circle', position: [6.055, 80.225], radius: 300 });
+  });
+
+  test('skips invalid features and names each one', () => {
+    const { incidents, errors } = parseIncidentGeoJSON(collection(
+      feature({ type: 'Point', coordinates: [80.22, 6.05] }),
+      feature(null),
+      feature({ type: 'Point', coordinates: [200, 6.05] }),
+      feature({ type: 'Polygon', coordinates: [[[80.22, 6.05], [80.23, 6.06], [80.22, 6.05]]] }),
+      feature({ type: 'LineString', coordinates: [[80.22, 6.05]] }),
+      feature({ type: 'MultiPoint', coordinates: [[80.22, 6.05]] })
+    ));
+    expect(incidents).toHaveLength(1);
+    expect(errors).toEqual([
+      'Feature 2: missing geometry',
+      'Feature 3: invalid point coordinates',
+      'Feature 4: polygon needs a ring of at least 3 valid positions',
+      'Feature 5: line needs at least 2 valid positions',
+      'Feature 6: unsupported geometry type MultiPoint'
+    ]);
+  });
+
+  test('rejects files that are not GeoJSON', () => {
+    expect(parseIncidentGeoJSON('not json')).toEqual({ incidents: [], errors: ['File is not valid JSON'] });
+    expect(parseIncidentGeoJSON('{"type":"Topology"}').errors).toEqual(['File is not a GeoJSON Feature or FeatureCollection']);
+  });
+});
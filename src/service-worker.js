@@ -0,0 +1,67 @@
+/* eslint-disable no-restricted-globals */
+// Service worker for the production build.
+//
+// The build injects the list of app files into self.__WB_MANIFEST; they are
+// cached on install so the app opens without a connection. Map tiles are
+// answered from the offline tile cache filled from the Offline Maps page, and
+// from the network otherwise.
+
+const APP_CACHE = 'app-shell';
+// Keep in step with TILE_CACHE and TILE_PATH_PATTERN in src/App.js
+const TILE_CACHE = 'map-tiles';
+const TILE_PATH_PATTERN = /\/(\d+)\/(\d+)\/(\d+)(@2x)?\.(png|jpe?g|webp)$/i;
+
+const APP_FILES = self.__WB_MANIFEST.map(entry => new URL(entry.url, self.registration.scope).href);
+const INDEX_URL = new URL('index.html', self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then(cache => cache.addAll([...new Set([...APP_FILES, INDEX_URL])]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop files left over from earlier builds
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then(cache => cache.keys().then(requests => Promise.all(requests
+        .filter(request => request.url !== INDEX_URL && !APP_FILES.includes(request.url))
+        .map(request => cache.delete(request)))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Fresh pages when online, the cached shell when not
+function handleNavigation(request) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(APP_CACHE).then(cache => cache.put(INDEX_URL, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(INDEX_URL));
+}
+
+function handleTile(request) {
+  return caches.open(TILE_CACHE)
+    .then(cache => cache.match(request))
+    .then(cached => cached || fetch(request));
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (TILE_PATH_PATTERN.test(url.pathname)) {
+    event.respondWith(handleTile(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+  }
+});
@@ -0,0 +1,275 @@
+import { renderHook, act } from '@testing-library/react';
+import { useRecordSync } from './App';
+
+const SERVER = 'http://sync.test';
+
+const incident = (id, fields = {}) => ({ id, type: 'point', position: [6.05, 80.22], incidentName: `Incident ${id}`, severity: 'minor', ...fields });
+const applied = (changes) => changes.map(change => ({ opId: change.opId, status: 'applied', conflicts: [] }));
+
+// Answers sync requests through the handlers given, with an empty server otherwise
+function mockServer({ push = (changes) => ({ revision: 1, results: applied(changes), incidents: [], deleted: [] }), pull = () => ({ revision: 1, incidents: [], deleted: [] }) } = {}) {
+  global.fetch = jest.fn(async (url, init) => {
+    const answer = await (init.method === 'POST' ? push(JSON.parse(init.body).changes) : pull(url));
+    const { status = 200, body = answer } = answer instanceof Error ? { status: answer.status, body: { error: answer.message } } : {};
+    return { ok: status < 400, status, json: async () => body };
+  });
+  return global.fetch;
+}
+
+const pushes = () => global.fetch.mock.calls.filter(([, init]) => init.method === 'POST').map(([, init]) => JSON.parse(init.body).changes);
+
+// Run due timers and let the requests they start settle
+async function advance(ms) {
+  await act(async () => {
+    jest.advanceTimersByTime(ms);
+    for (let i = 0; i < 20; i++) await Promise.resolve();
+  });
+}
+
+function renderSync(records) {
+  const setRecords = jest.fn();
+  const onRemoteChanges = jest.fn();
+  const view = renderHook(
+    (props) => useRecordSync(props.records, setRecords, SERVER, 'token', onRemoteChanges),
+    { initialProps: { records } }
+  );
+  return { ...view, setRecords, onRemoteChanges };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  localStorage.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('pushes every local incident when a server is first connected', async () => {
+  mockServer();
+  const { result } = renderSync([incident('a'), incident('b')]);
+  expect(result.current.pendingCount).toBe(2);
+
+  await advance(0);
+
+  expect(pushes()).toEqual([[
+    expect.objectContaining({ type: 'upsert', incidentId: 'a', timestamp: 0, fields: expect.objectContaining({ incidentName: 'Incident a' }) }),
+    expect.objectContaining({ type: 'upsert', incidentId: 'b', timestamp: 0 })
+  ]]);
+  expect(result.current.pendingCount).toBe(0);
+  expect(result.current.status).toBe('synced');
+  expect(JSON.parse(localStorage.getItem('syncState'))).toMatchObject({ serverUrl: SERVER, queue: [], revision: 1 });
+});
+
+test('queues local edits as one change per incident with only the changed fields', async () => {
+  mockServer();
+  const { result, rerender } = renderSync([incident('a')]);
+  await advance(0);
+
+  rerender({ records: [incident('a', { severity: 'severe' })] });
+  rerender({ records: [incident('a', { severity: 'critical', description: 'Rising' })] });
+  rerender({ records: [] });
+  expect(result.current.pendingCount).toBe(1);
+  expect(JSON.parse(localStorage.getItem('syncState')).queue).toEqual([
+    expect.objectContaining({ type: 'delete', incidentId: 'a', baseRevision: 1 })
+  ]);
+
+  rerender({ records: [incident('b')] });
+  rerender({ records: [incident('b', { severity: 'severe' })] });
+  await advance(1000);
+
+  expect(pushes()[1]).toEqual([
+    expect.objectContaining({ type: 'delete', incidentId: 'a' }),
+    expect.objectContaining({ type: 'upsert', incidentId: 'b', fields: expect.objectContaining({ incidentName: 'Incident b', severity: 'severe' }) })
+  ]);
+});
+
+test('keeps the queue and backs off while the server cannot be reached', async () => {
+  const fetch = mockServer();
+  fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+  const { result } = renderSync([incident('a')]);
+
+  await advance(0);
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(result.current.status).toBe('error');
+  expect(result.current.lastError).toBe('Failed to fetch');
+
+  // Half of 2 s, then of 4 s, with the jitter at its lowest
+  await advance(999);
+  expect(fetch).toHaveBeenCalledTimes(1);
+  await advance(1);
+  expect(fetch).toHaveBeenCalledTimes(2);
+  await advance(1999);
+  expect(fetch).toHaveBeenCalledTimes(2);
+
+  mockServer();
+  await advance(1);
+  expect(result.current.status).toBe('synced');
+  expect(result.current.pendingCount).toBe(0);
+});
+
+test('merges pulled changes, keeping fields with queued local edits', async () => {
+  let answerPull;
+  mockServer({
+    pull: () => new Promise(resolve => {
+      answerPull = () => resolve({ revision: 2, incidents: [incident('a', { severity: 'critical', description: 'Rising' })], deleted: ['b'] });
+    })
+  });
+  const { rerender, setRecords } = renderSync([incident('a'), incident('b')]);
+  await advance(0);
+
+  // Edited while the pull is on its way
+  rerender({ records: [incident('a', { severity: 'severe' }), incident('b')] });
+  answerPull();
+  await advance(0);
+
+  expect(setRecords).toHaveBeenLastCalledWith([incident('a', { severity: 'severe', description: 'Rising' })]);
+});
+
+test('passes on who made each pulled change', async () => {
+  const changedBy = { a: { user: 'Kamala Silva', timestamp: 200 }, b: { user: 'Nimal Perera', timestamp: 300 } };
+  mockServer({ pull: () => ({ revision: 2, incidents: [incident('a', { severity: 'severe' })], deleted: ['b'], changedBy }) });
+  const { onRemoteChanges } = renderSync([incident('a'), incident('b')]);
+  await advance(0);
+
+  expect(onRemoteChanges).toHaveBeenCalledWith([
+    { before: incident('a'), after: incident('a', { severity: 'severe' }), changedBy: changedBy.a },
+    { before: incident('b'), after: null, changedBy: changedBy.b }
+  ]);
+});
+
+test('lists conflicts the server reports and takes the winning values', async () => {
+  const conflict = { field: 'severity', clientValue: 'minor', serverValue: 'severe', winner: 'server' };
+  mockServer({
+    push: (changes) => ({
+      revision: 2,
+      results: changes.map(change => ({ opId: change.opId, status: 'conflict', conflicts: [conflict] })),
+      incidents: [incident('a', { severity: 'severe' })],
+      deleted: []
+    }),
+    pull: () => ({ revision: 2, incidents: [incident('a', { severity: 'severe' })], deleted: [] })
+  });
+  const { result, setRecords } = renderSync([incident('a')]);
+  await advance(0);
+
+  expect(result.current.conflicts).toEqual([expect.objectContaining({ incidentId: 'a', ...conflict })]);
+  expect(setRecords).toHaveBeenLastCalledWith([incident('a', { severity: 'severe' })]);
+
+  act(() => result.current.dismissConflict(result.current.conflicts[0].id));
+  expect(result.current.conflicts).toEqual([]);
+});
+
+test('takes the server copy of an incident whose change was refused', async () => {
+  mockServer({
+    push: (changes) => ({
+      revision: 1,
+      results: changes.map(change => ({ opId: change.opId, status: 'rejected', reason: 'forbidden', conflicts: [] })),
+      incidents: [incident('a')],
+      deleted: []
+    })
+  });
+  const { result, setRecords } = renderSync([incident('a', { severity: 'critical' })]);
+  await advance(0);
+
+  expect(result.current.conflicts).toEqual([expect.objectContaining({ incidentId: 'a', reason: 'forbidden' })]);
+  expect(result.current.pendingCount).toBe(0);
+  expect(setRecords).toHaveBeenCalledWith([incident('a')]);
+});
+
+test('keeps an incident the server refused and never had until the user chooses', async () => {
+  let refuse = true;
+  mockServer({
+    push: (changes) => ({
+      revision: refuse ? 0 : 1,
+      results: refuse ? changes.map(change => ({ opId: change.opId, status: 'rejected', reason: 'forbidden', conflicts: [] })) : applied(changes),
+      incidents: [],
+      deleted: []
+    })
+  });
+  const { result, setRecords } = renderSync([incident('a')]);
+  await advance(0);
+
+  expect(result.current.conflicts).toEqual([expect.objectContaining({ incidentId: 'a', reason: 'forbidden', notOnServer: true })]);
+  expect(setRecords).not.toHaveBeenCalled();
+
+  // Keep Mine sends all of it again
+  refuse = false;
+  act(() => result.current.resend('a'));
+  await advance(1000);
+  expect(pushes()[1]).toEqual([
+    expect.objectContaining({ type: 'upsert', incidentId: 'a', fields: expect.objectContaining({ incidentName: 'Incident a', severity: 'minor' }) })
+  ]);
+});
+
+test('drops a refused incident from this device only', async () => {
+  mockServer({
+    push: (changes) => ({
+      revision: 0,
+      results: changes.map(change => ({ opId: change.opId, status: 'rejected', reason: 'forbidden', conflicts: [] })),
+      incidents: [],
+      deleted: []
+    })
+  });
+  const { result, rerender, setRecords } = renderSync([incident('a'), incident('b')]);
+  await advance(0);
+
+  act(() => result.current.forget('a'));
+  expect(setRecords.mock.calls[0][0]([incident('a'), incident('b')])).toEqual([incident('b')]);
+  rerender({ records: [incident('b')] });
+  expect(result.current.pendingCount).toBe(0);
+});
+
+test('stops retrying once the server has ended the session', async () => {
+  const fetch = mockServer({ push: () => Object.assign(new Error('Sign in again'), { status: 401 }) });
+  const { result } = renderSync([incident('a')]);
+  await advance(0);
+
+  expect(result.current.status).toBe('signed-out');
+  expect(result.current.lastError).toBe('Sign in again');
+  await advance(10 * 60 * 1000);
+  expect(fetch).toHaveBeenCalledTimes(1);
+  expect(result.current.pendingCount).toBe(1);
+});
+
+test('parks a batch the server turns away and goes on with the rest', async () => {
+  let turnAway = true;
+  mockServer({
+    push: (changes) => (turnAway
+      ? Object.assign(new Error('Request body is too large'), { status: 413 })
+      : { revision: 1, results: applied(changes), incidents: [], deleted: [] })
+  });
+  const { result, rerender } = renderSync([incident('a')]);
+  await advance(0);
+
+  expect(result.current.status).toBe('synced');
+  expect(result.current.pendingCount).toBe(0);
+  expect(result.current.parked).toEqual([expect.objectContaining({
+    collection: 'incidents',
+    error: 'Request body is too large',
+    ops: [expect.objectContaining({ incidentId: 'a' })]
+  })]);
+
+  // Send Again goes out under edits made since
+  turnAway = false;
+  rerender({ records: [incident('a', { severity: 'severe' })] });
+  act(() => result.current.retryParked(result.current.parked[0].id));
+  await advance(0);
+
+  expect(pushes().pop()).toEqual([
+    expect.objectContaining({ incidentId: 'a', fields: expect.objectContaining({ incidentName: 'Incident a', severity: 'severe' }) })
+  ]);
+  expect(result.current.parked).toEqual([]);
+  expect(result.current.pendingCount).toBe(0);
+});
+
+test('drops a parked batch without sending it', async () => {
+  mockServer({ push: () => Object.assign(new Error('Invalid change'), { status: 400 }) });
+  const { result } = renderSync([incident('a')]);
+  await advance(0);
+
+  act(() => result.current.discardParked(result.current.parked[0].id));
+  expect(result.current.parked).toEqual([]);
+  expect(pushes()).toHaveLength(1);
+});